@@ -2,6 +2,7 @@ const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { pathToFileURL } = require('url');
 
 // ========== 設定 ==========
 const STATE_PATH = process.env.NOTE_POST_MCP_STATE_PATH || path.join(os.homedir(), '.note-state.json');
@@ -91,16 +92,59 @@ function saveProgress(progress) {
   fs.writeFileSync(PROGRESS_FILE, JSON.stringify(progress, null, 2));
 }
 
+// ========== レート制限 ==========
+// src/rate-limit.ts（バッチ投稿と同じ仕組み）を使う。事前に npm run build が必要
+// 1時間・1日の上限はメンバーシップ操作（scope: membership）だけで数える
+let limiter = null;
+
+async function createRateLimiter() {
+  const { RateLimiter } = await import(pathToFileURL(path.join(__dirname, 'build', 'rate-limit.js')).href);
+  return new RateLimiter('membership', { minInterval: 3000, perHour: 200, perDay: 1000 }, { log });
+}
+
+// ========== ログイン確認 ==========
+// src/auth.ts（MCPツールと同じ確認）を使う。事前に npm run build が必要
+let auth = null;
+
+async function loadAuth() {
+  return import(pathToFileURL(path.join(__dirname, 'build', 'auth.js')).href);
+}
+
+// ========== 画面の要素 ==========
+// src/selectors.ts（MCPツールと同じ候補）を使う。事前に npm run build が必要
+let sel = null;
+
+async function loadSelectors() {
+  return import(pathToFileURL(path.join(__dirname, 'build', 'selectors.js')).href);
+}
+
+// ========== 開くURL ==========
+// src/urls.ts（設定ファイル・環境変数を反映したもの）を使う。事前に npm run build が必要
+let urls = null;
+
+async function loadUrls() {
+  const { noteUrls } = await import(pathToFileURL(path.join(__dirname, 'build', 'urls.js')).href);
+  return noteUrls();
+}
+
+// ログインが切れていれば AUTH_EXPIRED のエラーを投げる
+async function checkLogin() {
+  const status = await auth.ensureLoggedIn(context, STATE_PATH);
+  log(`ログイン確認OK: ${status.urlname ?? '(ユーザー名不明)'}${status.cookiesExpireAt ? `（有効期限: ${status.cookiesExpireAt}）` : ''}`);
+}
+
 // ========== ブラウザ管理 ==========
 let browser = null;
 let context = null;
 let page = null;
 
 async function launchBrowser() {
-  const state = JSON.parse(fs.readFileSync(STATE_PATH, 'utf-8'));
+  // 暗号化されている場合は復号した内容を使う
+  const state = auth.readStorageState(STATE_PATH);
   browser = await chromium.launch({ headless: HEADLESS, slowMo: 50 });
   context = await browser.newContext({ storageState: state, viewport: { width: 1280, height: 900 } });
   page = await context.newPage();
+  limiter.watch(page);
   return page;
 }
 
@@ -110,11 +154,7 @@ async function restartBrowser() {
   await new Promise(r => setTimeout(r, 2000));
   await launchBrowser();
   // ログイン確認
-  await page.goto('https://note.com/dashboard', { waitUntil: 'networkidle', timeout: 30000 });
-  await page.waitForTimeout(2000);
-  if (page.url().includes('login')) {
-    throw new Error('再起動後もログインが必要です');
-  }
+  await checkLogin();
   log('ブラウザ再起動完了');
 }
 
@@ -181,8 +221,21 @@ async function main() {
     process.exit(0);
   }
 
-  if (!fs.existsSync(STATE_PATH)) {
-    log(`エラー: 認証状態ファイルが見つかりません: ${STATE_PATH}`);
+  try {
+    limiter = await createRateLimiter();
+    auth = await loadAuth();
+    sel = await loadSelectors();
+    urls = await loadUrls();
+  } catch (e) {
+    log(`エラー: レート制限・ログイン確認・セレクター・URLの読み込みに失敗しました（先に npm run build を実行してください）: ${e.message}`);
+    process.exit(1);
+  }
+
+  // 認証状態ファイルを確認（ファイルがない・Cookieが切れている場合はブラウザを起動しない）
+  try {
+    auth.checkStateFile(STATE_PATH);
+  } catch (e) {
+    log(`エラー [${e.code}]: ${e.message}`);
     process.exit(1);
   }
 
@@ -190,14 +243,14 @@ async function main() {
 
   // ログイン確認
   log('ログイン確認中...');
-  await page.goto('https://note.com/dashboard', { waitUntil: 'networkidle', timeout: 30000 });
-  await page.waitForTimeout(2000);
-  if (page.url().includes('login')) {
-    log('エラー: ログインが必要です');
+  try {
+    await checkLogin();
+  } catch (e) {
+    log(`エラー [${e.code ?? 'UNKNOWN'}]: ${e.message}`);
+    log('npm run login で再ログインしてください');
     await browser.close();
     process.exit(1);
   }
-  log('ログイン確認OK');
 
   let processed = 0;
   let totalAdded = 0;
@@ -209,10 +262,13 @@ async function main() {
     const article = filtered[i];
     processed++;
     const title = article.title.substring(0, 50);
-    const articleUrl = `https://note.com${article.url}`;
+    const articleUrl = `${urls.noteOrigin}${article.url}`;
 
     log(`\n[${processed}/${filtered.length}] ${title}...`);
 
+    // レート制限の範囲内で次の記事へ
+    await limiter.wait();
+
     try {
       // 記事ページに移動
       await page.goto(articleUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
@@ -306,9 +362,7 @@ async function main() {
       progress.completed.push(article.url);
       saveProgress(progress);
       consecutiveErrors = 0;
-
-      // レート制限
-      await page.waitForTimeout(500);
+      limiter.record();
 
     } catch (err) {
       log(`  エラー: ${err.message}`);
@@ -342,6 +396,12 @@ async function main() {
       }
     }
 
+    // エラーのトーストやHTTP 429が出ていれば休止する
+    const symptom = await limiter.detect(page).catch(() => undefined);
+    if (symptom) {
+      await limiter.pause(symptom);
+    }
+
     // 100件ごとにレポート
     if (processed % 100 === 0) {
       log(`\n--- 中間レポート (${processed}/${filtered.length}) ---`);
@@ -365,9 +425,10 @@ async function main() {
 // ========== ヘルパー関数 ==========
 
 async function findMoreButton(page) {
-  const byLabel = page.locator('button[aria-label*="メニュー"], button[aria-label*="more"], button[aria-label*="その他"]').first();
-  if (await byLabel.isVisible().catch(() => false)) return byLabel;
+  const byCandidates = await sel.findVisible(page, 'articleMoreButton');
+  if (byCandidates) return byCandidates;
 
+  // 候補で見つからなければ、ページ上部のテキストのないアイコンボタンを探す
   const dotsButtons = page.locator('button:has(svg)');
   const count = await dotsButtons.count();
   for (let i = 0; i < count; i++) {
@@ -379,23 +440,14 @@ async function findMoreButton(page) {
     }
   }
 
-  const ellipsis = page.locator('button:has-text("…"), button:has-text("⋯")').first();
-  if (await ellipsis.isVisible().catch(() => false)) return ellipsis;
-
-  const byClass = page.locator('[class*="more-button"], [class*="moreButton"], [class*="menu-trigger"]').first();
-  if (await byClass.isVisible().catch(() => false)) return byClass;
-
   return null;
 }
 
 async function findMembershipMenuItem(page) {
-  const byText = page.locator('text=メンバーシップ特典').first();
-  if (await byText.isVisible().catch(() => false)) return byText;
-
-  const byPartial = page.locator('text=メンバーシップ').first();
-  if (await byPartial.isVisible().catch(() => false)) return byPartial;
+  const byText = await sel.findVisible(page, 'articleMembershipMenuItem');
+  if (byText) return byText;
 
-  const menuItems = page.locator('[role="menuitem"], [class*="dropdown"] a, [class*="menu"] a, [class*="popup"] a, [class*="menu"] li');
+  const menuItems = sel.anyOf(page, 'menuItem');
   const count = await menuItems.count();
   for (let i = 0; i < count; i++) {
     const item = menuItems.nth(i);
@@ -408,14 +460,14 @@ async function findMembershipMenuItem(page) {
 
 async function findPlanAddButton(page, planPattern, planName) {
   try {
-    const listItems = page.locator('[class*="modal"] li, [role="dialog"] li, [class*="Modal"] li');
+    const listItems = sel.anyOf(page, 'modalListItem');
     const count = await listItems.count();
     for (let i = 0; i < count; i++) {
       const item = listItems.nth(i);
       const text = await item.textContent().catch(() => '');
       if (text.includes(planPattern)) {
         if (text.includes('追加済') || text.includes('解除')) return 'already_added';
-        const addBtn = item.locator('button:has-text("追加")').first();
+        const addBtn = sel.anyOf(item, 'addButton').first();
         if (await addBtn.isVisible().catch(() => false)) {
           const btnText = await addBtn.textContent().catch(() => '');
           return btnText.includes('追加済') ? 'already_added' : addBtn;
@@ -431,7 +483,7 @@ async function findPlanAddButton(page, planPattern, planName) {
         const parent = planText.locator(ancestor).first();
         const fullText = await parent.textContent().catch(() => '');
         if (fullText.includes('追加済') || fullText.includes('解除')) return 'already_added';
-        const addBtn = parent.locator('button:has-text("追加")').first();
+        const addBtn = sel.anyOf(parent, 'addButton').first();
         if (await addBtn.isVisible().catch(() => false)) {
           const btnText = await addBtn.textContent().catch(() => '');
           if (!btnText.includes('追加済')) return addBtn;
@@ -445,7 +497,7 @@ async function findPlanAddButton(page, planPattern, planName) {
 
 async function closeModal(page) {
   try {
-    const closeBtn = page.locator('button:has-text("閉じる")').first();
+    const closeBtn = sel.anyOf(page, 'closeButton').first();
     if (await closeBtn.isVisible().catch(() => false)) {
       await closeBtn.click();
       await page.waitForTimeout(500);
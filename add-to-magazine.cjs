@@ -2,6 +2,7 @@ const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { pathToFileURL } = require('url');
 
 // ========== 設定 ==========
 const STATE_PATH = process.env.NOTE_POST_MCP_STATE_PATH || path.join(os.homedir(), '.note-state.json');
@@ -49,6 +50,41 @@ function log(msg) {
   fs.appendFileSync(LOG_FILE, line + '\n');
 }
 
+/**
+ * レート制限（src/rate-limit.ts、バッチ投稿と同じ仕組み）を読み込む。事前に npm run build が必要
+ * 1時間・1日の上限はマガジン操作（scope: magazine）だけで数える
+ * @returns {Promise<object>} - RateLimiter
+ */
+async function createRateLimiter() {
+  const { RateLimiter } = await import(pathToFileURL(path.join(__dirname, 'build', 'rate-limit.js')).href);
+  return new RateLimiter('magazine', { minInterval: 3000, perHour: 200, perDay: 1000 }, { log });
+}
+
+/**
+ * ログイン状態の確認（src/auth.ts、MCPツールと同じ確認）を読み込む。事前に npm run build が必要
+ * @returns {Promise<object>} - checkStateFile / ensureLoggedIn
+ */
+async function loadAuth() {
+  return import(pathToFileURL(path.join(__dirname, 'build', 'auth.js')).href);
+}
+
+/**
+ * 画面の要素のセレクター（src/selectors.ts、MCPツールと同じ候補）を読み込む。事前に npm run build が必要
+ * @returns {Promise<object>} - queryFirst / queryAll
+ */
+async function loadSelectors() {
+  return import(pathToFileURL(path.join(__dirname, 'build', 'selectors.js')).href);
+}
+
+/**
+ * 開くnoteのURL（src/urls.ts、設定ファイル・環境変数を反映したもの）を読み込む。事前に npm run build が必要
+ * @returns {Promise<object>} - noteOrigin / notes など
+ */
+async function loadUrls() {
+  const { noteUrls } = await import(pathToFileURL(path.join(__dirname, 'build', 'urls.js')).href);
+  return noteUrls();
+}
+
 /**
  * 記事タイトルから適切なマガジンを判定
  * @param {string} title - 記事タイトル
@@ -96,14 +132,27 @@ async function main() {
   }
   log('============================================================');
 
-  // 認証状態を読み込み
-  if (!fs.existsSync(STATE_PATH)) {
-    log(`エラー: 認証状態ファイルが見つかりません: ${STATE_PATH}`);
-    log('先にnote-post MCPでログインしてください');
+  // 認証状態ファイルを確認（ファイルがない・Cookieが切れている場合はブラウザを起動しない）
+  let auth;
+  let sel;
+  let urls;
+  try {
+    auth = await loadAuth();
+    sel = await loadSelectors();
+    urls = await loadUrls();
+  } catch (e) {
+    log(`エラー: ログイン確認の読み込みに失敗しました（先に npm run build を実行してください）: ${e.message}`);
+    process.exit(1);
+  }
+  // 暗号化されている場合は復号した内容を使う
+  let state;
+  try {
+    state = auth.checkStateFile(STATE_PATH);
+  } catch (e) {
+    log(`エラー [${e.code}]: ${e.message}`);
+    log('先に npm run login でログインしてください');
     process.exit(1);
   }
-
-  const state = JSON.parse(fs.readFileSync(STATE_PATH, 'utf-8'));
 
   const browser = await chromium.launch({
     headless: true,
@@ -117,30 +166,39 @@ async function main() {
 
   const page = await context.newPage();
 
+  let limiter;
   try {
-    // 記事一覧ページに移動
-    log('記事一覧ページに移動中...');
-    await page.goto('https://note.com/notes', { waitUntil: 'networkidle' });
-    await page.waitForTimeout(2000);
+    limiter = await createRateLimiter();
+  } catch (e) {
+    log(`エラー: レート制限の読み込みに失敗しました（先に npm run build を実行してください）: ${e.message}`);
+    await browser.close();
+    process.exit(1);
+  }
+  limiter.watch(page);
 
+  try {
     // ログイン確認
-    const loginBtn = await page.$('a[href*="login"]');
-    if (loginBtn) {
-      log('エラー: ログインが必要です');
+    try {
+      const status = await auth.ensureLoggedIn(context, STATE_PATH);
+      log(`ログイン確認OK: ${status.urlname ?? '(ユーザー名不明)'}${status.cookiesExpireAt ? `（有効期限: ${status.cookiesExpireAt}）` : ''}`);
+    } catch (e) {
+      log(`エラー [${e.code ?? 'UNKNOWN'}]: ${e.message}`);
+      log('npm run login で再ログインしてください');
       await browser.close();
       process.exit(1);
     }
-    log('ログイン確認OK');
+
+    // 記事一覧ページに移動
+    log('記事一覧ページに移動中...');
+    await page.goto(urls.notes, { waitUntil: 'networkidle' });
+    await page.waitForTimeout(2000);
 
     // Step 1: 「期間」フィルターをクリック
     // 期間フィルター処理（--all オプションの場合はスキップ）
     if (!PROCESS_ALL_PERIODS) {
       log('期間フィルターを探索中...');
 
-      const periodButton = await page.$('button:has-text("期間")') ||
-                           await page.$('[data-testid*="period"]') ||
-                           await page.$('.filter-period') ||
-                           await page.$('text=期間');
+      const periodButton = await sel.queryFirst(page, 'notesPeriodFilter');
 
       if (periodButton) {
         log('期間フィルターボタンを発見、クリック...');
@@ -177,7 +235,7 @@ async function main() {
     // Step 3: 記事リストを取得
     log('記事リストを取得中...');
 
-    let articles = await page.$$('.o-articleList__item');
+    let articles = await sel.queryAll(page, 'notesListItem');
 
     log(`記事数: ${articles.length}`);
 
@@ -212,7 +270,7 @@ async function main() {
 
       try {
         // 記事リストを再取得（DOMが変わる可能性があるため）
-        articles = await page.$$('.o-articleList__item');
+        articles = await sel.queryAll(page, 'notesListItem');
 
         if (i >= articles.length) {
           log('  記事がなくなりました');
@@ -222,8 +280,7 @@ async function main() {
         const article = articles[i];
 
         // 記事タイトルを取得
-        // note.comの記事リストは .o-articleList__heading クラスにタイトルがある
-        const titleEl = await article.$('.o-articleList__heading');
+        const titleEl = await sel.queryFirst(article, 'notesListHeading');
         const title = titleEl ? (await titleEl.textContent())?.trim() : '(タイトル不明)';
         log(`  タイトル: ${title.substring(0, 60)}...`);
 
@@ -249,9 +306,7 @@ async function main() {
         log(`  → 対象マガジン: ${targetMagazine}`);
 
         // 三点リーダー（メニュー）を探す
-        const menuButton = await article.$('.o-articleList__more') ||
-                           await article.$('[class*="more"]') ||
-                           await article.$('button:has(svg)');
+        const menuButton = await sel.queryFirst(article, 'notesListMore');
 
         if (!menuButton) {
           log('  警告: メニューボタンが見つかりません、スキップ');
@@ -264,9 +319,7 @@ async function main() {
         await page.waitForTimeout(500);
 
         // 「メンバーシップ特典追加・解除」をクリック
-        const membershipOption = await page.$('text=メンバーシップ特典追加') ||
-                                 await page.$('[data-testid*="membership"]') ||
-                                 await page.$('text=特典');
+        const membershipOption = await sel.queryFirst(page, 'notesMembershipMenuItem');
 
         if (!membershipOption) {
           log('  警告: メンバーシップオプションが見つかりません、スキップ');
@@ -304,7 +357,7 @@ async function main() {
           // 方法1: モーダル内のli要素からプランを検索
           log(`  方法1: モーダル内のプラン一覧を検索（キーワード: ${searchKeyword}）...`);
 
-          const modalBody = await page.$('.m-basicModalContent__body');
+          const modalBody = await sel.queryFirst(page, 'membershipModalBody');
           if (modalBody) {
             const planItems = await modalBody.$$('li');
             log(`  プラン項目数: ${planItems.length}`);
@@ -316,7 +369,7 @@ async function main() {
                 log(`  プラン「${searchKeyword}」を含む項目を発見: "${itemText?.substring(0, 50)}..."`);
 
                 // この項目内のボタンを探す
-                const btn = await item.$('button.a-button') || await item.$('button');
+                const btn = await sel.queryFirst(item, 'modalItemButton');
                 if (btn) {
                   const btnText = await btn.textContent();
                   log(`  ボタンテキスト: "${btnText?.trim()}"`);
@@ -345,7 +398,7 @@ async function main() {
           log(`  方法2: ボタンインデックスで検索（${targetButtonIndex}番目の追加ボタン）...`);
 
           try {
-            const allModalButtons = await page.$$('.modal-content-wrapper button.a-button');
+            const allModalButtons = await sel.queryAll(page, 'membershipModalButton');
             log(`  モーダル内ボタン数: ${allModalButtons.length}`);
 
             let addButtonCount = 0;
@@ -376,8 +429,7 @@ async function main() {
 
         // すでに追加済みの場合はスキップ
         if (alreadyAdded) {
-          const closeBtn = await page.$('button:has-text("閉じる")') ||
-                           await page.$('button:has-text("キャンセル")');
+          const closeBtn = await sel.queryFirst(page, 'closeButton') || await sel.queryFirst(page, 'cancelButton');
           if (closeBtn) {
             await closeBtn.click();
           } else {
@@ -400,8 +452,7 @@ async function main() {
           );
           log(`  可視ボタン: ${JSON.stringify(buttons.slice(0, 10))}`);
 
-          const closeBtn = await page.$('button:has-text("閉じる")') ||
-                           await page.$('button:has-text("キャンセル")');
+          const closeBtn = await sel.queryFirst(page, 'closeButton') || await sel.queryFirst(page, 'cancelButton');
           if (closeBtn) {
             await closeBtn.click();
           } else {
@@ -415,7 +466,7 @@ async function main() {
         if (DRY_RUN) {
           log(`  [ドライラン] メンバーシップ「${targetMagazine}」への追加をスキップ`);
           // モーダルを閉じる
-          const closeBtn = await page.$('button:has-text("閉じる")');
+          const closeBtn = await sel.queryFirst(page, 'closeButton');
           if (closeBtn) {
             await closeBtn.click();
           } else {
@@ -426,15 +477,14 @@ async function main() {
           continue;
         }
 
-        // 追加ボタンをクリック
+        // 追加ボタンをクリック（レート制限の範囲内で）
+        await limiter.wait();
         log(`  メンバーシップ「${targetMagazine}」に追加中...`);
         await addButton.click();
         await page.waitForTimeout(1500);
 
         // 確認モーダルがあれば処理
-        const confirmButton = await page.$('button:has-text("OK")') ||
-                              await page.$('button:has-text("確定")') ||
-                              await page.$('button:has-text("はい")');
+        const confirmButton = await sel.queryFirst(page, 'confirmButton');
         if (confirmButton) {
           const isVisible = await confirmButton.isVisible();
           if (isVisible) {
@@ -446,10 +496,11 @@ async function main() {
 
         log(`  成功: メンバーシップ「${targetMagazine}」に追加しました`);
         added++;
+        limiter.record();
 
         // モーダルを閉じる
         await page.waitForTimeout(1000);
-        const closeButton = await page.$('button:has-text("閉じる")');
+        const closeButton = await sel.queryFirst(page, 'closeButton');
         if (closeButton) {
           const isVisible = await closeButton.isVisible();
           if (isVisible) {
@@ -467,6 +518,12 @@ async function main() {
         await page.keyboard.press('Escape');
         await page.waitForTimeout(500);
       }
+
+      // エラーのトーストやHTTP 429が出ていれば休止する
+      const symptom = await limiter.detect(page);
+      if (symptom) {
+        await limiter.pause(symptom);
+      }
     }
 
     // 結果サマリー
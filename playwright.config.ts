@@ -0,0 +1,32 @@
+// E2Eテストの設定（npm run test:e2e）
+//
+// モックのnote.com（test/e2e/mock-note.mjs）を起動し、投稿処理が開くオリジンをそこに向ける。
+// 起動済みのモックや別のホストを使う場合は NOTE_POST_MCP_E2E_BASE_URL を指定する（モックは起動しない）。
+
+import { defineConfig } from '@playwright/test';
+import * as os from 'os';
+import * as path from 'path';
+
+const port = parseInt(process.env.NOTE_POST_MCP_E2E_PORT ?? '4010', 10);
+const baseURL = (process.env.NOTE_POST_MCP_E2E_BASE_URL || `http://127.0.0.1:${port}`).replace(/\/+$/, '');
+
+// 本物のnote.comに投稿しないよう、テスト中は常にモックを開く（ワーカーもこの設定を読み込む）
+process.env.NOTE_POST_MCP_NOTE_ORIGIN = baseURL;
+process.env.NOTE_POST_MCP_EDITOR_ORIGIN = baseURL;
+// 投稿台帳は普段のものと分ける
+process.env.NOTE_POST_MCP_LEDGER_PATH = path.join(os.tmpdir(), 'note-post-mcp-e2e', 'ledger.json');
+
+export default defineConfig({
+  testDir: 'test/e2e',
+  timeout: 120000,
+  // ブラウザのクリップボードを使って本文を貼り付けるため、1つずつ実行する
+  workers: 1,
+  fullyParallel: false,
+  reporter: process.env.CI ? 'list' : [['list'], ['html', { open: 'never' }]],
+  use: { baseURL },
+  webServer: process.env.NOTE_POST_MCP_E2E_BASE_URL ? undefined : {
+    command: `node test/e2e/mock-note.mjs --port ${port}`,
+    url: `${baseURL}/__mock/health`,
+    reuseExistingServer: !process.env.CI,
+  },
+});
@@ -0,0 +1,11 @@
+// ユニットテストの設定（npm test）
+//
+// 記事の解釈（src/core.ts）、セレクターの自己診断の分類、ファイルの更新ロックだけを調べるため、ブラウザもモックのnote.comも使わない。
+
+import { defineConfig } from '@playwright/test';
+
+export default defineConfig({
+  testDir: 'test/unit',
+  timeout: 10000,
+  reporter: 'list',
+});
@@ -1,8 +1,10 @@
 const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const { pathToFileURL } = require('url');
 
-const STATE_PATH = '/home/sol/.note-state.json';
+const STATE_PATH = process.env.NOTE_POST_MCP_STATE_PATH || path.join(os.homedir(), '.note-state.json');
 const ARTICLE_PATH = process.argv[2];
 const THUMBNAIL_PATH = process.argv[3] || null;
 
@@ -16,6 +18,34 @@ function log(msg) {
   console.log(`[${timestamp}] ${msg}`);
 }
 
+// 投稿台帳に記録する（ビルド済みの build/ledger.js を使用。未ビルドの場合は記録しない）
+async function recordToLedger(record) {
+  try {
+    const { recordPublish } = await import(pathToFileURL(path.join(__dirname, 'build', 'ledger.js')).href);
+    recordPublish(record);
+  } catch (e) {
+    log(`  警告: 投稿台帳に記録できませんでした - ${e.message}`);
+  }
+}
+
+// ログイン状態の確認（ビルド済みの build/auth.js を使用。MCPツールと同じ確認）
+async function loadAuth() {
+  return import(pathToFileURL(path.join(__dirname, 'build', 'auth.js')).href);
+}
+
+// 画面の要素のセレクター（ビルド済みの build/selectors.js を使用。MCPツールと同じ候補）
+let sel = null;
+async function loadSelectors() {
+  return import(pathToFileURL(path.join(__dirname, 'build', 'selectors.js')).href);
+}
+
+// 開くnoteのURL（ビルド済みの build/urls.js を使用。設定ファイル・環境変数を反映したもの）
+let urls = null;
+async function loadUrls() {
+  const { noteUrls } = await import(pathToFileURL(path.join(__dirname, 'build', 'urls.js')).href);
+  return noteUrls();
+}
+
 function parseMarkdown(content) {
   const lines = content.split('\n');
   let title = '';
@@ -116,24 +146,25 @@ async function publishArticle(page, filePath, thumbnailPath) {
   log(`有料ライン: ${hasPaidLine ? 'あり' : 'なし'}`);
 
   // 新規記事ページに移動
-  await page.goto('https://editor.note.com/new', { waitUntil: 'networkidle', timeout: 60000 });
-  await page.waitForSelector('textarea[placeholder*="タイトル"]', { timeout: 60000 });
+  await page.goto(urls.newNote, { waitUntil: 'networkidle', timeout: 60000 });
+  const titleInput = sel.anyOf(page, 'titleInput').first();
+  await titleInput.waitFor({ timeout: 60000 });
 
   // タイトル入力
-  await page.fill('textarea[placeholder*="タイトル"]', title);
+  await titleInput.fill(title);
 
   // サムネイル画像の設定（エディター画面で設定）
   if (thumbnailPath && fs.existsSync(thumbnailPath)) {
     log(`サムネイル設定中: ${thumbnailPath}`);
 
     // 「画像を追加」ボタン（ヘッダー画像用）を探す
-    const imgAddBtn = page.locator('button[aria-label="画像を追加"]').first();
+    const imgAddBtn = sel.anyOf(page, 'thumbnailAddButton').first();
     if (await imgAddBtn.isVisible({ timeout: 5000 }).catch(() => false)) {
       await imgAddBtn.click({ force: true });
       await page.waitForTimeout(300);
 
       // 「画像をアップロード」ボタンをクリック
-      const uploadBtn = page.locator('button:has-text("画像をアップロード")').first();
+      const uploadBtn = sel.anyOf(page, 'thumbnailUploadButton').first();
       if (await uploadBtn.isVisible({ timeout: 3000 }).catch(() => false)) {
         // ファイル選択ダイアログを待機
         const [fileChooser] = await Promise.all([
@@ -146,7 +177,7 @@ async function publishArticle(page, filePath, thumbnailPath) {
           log(`  サムネイルファイルをアップロード`);
         } else {
           // フォールバック: 直接input[type="file"]に設定
-          const fileInput = page.locator('input[type="file"]').first();
+          const fileInput = sel.anyOf(page, 'fileInput').first();
           if (await fileInput.count() > 0) {
             await fileInput.setInputFiles(thumbnailPath);
             log(`  サムネイルファイルを設定（フォールバック）`);
@@ -155,9 +186,9 @@ async function publishArticle(page, filePath, thumbnailPath) {
 
         // トリミングダイアログの「保存」ボタンを待機してクリック
         await page.waitForTimeout(1000);
-        const dialog = page.locator('div[role="dialog"]');
+        const dialog = sel.anyOf(page, 'dialog').first();
         if (await dialog.isVisible({ timeout: 5000 }).catch(() => false)) {
-          const saveBtn = dialog.locator('button:has-text("保存")').first();
+          const saveBtn = sel.anyOf(dialog, 'thumbnailSaveButton').first();
           if (await saveBtn.isVisible().catch(() => false)) {
             await saveBtn.click({ force: true });
             log(`  サムネイルを保存`);
@@ -190,7 +221,7 @@ async function publishArticle(page, filePath, thumbnailPath) {
   }
 
   // 本文入力（画像がある場合は分割挿入）
-  const bodyBox = page.locator('div[contenteditable="true"][role="textbox"]').first();
+  const bodyBox = sel.anyOf(page, 'bodyEditor').first();
   await bodyBox.waitFor({ state: 'visible' });
   await bodyBox.click();
 
@@ -267,7 +298,7 @@ async function publishArticle(page, filePath, thumbnailPath) {
   await page.waitForTimeout(10000);
 
   // 公開に進む（長い記事の場合レンダリングに時間がかかる）
-  const proceedBtn = page.locator('button:has-text("公開に進む")').first();
+  const proceedBtn = sel.anyOf(page, 'proceedButton').first();
   await proceedBtn.waitFor({ state: 'visible', timeout: 60000 });
 
   // ボタンが有効になるまで待機
@@ -307,11 +338,8 @@ async function publishArticle(page, filePath, thumbnailPath) {
   // タグ入力
   if (tags.length > 0) {
     log(`タグを入力中...`);
-    let tagInput = page.locator('input[placeholder*="ハッシュタグ"]').first();
-    if (!(await tagInput.isVisible().catch(() => false))) {
-      tagInput = page.locator('input[role="combobox"]').first();
-    }
-    if (await tagInput.isVisible().catch(() => false)) {
+    const tagInput = await sel.findVisible(page, 'tagInput');
+    if (tagInput) {
       for (const tag of tags) {
         await tagInput.click();
         await tagInput.fill(tag);
@@ -324,14 +352,14 @@ async function publishArticle(page, filePath, thumbnailPath) {
   // 有料設定
   let isPaidArticle = false;
   if (price && price >= 100) {
-    const paidLabel = page.locator('label:has-text("有料")').first();
+    const paidLabel = sel.anyOf(page, 'paidLabel').first();
     if (await paidLabel.isVisible().catch(() => false)) {
       await paidLabel.click();
       isPaidArticle = true;
       await page.waitForTimeout(1500); // 長い記事用に延長
 
       // 価格入力
-      const priceInput = page.locator('input[type="text"][placeholder="300"]').first();
+      const priceInput = sel.anyOf(page, 'priceInput').first();
       if (await priceInput.isVisible().catch(() => false)) {
         await priceInput.fill('');
         await priceInput.fill(String(price));
@@ -355,8 +383,8 @@ async function publishArticle(page, filePath, thumbnailPath) {
   }
 
   // 有料記事の場合: 「有料エリア設定」→「投稿する」の2段階
-  const paidAreaBtn = page.locator('button:has-text("有料エリア設定")').first();
-  let publishBtn = page.locator('button:has-text("投稿する")').first();
+  const paidAreaBtn = sel.anyOf(page, 'paidAreaButton').first();
+  let publishBtn = sel.anyOf(page, 'publishButton').first();
 
   await page.waitForTimeout(1000);
   if (await paidAreaBtn.isVisible().catch(() => false)) {
@@ -399,7 +427,7 @@ async function publishArticle(page, filePath, thumbnailPath) {
       }
 
       // 「ラインをこの場所に変更」ボタンをすべて取得
-      const changeLineButtons = page.locator('button:has-text("ラインをこの場所に変更")');
+      const changeLineButtons = sel.anyOf(page, 'paidLineChangeButton');
       const btnCount = await changeLineButtons.count().catch(() => 0);
       log(`  「ラインをこの場所に変更」ボタン: ${btnCount}個`);
 
@@ -418,7 +446,7 @@ async function publishArticle(page, filePath, thumbnailPath) {
       log(`  有料ラインが最初の位置のため、デフォルト設定を使用`);
     }
 
-    publishBtn = page.locator('button:has-text("投稿する")').first();
+    publishBtn = sel.anyOf(page, 'publishButton').first();
     await publishBtn.waitFor({ state: 'visible', timeout: 60000 });
   } else if (isPaidArticle) {
     log(`警告: 有料記事だが有料エリア設定ボタンが見つかりません`);
@@ -436,14 +464,7 @@ async function publishArticle(page, filePath, thumbnailPath) {
   log(`投稿ボタンをクリック`);
 
   // 確認モーダルの「OK」ボタンをクリック
-  const okSelectors = [
-    '[role="dialog"] button:first-of-type',
-    'button:has-text("OK")',
-    'button:has-text("ok")',
-    'button:has-text("確認")',
-    'button:has-text("はい")',
-    '.modal button:first-of-type',
-  ];
+  const okSelectors = sel.selectorCandidates('publishConfirmButton');
   let modalClicked = false;
   for (let attempt = 0; attempt < 10; attempt++) {
     await page.waitForTimeout(500);
@@ -470,7 +491,7 @@ async function publishArticle(page, filePath, thumbnailPath) {
       published = true;
       break;
     }
-    const successText = await page.locator('text=投稿しました').first().isVisible().catch(() => false);
+    const successText = await sel.anyOf(page, 'publishedMessage').first().isVisible().catch(() => false);
     if (successText) {
       published = true;
       await page.waitForTimeout(2000);
@@ -485,6 +506,7 @@ async function publishArticle(page, filePath, thumbnailPath) {
 
   const finalUrl = page.url();
   log(`投稿完了: ${finalUrl}`);
+  await recordToLedger({ sourcePath: filePath, url: finalUrl, status: 'published', title, price });
   return finalUrl;
 }
 
@@ -495,18 +517,48 @@ async function main() {
     log(`サムネイル: ${THUMBNAIL_PATH}`);
   }
 
+  // 認証状態ファイルを確認（ファイルがない・Cookieが切れている場合はブラウザを起動しない）
+  let auth;
+  try {
+    auth = await loadAuth();
+    sel = await loadSelectors();
+    urls = await loadUrls();
+  } catch (e) {
+    log(`エラー: ログイン確認の読み込みに失敗しました（先に npm run build を実行してください）: ${e.message}`);
+    process.exit(1);
+  }
+  // 暗号化されている場合は復号した内容を使う
+  let storageState;
+  try {
+    storageState = auth.checkStateFile(STATE_PATH);
+  } catch (e) {
+    log(`エラー [${e.code}]: ${e.message}`);
+    process.exit(1);
+  }
+
   const browser = await chromium.launch({
     headless: true,
     args: ['--lang=ja-JP'],
   });
 
   const context = await browser.newContext({
-    storageState: STATE_PATH,
+    storageState,
     locale: 'ja-JP',
     permissions: ['clipboard-read', 'clipboard-write'],
     userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
   });
-  await context.grantPermissions(['clipboard-read', 'clipboard-write'], { origin: 'https://editor.note.com' });
+  await context.grantPermissions(['clipboard-read', 'clipboard-write'], { origin: urls.editorOrigin });
+
+  // ログインが切れていればエディタを開く前に止める
+  try {
+    const status = await auth.ensureLoggedIn(context, STATE_PATH);
+    log(`ログイン確認OK: ${status.urlname ?? '(ユーザー名不明)'}`);
+  } catch (e) {
+    log(`エラー [${e.code ?? 'UNKNOWN'}]: ${e.message}`);
+    log('npm run login で再ログインしてください');
+    await browser.close();
+    process.exit(1);
+  }
 
   const page = await context.newPage();
   page.setDefaultTimeout(180000);
@@ -1,15 +1,74 @@
 #!/usr/bin/env node
 // note.comログインスクリプト
+//
+// Usage:
+//   npm run login                        デフォルトの認証状態ファイルに保存
+//   npm run login -- --profile <名前>    プロファイル（~/.note-post-mcp/profiles/<名前>.json）に保存
+//   npm run login -- --headless          画面を開かず、環境変数または暗号化ファイルのログイン情報でログイン
+//                                        （npm run build が必要。note-post-mcp login と同じ）
+//
+// NOTE_POST_MCP_STATE_KEY か NOTE_POST_MCP_STATE_KEY_FILE を設定すると、認証状態を暗号化して保存する
+// （npm run build が必要）。保存したファイルは本人だけが読めるパーミッション（0600）にする。
 
 import { chromium } from 'playwright';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
 
-const STATE_PATH = process.env.NOTE_POST_MCP_STATE_PATH || path.join(os.homedir(), '.note-state.json');
+// プロファイルの保存先（src/profiles.ts と同じ）
+const PROFILES_DIR = process.env.NOTE_POST_MCP_PROFILES_DIR || path.join(os.homedir(), '.note-post-mcp', 'profiles');
+
+function getArg(name) {
+  const idx = process.argv.indexOf(`--${name}`);
+  return idx === -1 ? undefined : process.argv[idx + 1];
+}
+
+// ヘッドレスログインは build/cli.js に任せる
+if (process.argv.includes('--headless')) {
+  const { runCli } = await import('../build/cli.js');
+  await runCli(['login', ...process.argv.slice(2).filter(arg => arg !== '--headless')]);
+  process.exit(process.exitCode ?? 0);
+}
+
+const PROFILE = getArg('profile');
+if (PROFILE !== undefined && !/^[A-Za-z0-9_-]+$/.test(PROFILE)) {
+  console.error('プロファイル名には英数字・ハイフン・アンダースコアだけを使ってください:', PROFILE);
+  process.exit(1);
+}
+
+const STATE_PATH = PROFILE
+  ? path.join(PROFILES_DIR, `${PROFILE}.json`)
+  : process.env.NOTE_POST_MCP_STATE_PATH || path.join(os.homedir(), '.note-state.json');
+
+// 暗号化は build/auth.js に任せる（ログインしてから失敗しないよう、先に読み込む）
+const ENCRYPT = Boolean(process.env.NOTE_POST_MCP_STATE_KEY || process.env.NOTE_POST_MCP_STATE_KEY_FILE);
+const auth = ENCRYPT ? await import('../build/auth.js') : null;
+
+// 開くURLは build/urls.js（設定ファイル・環境変数を反映）に任せる。未ビルドなら環境変数か本番のnote.com
+const urls = await import('../build/urls.js').then(
+  module => module.noteUrls(),
+  () => {
+    const noteOrigin = process.env.NOTE_POST_MCP_NOTE_ORIGIN || 'https://note.com';
+    const editorOrigin = process.env.NOTE_POST_MCP_EDITOR_ORIGIN || 'https://editor.note.com';
+    return { noteOrigin, login: `${noteOrigin}/login`, newNote: `${editorOrigin}/new` };
+  },
+);
+
+// 一時ファイルに書いてから置き換え、本人だけが読めるようにする
+function saveState(state) {
+  if (auth) {
+    auth.writeStorageState(STATE_PATH, state);
+    return;
+  }
+  fs.mkdirSync(path.dirname(STATE_PATH), { recursive: true });
+  const tmpPath = `${STATE_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2), { mode: 0o600 });
+  fs.renameSync(tmpPath, STATE_PATH);
+}
 
 async function login() {
   console.log('note.comログインスクリプトを開始します...');
+  if (PROFILE) console.log('プロファイル:', PROFILE);
   console.log('認証状態保存先:', STATE_PATH);
 
   const browser = await chromium.launch({ headless: false });
@@ -17,27 +76,27 @@ async function login() {
   const page = await context.newPage();
 
   try {
-    await page.goto('https://note.com/login', { waitUntil: 'networkidle' });
+    await page.goto(urls.login, { waitUntil: 'networkidle' });
     console.log('\nブラウザでnote.comにログインしてください。');
     console.log('ログイン完了後、マイページに移動してください。');
     console.log('準備ができたら、このターミナルでEnterキーを押してください...\n');
 
     // ユーザーがログインするまで待機（最大5分）
-    await page.waitForURL(/note\.com\/(?!login)/, { timeout: 300000 });
+    await page.waitForURL(url => url.href.startsWith(`${urls.noteOrigin}/`) && !url.href.startsWith(urls.login), { timeout: 300000 });
 
     console.log('ログイン検出しました。');
 
     // エディタページにもアクセスして、editor.note.comドメインのcookieも取得
     console.log('エディタページにアクセスしてcookieを取得中...');
-    await page.goto('https://editor.note.com/new', { waitUntil: 'networkidle', timeout: 60000 });
+    await page.goto(urls.newNote, { waitUntil: 'networkidle', timeout: 60000 });
     await page.waitForTimeout(3000);
 
     console.log('認証状態を保存しています...');
 
     // 認証状態を保存
-    await context.storageState({ path: STATE_PATH });
+    saveState(await context.storageState());
 
-    console.log('認証状態を保存しました:', STATE_PATH);
+    console.log(ENCRYPT ? '認証状態を暗号化して保存しました:' : '認証状態を保存しました:', STATE_PATH);
     console.log('\nブラウザを閉じます...');
 
     await browser.close();
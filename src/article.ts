@@ -0,0 +1,258 @@
+// 記事Markdownの解釈（Front Matter・本文・画像・有料ライン・タグ・メンバーシップ）
+//
+// ブラウザを使わない純粋な処理のみを置き、投稿処理とドライランの両方から使う。
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { splitFrontMatter } from './frontmatter.js';
+import { log } from './log.js';
+import { markdownToPlainText } from './note-html.js';
+
+// 画像情報の型定義
+export interface ImageInfo {
+  alt: string;
+  localPath: string;
+  absolutePath: string;
+  placeholder: string;
+}
+
+// 見つからなかったローカル画像
+export interface MissingImage {
+  alt: string;
+  localPath: string;
+  absolutePath: string;
+}
+
+// Markdown中のローカル画像を、存在するものと存在しないものに分けて返す
+export function scanImages(markdown: string, baseDir: string): { images: ImageInfo[]; missing: MissingImage[] } {
+  const imageRegex = /!\[([^\]]*)\]\(([^)]+)\)/g;
+  const images: ImageInfo[] = [];
+  const missing: MissingImage[] = [];
+  let match;
+
+  while ((match = imageRegex.exec(markdown)) !== null) {
+    const alt = match[1] || 'image';
+    const imagePath = match[2];
+    
+    // URLではなくローカルパスの場合のみ処理
+    if (!imagePath.startsWith('http://') && !imagePath.startsWith('https://')) {
+      const absolutePath = path.resolve(baseDir, imagePath);
+      if (fs.existsSync(absolutePath)) {
+        images.push({
+          alt,
+          localPath: imagePath,
+          absolutePath,
+          placeholder: match[0], // 元のマークダウン記法全体
+        });
+      } else {
+        missing.push({ alt, localPath: imagePath, absolutePath });
+      }
+    }
+  }
+
+  return { images, missing };
+}
+
+// Markdownから画像パスを抽出する関数
+export function extractImages(markdown: string, baseDir: string): ImageInfo[] {
+  const { images, missing } = scanImages(markdown, baseDir);
+  for (const image of missing) {
+    log(`Warning: Image file not found: ${image.absolutePath}`);
+  }
+  return images;
+}
+
+// パース結果の型定義
+export interface ParsedMarkdown {
+  title: string;
+  body: string;
+  tags: string[];
+  price?: number;           // 有料価格（100-50000円）
+  paidLineIndex?: number;   // 有料ラインの段落番号（0始まり）
+  paidLineSearchText?: string; // 有料ラインの直前段落のテキスト（検索用）
+  paidLineOffset?: number;  // 本文（body）中で有料部分が始まる文字位置
+  magazine?: string;        // 追加するマガジン名
+  membership?: string;      // 追加するメンバーシッププラン（light, paper, standard, premium, all）
+  postToTwitter?: boolean;  // Twitter(X)に投稿するかどうか
+  publishAt?: string;       // 予約投稿の日時（publish_at）
+  extra: Record<string, unknown>; // Front Matterの未知のキー（拡張用）
+}
+
+// Markdownファイルをパースする関数
+// Front MatterはYAMLとして検証し、不正な場合は行・列付きのFrontMatterErrorを投げる
+export function parseMarkdown(content: string): ParsedMarkdown {
+  const { frontMatter, body: rawBody } = splitFrontMatter(content);
+  const lines = rawBody.split('\n');
+  let title = frontMatter.title ?? '';
+  let body = '';
+  let paidLineIndex: number | undefined;
+  let paidLineSearchText: string | undefined;
+  let paidLineOffset: number | undefined;
+
+  // 有料ライン位置計算用（batch-publish.cjsと同じロジック）
+  let currentParagraphIndex = 0;
+  let lastLineWasEmpty = true;
+  let currentParagraphText = '';
+
+  for (const line of lines) {
+    // タイトルを # から抽出（front matterにタイトルがない場合）
+    if (!title && line.startsWith('# ')) {
+      title = line.substring(2).trim();
+      continue;
+    }
+
+    // 有料ラインマーカーを検出: <!-- paid --> または <!-- 有料 -->
+    // 検出時に、直前の段落テキストを記録
+    if (line.trim().match(/^<!--\s*(paid|有料)\s*-->$/i)) {
+      paidLineIndex = currentParagraphIndex;
+      // 本文はHTMLに変換して貼り付けるため、書式記号を除いた表示テキストで検索する
+      paidLineSearchText = markdownToPlainText(currentParagraphText.trim()).trim().substring(0, 30);
+      paidLineOffset = body.length;
+      continue; // マーカー行自体は本文に含めない
+    }
+
+    // 本文を追加
+    body += line + '\n';
+
+    // 段落をカウント（空行から内容のある行に変わった時に新しい段落）
+    if (line.trim() !== '' && lastLineWasEmpty) {
+      currentParagraphIndex++;
+      currentParagraphText = line;
+    } else if (line.trim() !== '') {
+      currentParagraphText += ' ' + line;
+    }
+    lastLineWasEmpty = line.trim() === '';
+  }
+
+  // 本文先頭の空白を除いた分だけ有料ラインの位置をずらす
+  const leading = body.length - body.trimStart().length;
+
+  return {
+    title: title || 'Untitled',
+    body: body.trim(),
+    tags: frontMatter.tags,
+    price: frontMatter.price,
+    paidLineIndex,
+    paidLineSearchText,
+    paidLineOffset: paidLineOffset === undefined ? undefined : Math.max(0, paidLineOffset - leading),
+    magazine: frontMatter.magazine,
+    membership: frontMatter.membership,
+    postToTwitter: frontMatter.postToTwitter,
+    publishAt: frontMatter.publishAt,
+    extra: frontMatter.extra,
+  };
+}
+
+// 画像ファイルのMIMEタイプ（拡張子から判定、不明な場合はJPEG扱い）
+export function imageMimeType(filePath: string): string {
+  const ext = path.extname(filePath).toLowerCase();
+  return ext === '.png' ? 'image/png' :
+         ext === '.gif' ? 'image/gif' :
+         ext === '.webp' ? 'image/webp' : 'image/jpeg';
+}
+
+// 本文を段落に分割する（空行区切り。段落内の改行はスペースで連結）
+// parseMarkdownの段落カウントと同じ規則
+export function splitParagraphs(body: string): string[] {
+  const paragraphs: string[] = [];
+  let lastLineWasEmpty = true;
+  for (const line of body.split('\n')) {
+    if (line.trim() !== '' && lastLineWasEmpty) {
+      paragraphs.push(line);
+    } else if (line.trim() !== '') {
+      paragraphs[paragraphs.length - 1] += ' ' + line;
+    }
+    lastLineWasEmpty = line.trim() === '';
+  }
+  return paragraphs;
+}
+
+// 有料ラインの設定方法の見込み
+export interface PaidLineTarget {
+  method: 'search_text' | 'paragraph_index' | 'default'; // 検索テキスト一致 / 段落番号 / 先頭（デフォルトボタン）
+  paragraphIndex?: number;  // 有料ラインを置く直前の段落（0始まり）
+  paragraphText?: string;   // その段落のテキスト
+  markerParagraphIndex?: number; // <!-- paid --> 直前の段落（0始まり）
+  mismatch: boolean;        // 検索テキストがマーカー直前より前の段落に一致してしまう
+}
+
+// 投稿時の有料ライン位置の探し方（「ラインをこの場所に変更」ボタンの選び方）を本文上で再現する
+// 検索テキストが6文字以上ならそれを含む最初の段落、なければ段落番号を使う
+export function locatePaidLine(body: string, paidLineIndex?: number, paidLineSearchText?: string): PaidLineTarget {
+  if (paidLineIndex === undefined || paidLineIndex <= 0) {
+    return { method: 'default', mismatch: false };
+  }
+
+  const paragraphs = splitParagraphs(body).map(p => markdownToPlainText(p).trim());
+  const markerParagraphIndex = paidLineIndex - 1;
+  let paragraphIndex = -1;
+  let method: PaidLineTarget['method'] = 'paragraph_index';
+  if (paidLineSearchText && paidLineSearchText.length > 5) {
+    paragraphIndex = paragraphs.findIndex(p => p.includes(paidLineSearchText));
+    if (paragraphIndex >= 0) method = 'search_text';
+  }
+  if (paragraphIndex < 0) paragraphIndex = markerParagraphIndex;
+
+  return {
+    method,
+    paragraphIndex,
+    paragraphText: paragraphs[paragraphIndex],
+    markerParagraphIndex,
+    mismatch: paragraphIndex !== markerParagraphIndex,
+  };
+}
+
+// note.comの公開設定画面で登録できるハッシュタグの上限
+export const MAX_TAGS = 10;
+
+// 登録されないタグ
+export interface DroppedTag {
+  tag: string;
+  reason: 'empty' | 'duplicate' | 'over_limit';
+}
+
+// タグを投稿時の形に正規化する（先頭の#を除去し、空・重複・上限超過を除外）
+export function normalizeTags(tags: string[]): { tags: string[]; dropped: DroppedTag[] } {
+  const result: string[] = [];
+  const dropped: DroppedTag[] = [];
+  const seen = new Set<string>();
+  for (const raw of tags) {
+    const tag = raw.trim().replace(/^[#＃]+/, '').trim();
+    if (!tag) {
+      dropped.push({ tag: raw, reason: 'empty' });
+    } else if (seen.has(tag.toLowerCase())) {
+      dropped.push({ tag: raw, reason: 'duplicate' });
+    } else if (result.length >= MAX_TAGS) {
+      dropped.push({ tag: raw, reason: 'over_limit' });
+    } else {
+      seen.add(tag.toLowerCase());
+      result.push(tag);
+    }
+  }
+  return { tags: result, dropped };
+}
+
+// メンバーシッププラン名のマッピング（UIに表示される実際のテキストに合わせる）
+// 2026-02-11 確認済みのUI表示:
+//   メンバー全員に公開
+//   ライトプラン｜AI活用 読み放題プラン
+//   AI論文プラン
+//   スタンダードプラン｜AI活用＋限定特典
+//   プレミアムプラン｜個別相談＋全特典
+export const MEMBERSHIP_PLAN_PATTERNS: Record<string, string> = {
+  'light': 'ライトプラン',              // ライトプラン｜AI活用 読み放題プラン
+  'paper': 'AI論文プラン',              // AI論文プラン
+  'standard': 'スタンダードプラン',      // スタンダードプラン｜AI活用＋限定特典
+  'premium': 'プレミアムプラン',         // プレミアムプラン｜個別相談＋全特典
+  'all': 'メンバー全員に公開'            // 全メンバー向け
+};
+
+// メンバーシップ指定をプランとUI上の表示テキストに解決する
+// "true" は "all"（メンバー全員に公開）、未知のプラン名はそのまま表示テキストとして扱う
+// plans はプロファイルごとのプラン（組み込みのものより優先）
+export function resolveMembershipPlan(membership: string, plans: Record<string, string> = {}): { plan: string; pattern: string; known: boolean } {
+  const patterns = { ...MEMBERSHIP_PLAN_PATTERNS, ...plans };
+  const plan = membership === 'true' ? 'all' : membership;
+  const known = Object.hasOwn(patterns, plan);
+  return { plan, pattern: known ? patterns[plan] : plan, known };
+}
@@ -0,0 +1,198 @@
+// ログイン状態の確認
+//
+// 認証状態ファイルのCookieが切れていると、エディタの要素待ちのタイムアウトとして表に出てしまう。
+// 投稿の前にnote.comを開いてログインページへの転送を調べ、切れていれば AUTH_EXPIRED ですぐに止める。
+// check_auth ツールも同じ確認を使う。
+//
+// 認証状態ファイルは、NOTE_POST_MCP_STATE_KEY（パスフレーズ）か NOTE_POST_MCP_STATE_KEY_FILE（鍵ファイル）を
+// 設定すると暗号化して保存する。読み込みは readStorageState で、暗号化の有無にかかわらず同じように扱う。
+
+import * as fs from 'fs';
+import { BrowserContext, BrowserContextOptions } from 'playwright';
+import { log } from './log.js';
+import { isEncryptedFile, encryptJson, decryptJson, writePrivateFile, restrictPermissions } from './encryption.js';
+import { NotePostError, ErrorCode } from './errors.js';
+import { NoteUrls, noteUrls, isLoginUrl } from './urls.js';
+
+// Playwrightの認証状態（cookies / origins）
+export type StorageState = Exclude<BrowserContextOptions['storageState'], string | undefined>;
+
+export const LOGIN_REQUIRED_MESSAGE = 'Redirected to the login page. The saved login has expired; please login again.';
+
+// 有効期限がこれより近ければ警告する
+const EXPIRY_WARNING_DAYS = 3;
+
+// ログイン状態
+export interface AuthStatus {
+  loggedIn: boolean;
+  statePath: string;
+  code?: ErrorCode;          // ログインしていない場合（AUTH_EXPIRED / STATE_FILE_MISSING）
+  message: string;
+  urlname?: string;          // ログイン中のユーザー（note.com/<urlname>）
+  nickname?: string;
+  cookiesExpireAt?: string;  // セッションCookieの有効期限（ISO 8601）
+  expiresInDays?: number;
+  refreshed?: boolean;       // 切れていたためヘッドレスログインで保存し直した
+  screenshot?: string;       // ヘッドレスログインに失敗した場合のスクリーンショット
+  checkedAt: string;
+}
+
+// Cookieのうち有効期限を確認するもの
+interface StateCookie {
+  name: string;
+  domain: string;
+  expires: number;  // UNIX時間（秒）、-1はブラウザを閉じるまで
+}
+
+// note.com（noteのオリジンのホスト）のセッションCookieの有効期限（最も早いもの。有効期限付きのものがなければundefined）
+export function sessionExpiry(cookies: StateCookie[], noteOrigin = noteUrls().noteOrigin): Date | undefined {
+  const host = new URL(noteOrigin).hostname;
+  const expires = cookies
+    .filter(c => isCookieFor(host, c.domain) && /session/i.test(c.name) && c.expires > 0)
+    .map(c => c.expires * 1000);
+  return expires.length > 0 ? new Date(Math.min(...expires)) : undefined;
+}
+
+// Cookieのドメインがホストかその親ドメイン・サブドメイン（editor.note.com など）か
+function isCookieFor(host: string, domain: string): boolean {
+  const bare = domain.replace(/^\./, '');
+  return host === bare || host.endsWith(`.${bare}`) || bare.endsWith(`.${host}`);
+}
+
+// 認証状態ファイルの暗号化に使うパスフレーズ（設定されていなければundefined）
+export function stateKey(): string | undefined {
+  if (process.env.NOTE_POST_MCP_STATE_KEY) {
+    return process.env.NOTE_POST_MCP_STATE_KEY;
+  }
+  const keyFile = process.env.NOTE_POST_MCP_STATE_KEY_FILE;
+  if (!keyFile) return undefined;
+  let key: string;
+  try {
+    key = fs.readFileSync(keyFile, 'utf-8').trim();
+  } catch (e) {
+    throw new NotePostError('INVALID_INPUT', `Could not read NOTE_POST_MCP_STATE_KEY_FILE: ${keyFile}`);
+  }
+  if (!key) {
+    throw new NotePostError('INVALID_INPUT', `NOTE_POST_MCP_STATE_KEY_FILE is empty: ${keyFile}`);
+  }
+  return key;
+}
+
+// 認証状態ファイルを読み込む（暗号化されていれば復号する）
+export function readStorageState(statePath: string): StorageState {
+  if (!fs.existsSync(statePath)) {
+    throw new NotePostError('STATE_FILE_MISSING', `State file not found: ${statePath}. Please login first.`);
+  }
+  if (restrictPermissions(statePath)) {
+    log(`Warning: ${statePath} was readable by other users; changed its permissions to 0600`);
+  }
+
+  let data: unknown;
+  try {
+    data = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+  } catch (e) {
+    throw new NotePostError('STATE_FILE_MISSING', `State file is not valid JSON: ${statePath}. Please login again.`);
+  }
+  if (!isEncryptedFile(data)) {
+    return data as StorageState;
+  }
+
+  const key = stateKey();
+  if (!key) {
+    throw new NotePostError('STATE_FILE_MISSING', `State file is encrypted: ${statePath}. Set NOTE_POST_MCP_STATE_KEY or NOTE_POST_MCP_STATE_KEY_FILE.`);
+  }
+  try {
+    return decryptJson<StorageState>(data, key);
+  } catch (e) {
+    throw new NotePostError('STATE_FILE_MISSING', `Could not decrypt ${statePath} (wrong NOTE_POST_MCP_STATE_KEY?)`);
+  }
+}
+
+// 認証状態ファイルを保存する（パスフレーズが設定されていれば暗号化する。パーミッションは0600）
+// encrypt: false で平文、true でパスフレーズがなければ INVALID_INPUT
+export function writeStorageState(statePath: string, state: StorageState, options: { encrypt?: boolean } = {}) {
+  const key = options.encrypt === false ? undefined : stateKey();
+  if (options.encrypt && !key) {
+    throw new NotePostError('INVALID_INPUT', 'Set NOTE_POST_MCP_STATE_KEY or NOTE_POST_MCP_STATE_KEY_FILE to encrypt the state file');
+  }
+  // パスフレーズの設定を忘れて、暗号化したファイルを平文で上書きしないようにする
+  if (!key && options.encrypt === undefined && isEncryptedStateFile(statePath)) {
+    throw new NotePostError('INVALID_INPUT', `State file is encrypted: ${statePath}. Set NOTE_POST_MCP_STATE_KEY or NOTE_POST_MCP_STATE_KEY_FILE to overwrite it.`);
+  }
+  const content = key ? encryptJson(state, key) : state;
+  writePrivateFile(statePath, JSON.stringify(content, null, 2));
+}
+
+// 認証状態ファイルが暗号化されているか（ファイルがない・読めない場合はfalse）
+export function isEncryptedStateFile(statePath: string): boolean {
+  try {
+    return isEncryptedFile(JSON.parse(fs.readFileSync(statePath, 'utf-8')));
+  } catch (e) {
+    return false;
+  }
+}
+
+// 認証状態ファイルだけで分かる問題を、ブラウザを起動する前に調べる（問題なければ読み込んだ内容を返す）
+export function checkStateFile(statePath: string): StorageState {
+  const state = readStorageState(statePath);
+  const cookies = (state.cookies ?? []) as StateCookie[];
+  const expiresAt = sessionExpiry(cookies);
+  if (expiresAt && expiresAt.getTime() <= Date.now()) {
+    throw new NotePostError('AUTH_EXPIRED', `Login cookies in ${statePath} expired at ${expiresAt.toISOString()}. Please login again.`);
+  }
+  return state;
+}
+
+// コンテキストでnote.comを開き、ログイン状態を調べる
+export async function checkSession(context: BrowserContext, statePath: string, timeout = 30000, urls: NoteUrls = noteUrls()): Promise<AuthStatus> {
+  const checkedAt = new Date().toISOString();
+  const expiresAt = sessionExpiry(await context.cookies(urls.noteOrigin), urls.noteOrigin);
+  const expiry = expiresAt
+    ? { cookiesExpireAt: expiresAt.toISOString(), expiresInDays: Math.floor((expiresAt.getTime() - Date.now()) / 86400000) }
+    : {};
+
+  const page = await context.newPage();
+  try {
+    // ログインしていないとログインページに転送される
+    await page.goto(urls.dashboard, { waitUntil: 'domcontentloaded', timeout });
+    if (isLoginUrl(page.url(), urls)) {
+      return {
+        loggedIn: false,
+        statePath,
+        code: 'AUTH_EXPIRED',
+        message: LOGIN_REQUIRED_MESSAGE,
+        ...expiry,
+        checkedAt,
+      };
+    }
+
+    // ログイン中のユーザー（取得できなくてもログインページに転送されなければログイン済みとみなす）
+    const response = await page.request.get(urls.currentUser).catch(() => null);
+    const user = response?.ok() ? (await response.json().catch(() => null))?.data : null;
+    const status: AuthStatus = {
+      loggedIn: true,
+      statePath,
+      message: user?.urlname ? `Logged in as ${user.urlname}` : 'Logged in',
+      urlname: user?.urlname,
+      nickname: user?.nickname,
+      ...expiry,
+      checkedAt,
+    };
+    if (status.expiresInDays !== undefined && status.expiresInDays < EXPIRY_WARNING_DAYS) {
+      log(`Warning: Login cookies expire in ${status.expiresInDays} days (${status.cookiesExpireAt}). Please login again soon.`);
+    }
+    return status;
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+// ログインしていなければ AUTH_EXPIRED を投げる（投稿前の確認）
+export async function ensureLoggedIn(context: BrowserContext, statePath: string, timeout?: number, urls?: NoteUrls): Promise<AuthStatus> {
+  const status = await checkSession(context, statePath, timeout, urls);
+  log('Auth check', { loggedIn: status.loggedIn, urlname: status.urlname, cookiesExpireAt: status.cookiesExpireAt });
+  if (!status.loggedIn) {
+    throw new NotePostError('AUTH_EXPIRED', status.message);
+  }
+  return status;
+}
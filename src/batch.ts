@@ -0,0 +1,450 @@
+// バッチ投稿エンジン
+//
+// 記事ディレクトリ内の番号付き記事（NN_名前.md / NN_名前/article.md）を番号順に、
+// 1つのブラウザで続けて投稿する。投稿処理はMCPツールと同じ publishOnPage を使う。
+// 月ごとのバッチは、設定ファイル（JSON）とCLIフラグの違いだけで表現する。
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { Page } from 'playwright';
+import { nowStr, log } from './log.js';
+import { hashFile, matchExisting, ExistingMode } from './ledger.js';
+import {
+  launchNoteSession,
+  publishOnPage,
+  DEFAULT_TIMEOUT,
+  DEFAULT_SCREENSHOT_DIR,
+  StepStatus,
+} from './publish.js';
+import { RateLimiter, RateLimitConfig } from './rate-limit.js';
+import { toNotePostError, ErrorCode } from './errors.js';
+import { resolveAccount, Account, DEFAULT_PROFILE } from './profiles.js';
+import { resolveUrls, NoteUrls, UrlConfig } from './urls.js';
+
+// バッチ設定（設定ファイルのキーと同じ）
+export interface BatchConfig {
+  label?: string;          // ログに出す名前（例: October 2025）
+  articlesDir: string;
+  start: number;           // 記事番号の範囲（両端を含む）
+  end: number;
+  defaultPrice?: number;   // Front Matterにpriceがない記事の価格（未指定ならプロファイルの価格、それもなければ300円。0で無料）
+  logFile?: string;        // 未指定ならログファイルに書き出さない
+  progressFile: string;
+  interval: number;        // 記事間の最短の待機（ミリ秒）
+  rateLimit?: Partial<Omit<RateLimitConfig, 'minInterval'>>;  // 1時間・1日の上限、揺らぎ、休止（省略時はデフォルト）
+  profile?: string;        // 投稿するアカウントのプロファイル（profiles.ts）
+  statePath?: string;      // 未指定ならプロファイルの認証状態ファイル（プロファイルもなければ DEFAULT_STATE_PATH）
+  timeout: number;
+  screenshotDir: string;
+  existing: ExistingMode;  // 投稿台帳に記録済みの記事の扱い
+  strict: boolean;         // 指定した設定を反映できない記事は公開せずに下書きのまま残す
+  appendImages: boolean;   // images/ 内の本文画像を記事末尾に追加する
+  resume: boolean;         // 投稿済みの記事をスキップ
+  retryFailed: boolean;    // 前回失敗した記事だけを投稿
+  urls?: UrlConfig;        // 開くnoteのオリジン・パス（省略した項目は設定ファイル・環境変数）
+}
+
+export const DEFAULT_BATCH_CONFIG: BatchConfig = {
+  articlesDir: process.env.NOTE_ARTICLES_DIR ?? './articles',
+  start: 0,
+  end: 999,
+  logFile: process.env.NOTE_LOG_FILE ?? './publish_log.txt',
+  progressFile: process.env.NOTE_PROGRESS_FILE ?? './publish_progress.json',
+  interval: 10000,
+  profile: DEFAULT_PROFILE,
+  timeout: DEFAULT_TIMEOUT,
+  screenshotDir: DEFAULT_SCREENSHOT_DIR,
+  existing: 'update',
+  strict: false,
+  appendImages: true,
+  resume: false,
+  retryFailed: false,
+};
+
+// 設定ファイル内の相対パスは設定ファイルの場所を基準にする
+const PATH_KEYS = ['articlesDir', 'logFile', 'progressFile', 'statePath', 'screenshotDir'] as const;
+
+// プロファイルにも価格がない場合の、Front Matterにpriceがない記事の価格
+export const BATCH_DEFAULT_PRICE = 300;
+
+// 設定ファイルを読み込み、デフォルト値と上書き（CLIフラグ）を合わせる
+export function loadBatchConfig(configPath?: string, overrides: Partial<BatchConfig> = {}): BatchConfig {
+  let fileConfig: Partial<BatchConfig> = {};
+  if (configPath) {
+    if (!fs.existsSync(configPath)) {
+      throw new Error(`Batch config not found: ${configPath}`);
+    }
+    fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    const baseDir = path.dirname(path.resolve(configPath));
+    for (const key of PATH_KEYS) {
+      const value = fileConfig[key];
+      if (typeof value === 'string') fileConfig[key] = path.resolve(baseDir, value);
+    }
+  }
+
+  const defined = Object.fromEntries(Object.entries(overrides).filter(([, v]) => v !== undefined));
+  const config: BatchConfig = { ...DEFAULT_BATCH_CONFIG, ...fileConfig, ...defined };
+  if (!['update', 'skip', 'new'].includes(config.existing)) {
+    throw new Error(`Invalid existing mode: ${config.existing} (expected update, skip or new)`);
+  }
+  return config;
+}
+
+// 番号付きの記事ファイル
+export interface ArticleFile {
+  num: number;
+  name: string;
+  path: string;
+}
+
+// 記事ファイルを収集（フラットなmdファイルとディレクトリ構造の両方に対応）
+export function collectArticleFiles(articlesDir: string): ArticleFile[] {
+  if (!fs.existsSync(articlesDir)) {
+    throw new Error(`Articles directory not found: ${articlesDir}`);
+  }
+  const entries = fs.readdirSync(articlesDir, { withFileTypes: true });
+  const articles: ArticleFile[] = [];
+
+  for (const entry of entries) {
+    if (entry.isFile() && entry.name.endsWith('.md') && entry.name !== 'README.md') {
+      // フラットなmdファイル: 01_記事名.md
+      articles.push({
+        name: entry.name,
+        path: path.join(articlesDir, entry.name),
+        num: parseInt(entry.name.split('_')[0], 10),
+      });
+    } else if (entry.isDirectory()) {
+      // ディレクトリ構造: 01_記事名/article.md
+      const articlePath = path.join(articlesDir, entry.name, 'article.md');
+      if (fs.existsSync(articlePath)) {
+        articles.push({
+          name: entry.name,
+          path: articlePath,
+          num: parseInt(entry.name.split('_')[0], 10),
+        });
+      }
+    }
+  }
+
+  // 番号順でソート（番号のないファイルは対象外）
+  return articles.filter(a => !isNaN(a.num)).sort((a, b) => a.num - b.num);
+}
+
+// Markdownファイルのリストを記事として扱う（番号はファイル名またはディレクトリ名の先頭、なければ並び順）
+export function articlesFromPaths(markdownPaths: string[]): ArticleFile[] {
+  return markdownPaths.map((markdownPath, index) => {
+    const basename = path.basename(markdownPath);
+    const name = basename === 'article.md' ? path.basename(path.dirname(markdownPath)) : basename;
+    const num = parseInt(name.split('_')[0], 10);
+    return { num: isNaN(num) ? index : num, name, path: markdownPath };
+  });
+}
+
+// 画像ディレクトリを探す
+export function findImagesDir(mdFilePath: string): string | undefined {
+  const mdDir = path.dirname(mdFilePath);
+  const mdBasename = path.basename(mdFilePath, '.md');
+  // article.mdの場合は親ディレクトリ名を使用
+  const articleDirName = mdBasename === 'article' ? path.basename(mdDir) : mdBasename;
+
+  const candidates = [
+    // パターン1: 同じディレクトリ内のimagesフォルダ
+    // 例: 03_自分推し/article.md → 03_自分推し/images/
+    path.join(mdDir, 'images'),
+    // パターン2: 記事名と同じ名前のディレクトリ内のimagesフォルダ
+    // 例: 03_自分推し.md → 03_自分推し/images/
+    path.join(mdDir, articleDirName, 'images'),
+    // パターン3: 親ディレクトリ内の記事ディレクトリ/images
+    // 例: articles_for_publish/03_自分推し.md → note/03_自分推し/images/
+    path.join(path.dirname(mdDir), 'note', articleDirName, 'images'),
+  ];
+  return candidates.find(dir => fs.existsSync(dir));
+}
+
+// 画像ファイルを取得（thumbnail.* はサムネイル、それ以外は番号順の本文画像）
+export function getImageFiles(imagesDir: string | undefined): { thumbnail?: string; contentImages: string[] } {
+  if (!imagesDir || !fs.existsSync(imagesDir)) {
+    return { contentImages: [] };
+  }
+
+  const imageExtensions = ['.png', '.jpg', '.jpeg', '.gif', '.webp'];
+  let thumbnail: string | undefined;
+  const contentImages: { name: string; path: string }[] = [];
+
+  for (const file of fs.readdirSync(imagesDir)) {
+    const ext = path.extname(file).toLowerCase();
+    if (!imageExtensions.includes(ext)) continue;
+
+    const filePath = path.join(imagesDir, file);
+    const baseName = path.basename(file, ext).toLowerCase();
+    if (baseName === 'thumbnail') {
+      thumbnail = filePath;
+    } else {
+      contentImages.push({ name: baseName, path: filePath });
+    }
+  }
+
+  // image1, image2, ... の順序でソート
+  contentImages.sort((a, b) => {
+    const numA = parseInt(a.name.replace(/\D/g, ''), 10) || 0;
+    const numB = parseInt(b.name.replace(/\D/g, ''), 10) || 0;
+    return numA - numB;
+  });
+
+  return { thumbnail, contentImages: contentImages.map(img => img.path) };
+}
+
+// ========== 進捗管理 ==========
+// 投稿済み・失敗の記録は、ファイルの絶対パスごとに内容のハッシュと一緒に持つ
+
+export interface BatchProgress {
+  completed: Record<string, { hash: string; url: string; at: string }>;
+  failed: Record<string, { hash: string; error: string; code?: ErrorCode; at: string }>;
+}
+
+export function loadProgress(progressFile: string): BatchProgress {
+  if (fs.existsSync(progressFile)) {
+    const progress = JSON.parse(fs.readFileSync(progressFile, 'utf-8'));
+    return { completed: progress.completed ?? {}, failed: progress.failed ?? {} };
+  }
+  return { completed: {}, failed: {} };
+}
+
+export function saveProgress(progressFile: string, progress: BatchProgress) {
+  fs.mkdirSync(path.dirname(path.resolve(progressFile)), { recursive: true });
+  fs.writeFileSync(progressFile, JSON.stringify(progress, null, 2));
+}
+
+// ========== 実行 ==========
+
+// 記事ごとの結果
+export interface BatchArticleResult {
+  num: number;
+  name: string;
+  path: string;
+  status: 'published' | 'updated' | 'skipped' | 'failed';
+  url?: string;
+  noteKey?: string;
+  message: string;
+  rateLimited?: boolean;  // レート制限の症状で失敗した
+  code?: ErrorCode;       // 以下は失敗した場合（errors.ts）
+  step?: string;
+  retryable?: boolean;
+  screenshot?: string;
+  steps?: StepStatus[];   // 設定の手順ごとの結果
+}
+
+// 進捗の通知（記事の投稿を始める時と終わった時）
+export interface BatchProgressEvent {
+  done: number;   // 投稿を終えた記事数
+  total: number;  // 投稿対象の記事数（スキップした記事を除く）
+  article: ArticleFile;
+  result?: BatchArticleResult;  // 終わった時のみ
+}
+
+export interface BatchRunOptions {
+  articles?: ArticleFile[];  // 指定時は articlesDir を使わずにこの記事を投稿する
+  onProgress?: (event: BatchProgressEvent) => void | Promise<void>;
+}
+
+export interface BatchSummary {
+  success: number;
+  failed: number;
+  skipped: number;
+  results: BatchArticleResult[];
+}
+
+// バッチ投稿を実行する
+export async function runBatch(config: BatchConfig, options: BatchRunOptions = {}): Promise<BatchSummary> {
+  const write = batchLogger(config.logFile);
+  const mode = config.retryFailed ? ' 失敗分の再実行' : config.resume ? ' レジューム' : '';
+  write(`=== ${config.label ? `${config.label} ` : ''}バッチ投稿開始 (${config.start}〜${config.end})${mode} ===`);
+  const account = resolveAccount(config.profile, config.statePath);
+  if (account.profile) write(`プロファイル: ${account.profile}`);
+  const urls = resolveUrls(config.urls);
+
+  // 進捗（--resume / --retry-failed 以外は新しく記録し直す）
+  const progress = config.resume || config.retryFailed ? loadProgress(config.progressFile) : { completed: {}, failed: {} };
+
+  const allArticles = options.articles ?? collectArticleFiles(config.articlesDir);
+  write(`総記事数: ${allArticles.length}`);
+
+  const results: BatchArticleResult[] = [];
+  const targets: ArticleFile[] = [];
+  const processedNums = new Set<number>();
+
+  for (const article of allArticles) {
+    const { num } = article;
+
+    // 範囲外はスキップ
+    if (num < config.start || num > config.end) continue;
+
+    // 同じ番号は1回だけ処理（重複ファイルがある場合）
+    if (processedNums.has(num)) {
+      write(`記事${num}: スキップ（同じ番号の記事を処理済み）`);
+      continue;
+    }
+    processedNums.add(num);
+
+    // 投稿済み・失敗の記録はファイルパスと内容のハッシュで照合
+    const key = path.resolve(article.path);
+    const hash = hashFile(article.path);
+    const completed = progress.completed[key];
+    const failed = progress.failed[key];
+    if (completed && completed.hash === hash) {
+      write(`記事${num}: スキップ（投稿済み: ${completed.url}）`);
+      results.push({ ...article, status: 'skipped', url: completed.url, message: '投稿済み' });
+      continue;
+    }
+    if (config.retryFailed && !(failed && failed.hash === hash)) {
+      continue;
+    }
+    if (completed) {
+      write(`記事${num}: 投稿後に内容が変更されているため再度投稿します`);
+    }
+    targets.push(article);
+  }
+
+  if (targets.length > 0) {
+    fs.mkdirSync(config.screenshotDir, { recursive: true });
+    const session = await launchNoteSession(account.statePath, config.timeout, urls);
+    // 記事間の待機と1時間・1日の上限は、他のバッチやキューと共有する
+    const limiter = new RateLimiter('publish', { ...config.rateLimit, minInterval: config.interval }, { log: write });
+    limiter.watch(session.page);
+    try {
+      for (const [i, article] of targets.entries()) {
+        await options.onProgress?.({ done: i, total: targets.length, article });
+        await limiter.wait();
+        let result = await publishArticle(session.page, article, config, account, urls, write);
+        if (result.rateLimited) {
+          // 休止してから1回だけやり直す
+          await limiter.pause(result.message);
+          result = await publishArticle(session.page, article, config, account, urls, write);
+        }
+        if (result.rateLimited) {
+          await limiter.pause(result.message);
+        } else if (result.code === 'AUTH_EXPIRED') {
+          // 残りの記事も同じ理由で失敗するため、再ログインを促して中断する
+          write(`ログインの有効期限が切れたため中断します。npm run login で再ログインしてから --resume で再実行してください`);
+        } else {
+          limiter.record();
+          const symptom = await limiter.detect(session.page);
+          if (symptom) await limiter.pause(symptom);
+        }
+        results.push(result);
+        await options.onProgress?.({ done: i + 1, total: targets.length, article, result });
+
+        const key = path.resolve(article.path);
+        const at = new Date().toISOString();
+        if (result.status === 'failed') {
+          progress.failed[key] = { hash: hashFile(article.path), error: result.message, code: result.code, at };
+        } else {
+          progress.completed[key] = { hash: hashFile(article.path), url: result.url ?? '', at };
+          delete progress.failed[key];
+        }
+        saveProgress(config.progressFile, progress);
+        if (result.code === 'AUTH_EXPIRED') break;
+      }
+    } finally {
+      await session.close();
+    }
+  }
+
+  const summary: BatchSummary = {
+    success: results.filter(r => r.status === 'published' || r.status === 'updated').length,
+    failed: results.filter(r => r.status === 'failed').length,
+    skipped: results.filter(r => r.status === 'skipped').length,
+    results,
+  };
+
+  write(`=== バッチ投稿完了 ===`);
+  write(`成功: ${summary.success}, 失敗: ${summary.failed}, スキップ: ${summary.skipped}`);
+  if (summary.failed > 0) {
+    write(`失敗した記事は --retry-failed で再実行できます`);
+  }
+  return summary;
+}
+
+// 1記事を投稿する（失敗しても例外にせず結果として返す）
+async function publishArticle(
+  page: Page,
+  article: ArticleFile,
+  config: BatchConfig,
+  account: Account,
+  urls: NoteUrls,
+  write: (message: string) => void,
+): Promise<BatchArticleResult> {
+  const { num } = article;
+  write(`記事${num}: ${article.name}`);
+
+  try {
+    // 画像ファイルを検索
+    const { thumbnail, contentImages } = getImageFiles(findImagesDir(article.path));
+    if (thumbnail) write(`  サムネイル: ${path.basename(thumbnail)}`);
+    if (config.appendImages && contentImages.length > 0) write(`  本文画像: ${contentImages.length}枚`);
+
+    // 投稿台帳に記録済みの記事は設定に従って更新・スキップする
+    const existing = matchExisting(article.path, config.existing, 'published', account.profile);
+    if (existing?.action === 'skip') {
+      write(`記事${num}: スキップ（内容が変わっていません: ${existing.entry.url}）`);
+      return { ...article, status: 'skipped', url: existing.entry.url, noteKey: existing.entry.noteKey, message: '内容が変わっていません' };
+    }
+    const noteKey = existing?.action === 'update' ? existing.entry.noteKey : undefined;
+    if (noteKey) write(`  投稿済みの記事を更新: ${noteKey}`);
+
+    const result = await publishOnPage(page, {
+      markdownPath: article.path,
+      thumbnailPath: thumbnail,
+      isPublic: true,
+      ...account.defaults,
+      defaultPrice: config.defaultPrice ?? account.defaults.defaultPrice ?? BATCH_DEFAULT_PRICE,
+      appendImages: config.appendImages ? contentImages : undefined,
+      noteKey,
+      profile: account.profile,
+      strict: config.strict,
+      screenshotPath: path.join(config.screenshotDir, `note-batch-${num}-${nowStr()}.png`),
+      timeout: config.timeout,
+      urls,
+    });
+    if (!result.success) {
+      write(`記事${num}: 失敗 [${result.code}] - ${result.message}`);
+      return {
+        ...article,
+        status: 'failed',
+        url: result.url,
+        noteKey: result.noteKey,
+        message: result.message,
+        rateLimited: result.rateLimited,
+        code: result.code,
+        step: result.step,
+        retryable: result.retryable,
+        screenshot: result.screenshot,
+        steps: result.steps,
+      };
+    }
+    write(`記事${num}: 成功 ${result.url}`);
+    return { ...article, status: noteKey ? 'updated' : 'published', url: result.url, noteKey: result.noteKey, message: result.message, steps: result.steps };
+  } catch (e) {
+    const error = toNotePostError(e);
+    write(`記事${num}: 失敗 [${error.code}${error.step ? ` / ${error.step}` : ''}] - ${error.message}`);
+    return {
+      ...article,
+      status: 'failed',
+      message: error.message,
+      rateLimited: error.code === 'RATE_LIMITED' || undefined,
+      code: error.code,
+      step: error.step,
+      retryable: error.retryable,
+      screenshot: error.screenshot,
+    };
+  }
+}
+
+// ログファイルにも書き出すロガー
+function batchLogger(logFile?: string): (message: string) => void {
+  if (logFile) fs.mkdirSync(path.dirname(path.resolve(logFile)), { recursive: true });
+  return (message: string) => {
+    log(message);
+    if (logFile) fs.appendFileSync(logFile, `[${new Date().toISOString()}] ${message}\n`);
+  };
+}
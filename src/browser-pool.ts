@@ -0,0 +1,207 @@
+// ブラウザプール（MCPサーバー内で使い回す長寿命のブラウザ）
+//
+// 最初の投稿時にChromiumを起動し、認証状態ファイル（と開くオリジン）ごとにコンテキストを1つ保持する。
+// 一定時間使われなければ終了し、クラッシュした場合は次の利用時に起動し直す。
+// クリップボードを共有するため、ページは同時に1つだけ貸し出す。
+
+import { chromium, Browser, BrowserContext, Page } from 'playwright';
+import * as fs from 'fs';
+import * as path from 'path';
+import { log } from './log.js';
+import { NOTE_TIME_ZONE } from './schedule.js';
+import { NotePostError } from './errors.js';
+import { checkStateFile, ensureLoggedIn } from './auth.js';
+import { NoteUrls, noteUrls } from './urls.js';
+
+export const DEFAULT_IDLE_TIMEOUT = parseInt(process.env.NOTE_POST_MCP_BROWSER_IDLE_TIMEOUT ?? '300000', 10);
+
+// ログイン状態を確認し直すまでの時間（コンテキストを使い回している間にCookieが切れることがある）
+const AUTH_CHECK_INTERVAL = 10 * 60 * 1000;
+
+// note.comを開くコンテキストの共通設定
+export const NOTE_CONTEXT_OPTIONS = {
+  locale: 'ja-JP',
+  timezoneId: NOTE_TIME_ZONE,  // 予約投稿の日時を日本時間で入力するため
+  userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+};
+
+// Chromiumを起動する
+export async function launchBrowser(): Promise<Browser> {
+  return chromium.launch({
+    headless: true,
+    args: ['--lang=ja-JP'],
+  });
+}
+
+// 認証状態ファイルを読み込んだコンテキストを作る
+export async function newNoteContext(browser: Browser, statePath: string, urls: NoteUrls = noteUrls()): Promise<BrowserContext> {
+  // 認証状態ファイルを確認（暗号化されていれば復号した内容を渡す）
+  const storageState = checkStateFile(statePath);
+
+  const context = await browser.newContext({
+    ...NOTE_CONTEXT_OPTIONS,
+    storageState,
+    permissions: ['clipboard-read', 'clipboard-write'],
+  });
+
+  // クリップボード権限を明示的に付与（本文はエディタのページで貼り付ける）
+  await context.grantPermissions(['clipboard-read', 'clipboard-write'], { origin: urls.editorOrigin });
+  return context;
+}
+
+// コンテキストを使い回す単位（クリップボード権限とログイン状態の確認はオリジンごと）
+function contextKey(statePath: string, urls: NoteUrls): string {
+  return [path.resolve(statePath), urls.noteOrigin, urls.editorOrigin].join('\n');
+}
+
+// 貸し出したページ（使い終わったらreleaseを呼ぶ）
+export interface PooledPage {
+  page: Page;
+  release(): Promise<void>;
+}
+
+interface PooledContext {
+  context: BrowserContext;
+  statePath: string;
+  stateMtime: number;     // 読み込んだ時点の認証状態ファイルの更新時刻
+  authCheckedAt: number;  // 最後にログイン状態を確認した時刻（0は未確認）
+}
+
+export class BrowserPool {
+  private browser: Browser | null = null;
+  private launching: Promise<Browser> | null = null;
+  private contexts = new Map<string, PooledContext>();
+  private idleTimer: NodeJS.Timeout | null = null;
+  private queue: Promise<void> = Promise.resolve();
+
+  constructor(private readonly idleTimeout = DEFAULT_IDLE_TIMEOUT) {}
+
+  // 新しいページを借りる（前に貸したページが返されるまで待つ）
+  async acquire(statePath: string, timeout: number, urls: NoteUrls = noteUrls()): Promise<PooledPage> {
+    // 認証状態ファイルがない・Cookieが切れている場合はブラウザを起動しない
+    checkStateFile(statePath);
+
+    let unlock!: () => void;
+    const previous = this.queue;
+    this.queue = new Promise<void>(resolve => { unlock = resolve; });
+    await previous;
+    this.clearIdleTimer();
+
+    try {
+      const page = await this.newPage(statePath, timeout, urls).catch(async (error) => {
+        // ログイン切れなどはやり直しても同じ
+        if (error instanceof NotePostError) throw error;
+        // ブラウザが落ちていた場合は起動し直して1回だけやり直す
+        log('Browser pool: retrying with a fresh browser', { error: String(error) });
+        await this.close();
+        return this.newPage(statePath, timeout, urls);
+      });
+      page.setDefaultTimeout(timeout);
+
+      let released = false;
+      return {
+        page,
+        release: async () => {
+          if (released) return;
+          released = true;
+          await page.close().catch(() => {});
+          this.startIdleTimer();
+          unlock();
+        },
+      };
+    } catch (error) {
+      this.startIdleTimer();
+      unlock();
+      throw error;
+    }
+  }
+
+  // ブラウザとすべてのコンテキストを閉じる
+  async close() {
+    this.clearIdleTimer();
+    const browser = this.browser;
+    this.browser = null;
+    this.contexts.clear();
+    if (browser) {
+      await browser.close().catch(() => {});
+      log('Browser pool: browser closed');
+    }
+  }
+
+  private async newPage(statePath: string, timeout: number, urls: NoteUrls): Promise<Page> {
+    const key = contextKey(statePath, urls);
+    const context = await this.getContext(statePath, urls);
+
+    // 作ったばかりのコンテキストと、しばらく確認していないコンテキストはログイン状態を確認する
+    const pooled = this.contexts.get(key);
+    if (pooled && Date.now() - pooled.authCheckedAt > AUTH_CHECK_INTERVAL) {
+      await ensureLoggedIn(context, pooled.statePath, timeout, urls);
+      pooled.authCheckedAt = Date.now();
+    }
+    return context.newPage();
+  }
+
+  // 認証状態ファイルとオリジンごとのコンテキスト（ファイルが更新されていれば作り直す）
+  private async getContext(statePath: string, urls: NoteUrls): Promise<BrowserContext> {
+    const resolved = path.resolve(statePath);
+    const key = contextKey(statePath, urls);
+    const stateMtime = fs.existsSync(resolved) ? fs.statSync(resolved).mtimeMs : 0;
+    const pooled = this.contexts.get(key);
+    if (pooled && pooled.stateMtime === stateMtime) {
+      return pooled.context;
+    }
+    if (pooled) {
+      log('Browser pool: state file changed, reloading context', { statePath: resolved });
+      this.contexts.delete(key);
+      await pooled.context.close().catch(() => {});
+    }
+
+    const browser = await this.getBrowser();
+    const context = await newNoteContext(browser, resolved, urls);
+    context.on('close', () => {
+      if (this.contexts.get(key)?.context === context) this.contexts.delete(key);
+    });
+    this.contexts.set(key, { context, statePath: resolved, stateMtime, authCheckedAt: 0 });
+    return context;
+  }
+
+  // 起動済みのブラウザ（なければ起動する）
+  private async getBrowser(): Promise<Browser> {
+    if (this.browser?.isConnected()) return this.browser;
+    if (!this.launching) {
+      this.launching = launchBrowser().then(browser => {
+        log('Browser pool: browser launched');
+        // クラッシュ等で切断されたら破棄し、次の利用時に起動し直す
+        browser.on('disconnected', () => {
+          if (this.browser === browser) {
+            log('Browser pool: browser disconnected');
+            this.browser = null;
+            this.contexts.clear();
+          }
+        });
+        this.browser = browser;
+        return browser;
+      }).finally(() => {
+        this.launching = null;
+      });
+    }
+    return this.launching;
+  }
+
+  private startIdleTimer() {
+    this.clearIdleTimer();
+    if (!this.browser || this.idleTimeout <= 0) return;
+    this.idleTimer = setTimeout(() => {
+      log('Browser pool: idle timeout');
+      this.close().catch(() => {});
+    }, this.idleTimeout);
+    this.idleTimer.unref();
+  }
+
+  private clearIdleTimer() {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+}
@@ -0,0 +1,272 @@
+// コマンドラインのサブコマンド
+//
+// Usage:
+//   note-post-mcp                                  MCPサーバーとして起動（stdio）
+//   note-post-mcp render-preview <markdown> [--thumbnail <画像>] [--out <html>] [--price <円>]
+//   note-post-mcp batch [開始番号] [終了番号] [デフォルト価格] [--config <設定ファイル>] [--dir <記事ディレクトリ>]
+//                       [--start <番号>] [--end <番号>] [--price <円>] [--log <ファイル>] [--progress <ファイル>]
+//                       [--interval <ミリ秒>] [--profile <プロファイル>] [--state <認証状態ファイル>] [--existing update|skip|new]
+//                       [--no-append-images] [--resume | --retry-failed] [--per-hour <件数>] [--per-day <件数>] [--strict]
+//   note-post-mcp queue run [--once] [--queue <キューファイル>] [--interval <ミリ秒>] [--poll <ミリ秒>]
+//                           [--per-hour <件数>] [--per-day <件数>]
+//   note-post-mcp queue list [--queue <キューファイル>] [--status pending,failed,...]
+//   note-post-mcp check-auth [--profile <プロファイル>] [--state <認証状態ファイル>] [--timeout <ミリ秒>] [--no-refresh]
+//   note-post-mcp profiles
+//   note-post-mcp login [--profile <プロファイル>] [--state <認証状態ファイル>] [--timeout <ミリ秒>]
+//   note-post-mcp secrets set [--profile <プロファイル>] [--email <メールアドレス>]   パスワードは環境変数または標準入力から
+//   note-post-mcp secrets list | remove [--profile <プロファイル>]
+//   note-post-mcp state encrypt | decrypt [--profile <プロファイル>] [--state <認証状態ファイル>]
+//   note-post-mcp selftest --fixtures <ディレクトリ>
+//   note-post-mcp selftest [--profile <プロファイル>] [--state <認証状態ファイル>] [--note <下書きの記事キー/URL>]
+//                          [--article <記事URL>] [--save <ディレクトリ>] [--timeout <ミリ秒>]
+//   note-post-mcp urls                            開くnoteのURL（設定ファイル・環境変数を反映したもの）を表示
+
+import * as fs from 'fs';
+import { writePreview } from './preview.js';
+import { loadBatchConfig, runBatch } from './batch.js';
+import { ExistingMode } from './ledger.js';
+import { runQueue, listQueue, DEFAULT_QUEUE_PATH, QueueStatus } from './queue.js';
+import { checkAuth, DEFAULT_STATE_PATH, DEFAULT_SCREENSHOT_DIR } from './publish.js';
+import { resolveAccount, listProfiles, profileStatePath, DEFAULT_PROFILE } from './profiles.js';
+import { loginWithCredentials } from './login.js';
+import { findCredentials, setCredentials, removeCredentials, listCredentials, DEFAULT_SECRETS_KEY } from './secrets.js';
+import { readStorageState, writeStorageState } from './auth.js';
+import { selftestFixtures, selftestLive } from './selftest.js';
+import { toNotePostError } from './errors.js';
+import { noteUrls, DEFAULT_CONFIG_PATH } from './urls.js';
+
+const BATCH_VALUE_OPTIONS = ['config', 'dir', 'start', 'end', 'price', 'log', 'progress', 'interval', 'profile', 'state', 'existing', 'per-hour', 'per-day'];
+
+const int = (value: string | undefined) => (value === undefined ? undefined : parseInt(value, 10));
+
+// 引数の取得（--name value / --flag 形式）
+function getArg(args: string[], name: string): string | undefined {
+  const idx = args.indexOf(`--${name}`);
+  if (idx === -1) return undefined;
+  return args[idx + 1];
+}
+
+// 位置引数（--name value の組を除いたもの）
+function positionals(args: string[], valueOptions: string[]): string[] {
+  const result: string[] = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      if (valueOptions.includes(args[i].substring(2))) i++;
+      continue;
+    }
+    result.push(args[i]);
+  }
+  return result;
+}
+
+// サブコマンドを実行する。サブコマンドでなければfalseを返す（MCPサーバーとして起動）
+export async function runCli(argv: string[]): Promise<boolean> {
+  const [command, ...args] = argv;
+
+  if (command === 'render-preview') {
+    const [markdownPath] = positionals(args, ['thumbnail', 'out', 'price']);
+    if (!markdownPath) {
+      console.error('Usage: note-post-mcp render-preview <markdown> [--thumbnail <image>] [--out <html>] [--price <yen>]');
+      process.exitCode = 1;
+      return true;
+    }
+    const price = getArg(args, 'price');
+    const result = writePreview({
+      markdownPath,
+      thumbnailPath: getArg(args, 'thumbnail'),
+      outputPath: getArg(args, 'out'),
+      price: price ? parseInt(price, 10) : undefined,
+    });
+    console.log(JSON.stringify(result, null, 2));
+    return true;
+  }
+
+  if (command === 'check-auth') {
+    const account = resolveAccount(getArg(args, 'profile') ?? DEFAULT_PROFILE, getArg(args, 'state'));
+    const status = await checkAuth(account.statePath, int(getArg(args, 'timeout')), {
+      profile: account.profile,
+      refresh: !args.includes('--no-refresh'),
+    });
+    const result = { profile: account.profile, ...status };
+    console.log(JSON.stringify(result, null, 2));
+    if (!result.loggedIn) process.exitCode = 1;
+    return true;
+  }
+
+  if (command === 'profiles') {
+    console.log(JSON.stringify(listProfiles(), null, 2));
+    return true;
+  }
+
+  if (command === 'login') {
+    // ヘッドレスログイン（新しいプロファイルも作れるよう、プロファイルの有無は確認しない）
+    const profile = getArg(args, 'profile') ?? DEFAULT_PROFILE;
+    const statePath = getArg(args, 'state') ?? (profile ? profileStatePath(profile) : DEFAULT_STATE_PATH);
+    const credentials = findCredentials(profile);
+    if (!credentials) {
+      // NOTE_POST_MCP_EMAIL / NOTE_POST_MCP_PASSWORD はデフォルトのプロファイルでだけ使う
+      console.error(profile && profile !== DEFAULT_PROFILE
+        ? `No credentials for profile "${profile}": save them with "note-post-mcp secrets set --profile ${profile}"`
+        : 'No credentials: set NOTE_POST_MCP_EMAIL and NOTE_POST_MCP_PASSWORD, or save them with "note-post-mcp secrets set"');
+      process.exitCode = 1;
+      return true;
+    }
+    try {
+      await loginWithCredentials(statePath, credentials, { timeout: int(getArg(args, 'timeout')), screenshotDir: DEFAULT_SCREENSHOT_DIR });
+      console.log(JSON.stringify({ success: true, profile, statePath }, null, 2));
+    } catch (e) {
+      const error = toNotePostError(e);
+      console.log(JSON.stringify({ success: false, profile, statePath, error: error.message, code: error.code, screenshot: error.screenshot }, null, 2));
+      process.exitCode = 1;
+    }
+    return true;
+  }
+
+  if (command === 'secrets') {
+    const [sub] = positionals(args, ['profile', 'email']);
+    const profile = getArg(args, 'profile');
+
+    if (sub === 'set') {
+      const email = getArg(args, 'email') ?? process.env.NOTE_POST_MCP_EMAIL;
+      // パスワードはコマンド履歴に残らないよう、引数では受け取らない
+      const password = process.env.NOTE_POST_MCP_PASSWORD ??
+        (process.stdin.isTTY ? undefined : fs.readFileSync(0, 'utf-8').trim());
+      if (!email || !password) {
+        console.error('Usage: NOTE_POST_MCP_PASSWORD=... note-post-mcp secrets set [--profile <name>] --email <email>');
+        console.error('       (or pipe the password to standard input)');
+        process.exitCode = 1;
+        return true;
+      }
+      setCredentials(profile, { email, password });
+      console.log(JSON.stringify({ profile: profile ?? DEFAULT_SECRETS_KEY, email }, null, 2));
+      return true;
+    }
+
+    if (sub === 'list') {
+      console.log(JSON.stringify(listCredentials(), null, 2));
+      return true;
+    }
+
+    if (sub === 'remove') {
+      const removed = removeCredentials(profile);
+      console.log(JSON.stringify({ profile: profile ?? DEFAULT_SECRETS_KEY, removed }, null, 2));
+      return true;
+    }
+
+    console.error('Usage: note-post-mcp secrets set [--profile <name>] [--email <email>]');
+    console.error('       note-post-mcp secrets list | remove [--profile <name>]');
+    process.exitCode = 1;
+    return true;
+  }
+
+  if (command === 'state') {
+    // 既存の認証状態ファイルを暗号化する・平文に戻す
+    const [sub] = positionals(args, ['profile', 'state']);
+    if (sub !== 'encrypt' && sub !== 'decrypt') {
+      console.error('Usage: note-post-mcp state encrypt | decrypt [--profile <name>] [--state <path>]');
+      process.exitCode = 1;
+      return true;
+    }
+    const { profile, statePath } = resolveAccount(getArg(args, 'profile') ?? DEFAULT_PROFILE, getArg(args, 'state'));
+    writeStorageState(statePath, readStorageState(statePath), { encrypt: sub === 'encrypt' });
+    console.log(JSON.stringify({ profile, statePath, encrypted: sub === 'encrypt' }, null, 2));
+    return true;
+  }
+
+  if (command === 'selftest') {
+    // セレクターが保存したHTMLや実際の画面で見つかるか調べる（壊れたものがあれば終了コード1）
+    const fixturesDir = getArg(args, 'fixtures');
+    let report;
+    if (fixturesDir) {
+      report = await selftestFixtures(fixturesDir);
+    } else {
+      const account = resolveAccount(getArg(args, 'profile') ?? DEFAULT_PROFILE, getArg(args, 'state'));
+      report = await selftestLive(account.statePath, {
+        note: getArg(args, 'note'),
+        articleUrl: getArg(args, 'article'),
+        saveDir: getArg(args, 'save'),
+        timeout: int(getArg(args, 'timeout')),
+      });
+    }
+    console.log(JSON.stringify(report, null, 2));
+    if (!report.ok) process.exitCode = 1;
+    return true;
+  }
+
+  if (command === 'urls') {
+    console.log(JSON.stringify({ configPath: DEFAULT_CONFIG_PATH, urls: noteUrls() }, null, 2));
+    return true;
+  }
+
+  if (command === 'batch') {
+    // 位置引数（開始番号 終了番号 デフォルト価格）は従来のバッチスクリプトと同じ
+    const [start, end, price] = positionals(args, BATCH_VALUE_OPTIONS);
+    const config = loadBatchConfig(getArg(args, 'config'), {
+      articlesDir: getArg(args, 'dir'),
+      start: int(getArg(args, 'start') ?? start),
+      end: int(getArg(args, 'end') ?? end),
+      defaultPrice: int(getArg(args, 'price') ?? price),
+      logFile: getArg(args, 'log'),
+      progressFile: getArg(args, 'progress'),
+      interval: int(getArg(args, 'interval')),
+      profile: getArg(args, 'profile'),
+      statePath: getArg(args, 'state'),
+      existing: getArg(args, 'existing') as ExistingMode | undefined,
+      appendImages: args.includes('--no-append-images') ? false : undefined,
+      resume: args.includes('--resume') || undefined,
+      retryFailed: args.includes('--retry-failed') || undefined,
+      strict: args.includes('--strict') || undefined,
+    });
+    // 1時間・1日の上限は設定ファイルの rateLimit より優先
+    const perHour = int(getArg(args, 'per-hour'));
+    const perDay = int(getArg(args, 'per-day'));
+    if (perHour !== undefined || perDay !== undefined) {
+      config.rateLimit = { ...config.rateLimit, ...(perHour !== undefined && { perHour }), ...(perDay !== undefined && { perDay }) };
+    }
+    const summary = await runBatch(config);
+    if (summary.failed > 0) process.exitCode = 1;
+    return true;
+  }
+
+  if (command === 'queue') {
+    const [sub] = positionals(args, ['queue', 'interval', 'poll', 'status', 'per-hour', 'per-day']);
+    const queuePath = getArg(args, 'queue') ?? DEFAULT_QUEUE_PATH;
+
+    if (sub === 'run') {
+      // Ctrl+C / SIGTERMでは投稿中の記事を終えてから止まる
+      const controller = new AbortController();
+      const stop = () => controller.abort();
+      process.once('SIGINT', stop);
+      process.once('SIGTERM', stop);
+      const summary = await runQueue({
+        queuePath,
+        once: args.includes('--once'),
+        rateLimit: {
+          minInterval: int(getArg(args, 'interval')),
+          perHour: int(getArg(args, 'per-hour')),
+          perDay: int(getArg(args, 'per-day')),
+        },
+        pollInterval: int(getArg(args, 'poll')),
+        signal: controller.signal,
+      });
+      if (summary.loginRequired) {
+        console.error(`Queue stopped: login required (${summary.loginRequired}). Log in again with "npm run login" or "note-post-mcp login"`);
+      }
+      if (summary.failed > 0 || summary.loginRequired) process.exitCode = 1;
+      return true;
+    }
+
+    if (sub === 'list') {
+      const status = getArg(args, 'status')?.split(',') as QueueStatus[] | undefined;
+      console.log(JSON.stringify(listQueue(status, queuePath), null, 2));
+      return true;
+    }
+
+    console.error('Usage: note-post-mcp queue run [--once] [--queue <file>] [--interval <ms>] [--poll <ms>] [--per-hour <n>] [--per-day <n>]');
+    console.error('       note-post-mcp queue list [--queue <file>] [--status pending,failed,...]');
+    process.exitCode = 1;
+    return true;
+  }
+
+  return false;
+}
@@ -0,0 +1,41 @@
+// 記事の解釈（ライブラリとして使う入口）
+//
+// MCPサーバー（index.ts）は読み込むとstdioで起動するため、記事の解釈だけを使う場合はこちらを読み込む。
+// Front Matter・本文・画像・有料ライン・タグ・メンバーシッププラン・結果メッセージを、
+// サーバーと同じ処理で扱える。ブラウザは起動せず、読み込んでも何も実行しない。
+//
+//   import { parseMarkdown, locatePaidLine } from '@gonuts555/note-post-mcp/core';
+
+export {
+  splitFrontMatter,
+  parseFrontMatter,
+  FrontMatterError,
+  PRICE_MIN,
+  PRICE_MAX,
+} from './frontmatter.js';
+export type { ArticleFrontMatter, FrontMatterSplit } from './frontmatter.js';
+
+export {
+  parseMarkdown,
+  extractImages,
+  scanImages,
+  splitParagraphs,
+  locatePaidLine,
+  normalizeTags,
+  resolveMembershipPlan,
+  imageMimeType,
+  MAX_TAGS,
+  MEMBERSHIP_PLAN_PATTERNS,
+} from './article.js';
+export type { ParsedMarkdown, ImageInfo, MissingImage, PaidLineTarget, DroppedTag } from './article.js';
+
+export { renderNoteHtml, markdownToPlainText } from './note-html.js';
+export type { NoteHtml, FormatFallback } from './note-html.js';
+
+export { resolvePost, buildPublishPlan, buildPublishMessage } from './plan.js';
+export type { PostOptions, ResolvedPost, PublishPlan, PublishMessageInput } from './plan.js';
+
+export { parsePublishAt, checkPublishAt, formatPublishAt, toZonedIsoString, NOTE_TIME_ZONE } from './schedule.js';
+
+export { NotePostError } from './errors.js';
+export type { ErrorCode } from './errors.js';
@@ -0,0 +1,767 @@
+// note.comエディタの操作手順
+//
+// 新規投稿（postToNote）と既存記事の更新（update_note）で共通して使う。
+// 各関数は開いているエディタ／公開設定画面に対して1つの手順だけを行う。
+
+import * as fs from 'fs';
+import { Page, Locator } from 'playwright';
+import { renderNoteHtml, FormatFallback } from './note-html.js';
+import { resolveMembershipPlan, imageMimeType, ImageInfo } from './article.js';
+import { log } from './log.js';
+import { noteKeyFromUrl } from './ledger.js';
+import { formatPublishAt, NOTE_TIME_ZONE } from './schedule.js';
+import { NotePostError } from './errors.js';
+import { anyOf, findVisible, selectorCandidates } from './selectors.js';
+
+// 手順の結果（applied: 操作できた、verified: 画面上で反映を確認できた）
+export interface StepOutcome {
+  applied: boolean;
+  verified: boolean;
+  detail?: string;
+}
+
+// 記事URLまたは記事キー（n1234abcd...）から記事キーを取り出す
+export function extractNoteKey(urlOrKey: string): string {
+  const value = urlOrKey.trim();
+  if (/^n[0-9a-z]+$/i.test(value)) return value;
+  const noteKey = noteKeyFromUrl(value);
+  if (!noteKey) {
+    throw new Error(`Could not find a note key in: ${urlOrKey}`);
+  }
+  return noteKey;
+}
+
+// Markdownをnote向けのHTMLに変換し、text/htmlとしてクリップボード経由で貼り付ける
+// 非対応の記法はfallbacksに追記される
+async function pasteMarkdown(page: Page, markdown: string, pasteKey: string, fallbacks: FormatFallback[]) {
+  const rendered = renderNoteHtml(markdown);
+  fallbacks.push(...rendered.fallbacks);
+  await page.evaluate(async ({ html, text }) => {
+    const item = new ClipboardItem({
+      'text/html': new Blob([html], { type: 'text/html' }),
+      'text/plain': new Blob([text], { type: 'text/plain' }),
+    });
+    await navigator.clipboard.write([item]);
+  }, { html: rendered.html, text: markdown });
+  await page.waitForTimeout(50);
+  await page.keyboard.press(pasteKey);
+}
+
+// サムネイル画像を設定する（設定済みの場合は差し替える）
+export async function uploadThumbnail(page: Page, thumbnailPath: string, timeout: number): Promise<StepOutcome> {
+  log('Uploading thumbnail image');
+  // 既存記事の編集時は「画像を変更」ボタンから差し替える
+  const candidates = anyOf(page, 'thumbnailAddButton').or(anyOf(page, 'thumbnailChangeButton'));
+  await candidates.first().waitFor({ state: 'visible', timeout });
+
+  let target = candidates.first();
+  const cnt = await candidates.count();
+  if (cnt > 1) {
+    let minY = Infinity;
+    let idx = 0;
+    for (let i = 0; i < cnt; i++) {
+      const box = await candidates.nth(i).boundingBox();
+      if (box && box.y < minY) {
+        minY = box.y;
+        idx = i;
+      }
+    }
+    target = candidates.nth(idx);
+  }
+
+  await target.scrollIntoViewIfNeeded();
+  await target.click({ force: true });
+
+  const uploadBtn = anyOf(page, 'thumbnailUploadButton').first();
+  await uploadBtn.waitFor({ state: 'visible', timeout });
+
+  let chooser = null;
+  try {
+    [chooser] = await Promise.all([
+      page.waitForEvent('filechooser', { timeout: 5000 }),
+      uploadBtn.click({ force: true }),
+    ]);
+  } catch (_) {
+    // フォールバック
+  }
+
+  if (chooser) {
+    await chooser.setFiles(thumbnailPath);
+  } else {
+    await uploadBtn.click({ force: true }).catch(() => {});
+    const fileInput = anyOf(page, 'fileInput').first();
+    await fileInput.waitFor({ state: 'attached', timeout });
+    await fileInput.setInputFiles(thumbnailPath);
+  }
+
+  // トリミングダイアログ内「保存」を押す
+  const dialog = anyOf(page, 'dialog').first();
+  await dialog.waitFor({ state: 'visible', timeout });
+
+  const saveThumbBtn = anyOf(dialog, 'thumbnailSaveButton').first();
+  const cropper = anyOf(dialog, 'thumbnailCropper').first();
+
+  const cropperEl = await cropper.elementHandle();
+  const saveEl = await saveThumbBtn.elementHandle();
+
+  if (cropperEl && saveEl) {
+    await Promise.race([
+      page.waitForFunction(
+        (el) => getComputedStyle(el as Element).pointerEvents === 'none',
+        cropperEl,
+        { timeout }
+      ),
+      page.waitForFunction(
+        (el) => !(el as HTMLButtonElement).disabled,
+        saveEl,
+        { timeout }
+      ),
+    ]);
+  }
+
+  await saveThumbBtn.click();
+  await dialog.waitFor({ state: 'hidden', timeout }).catch(() => {});
+  await page.waitForLoadState('networkidle', { timeout }).catch(() => {});
+
+  // 反映確認
+  const changedBtn = anyOf(page, 'thumbnailChangeButton');
+  const addBtn = anyOf(page, 'thumbnailAddButton');
+
+  let reflected = false;
+  try {
+    await changedBtn.waitFor({ state: 'visible', timeout: 5000 });
+    reflected = true;
+  } catch {}
+  if (!reflected) {
+    try {
+      await addBtn.waitFor({ state: 'hidden', timeout: 5000 });
+      reflected = true;
+    } catch {}
+  }
+  if (!reflected) {
+    log('Thumbnail reflection uncertain, continuing');
+    return { applied: true, verified: false, detail: 'Thumbnail was uploaded but is not shown in the editor' };
+  }
+  return { applied: true, verified: true };
+}
+
+// タイトルを設定する（既存のタイトルは置き換える）
+export async function setTitle(page: Page, title: string) {
+  await anyOf(page, 'titleInput').first().fill(title);
+  log('Title set');
+}
+
+// 本文を挿入する。非対応の記法を置き換えた記録を返す
+export async function insertBody(
+  page: Page,
+  body: string,
+  images: ImageInfo[],
+  options: { replace?: boolean } = {},
+): Promise<FormatFallback[]> {
+  const bodyBox = anyOf(page, 'bodyEditor').first();
+  await bodyBox.waitFor({ state: 'visible' });
+  await bodyBox.click();
+
+  const isMac = process.platform === 'darwin';
+  const pasteKey = isMac ? 'Meta+v' : 'Control+v';
+
+  // 既存記事の編集時は、本文をすべて選択して削除してから貼り付ける
+  if (options.replace) {
+    await page.keyboard.press(isMac ? 'Meta+a' : 'Control+a');
+    await page.keyboard.press('Delete');
+    await page.waitForTimeout(200);
+    log('Existing body cleared');
+  }
+  const formatFallbacks: FormatFallback[] = [];
+
+  // 画像がある場合は分割して挿入、なければ一括ペースト
+  if (images.length > 0) {
+    log('Inserting body with images', { imageCount: images.length });
+
+    // 本文を画像プレースホルダーで分割
+    let remainingBody = body;
+    for (const imageInfo of images) {
+      const parts = remainingBody.split(imageInfo.placeholder);
+      if (parts.length >= 2) {
+        // 画像の前のテキストを挿入
+        const textBefore = parts[0];
+        if (textBefore.trim()) {
+          await pasteMarkdown(page, textBefore, pasteKey, formatFallbacks);
+          await page.waitForTimeout(200);
+        }
+
+        // 改行を入れる
+        await page.keyboard.press('Enter');
+        await page.waitForTimeout(100);
+
+        // 画像をクリップボードにコピーして挿入
+        try {
+          const imageBuffer = fs.readFileSync(imageInfo.absolutePath);
+          const base64Image = imageBuffer.toString('base64');
+          const mimeType = imageMimeType(imageInfo.absolutePath);
+
+          await page.evaluate(async ({ base64, mime }) => {
+            const response = await fetch(`data:${mime};base64,${base64}`);
+            const blob = await response.blob();
+            const item = new ClipboardItem({ [mime]: blob });
+            await navigator.clipboard.write([item]);
+          }, { base64: base64Image, mime: mimeType });
+
+          await page.waitForTimeout(100);
+          await page.keyboard.press(pasteKey);
+          await page.waitForTimeout(500); // 画像アップロード待ち
+          log('Image inserted', { path: imageInfo.localPath });
+        } catch (imgErr) {
+          log('Warning: Failed to insert image', { path: imageInfo.localPath, error: String(imgErr) });
+        }
+
+        // 改行を入れる
+        await page.keyboard.press('Enter');
+        await page.waitForTimeout(100);
+
+        // 残りの本文を更新
+        remainingBody = parts.slice(1).join(imageInfo.placeholder);
+      }
+    }
+
+    // 残りのテキストを挿入
+    if (remainingBody.trim()) {
+      await pasteMarkdown(page, remainingBody, pasteKey, formatFallbacks);
+      await page.waitForTimeout(200);
+    }
+  } else {
+    // 画像なしの場合は一括ペースト（高速）
+    log('Using fast clipboard paste (no images)');
+    await pasteMarkdown(page, body, pasteKey, formatFallbacks);
+    await page.waitForTimeout(300);
+  }
+
+  log('Body set', { withImages: images.length > 0, formatFallbacks: formatFallbacks.length });
+  if (formatFallbacks.length > 0) {
+    log('Warning: Some markdown constructs are not supported by the note editor', { formatFallbacks });
+  }
+
+  return formatFallbacks;
+}
+
+// 下書き保存する
+export async function saveDraft(page: Page, timeout: number) {
+  const saveBtn = anyOf(page, 'draftSaveButton').first();
+  await saveBtn.waitFor({ state: 'visible', timeout });
+  if (await saveBtn.isEnabled()) {
+    await saveBtn.click();
+    await anyOf(page, 'draftSavedMessage').first().waitFor({ timeout: 4000 }).catch(() => {});
+    await page.waitForLoadState('networkidle', { timeout: 8000 }).catch(() => {});
+  }
+}
+
+// 公開設定画面に進む
+export async function proceedToPublishSettings(page: Page) {
+  const proceedBtn = anyOf(page, 'proceedButton').first();
+  await proceedBtn.waitFor({ state: 'visible', timeout: 60000 });
+  for (let i = 0; i < 30; i++) {
+    if (await proceedBtn.isEnabled().catch(() => false)) break;
+    await page.waitForTimeout(200);
+  }
+  await proceedBtn.click({ force: true });
+  log('Clicked proceed to publish button');
+
+  // 公開設定画面を待機（長い記事の場合時間がかかる）
+  await Promise.race([
+    page.waitForURL(/\/publish/i, { timeout: 60000 }),
+    anyOf(page, 'publishButton').first().waitFor({ state: 'visible', timeout: 60000 }),
+  ]).catch(() => {});
+
+  // 公開設定画面が完全に読み込まれるまで待機（長い記事用に延長）
+  await page.waitForTimeout(3000);
+  log('Navigated to publish settings page');
+}
+
+// タグを入力する
+export async function setTags(page: Page, tags: string[]): Promise<StepOutcome> {
+  log('Adding tags', { tags });
+  const tagInput = await findVisible(page, 'tagInput');
+  if (!tagInput) {
+    log('Warning: Could not find tag input');
+    return { applied: false, verified: false, detail: 'Tag input was not found' };
+  }
+  for (const tag of tags) {
+    await tagInput.click();
+    await tagInput.fill(tag);
+    await page.keyboard.press('Enter');
+    await page.waitForTimeout(50);
+  }
+
+  // 入力したタグが画面に表示されているか確認する
+  const pageText = await page.locator('body').innerText().catch(() => '');
+  const missing = tags.filter(tag => !pageText.includes(tag));
+  return missing.length > 0
+    ? { applied: true, verified: false, detail: `Tags not shown: ${missing.join(', ')}` }
+    : { applied: true, verified: true };
+}
+
+// 有料設定（バッチ処理と同じパターン）
+export async function setPrice(page: Page, price: number): Promise<StepOutcome> {
+  log('Setting paid article', { price });
+
+  try {
+    // 「有料」ラベルをクリック
+    const paidLabel = anyOf(page, 'paidLabel').first();
+    if (await paidLabel.isVisible().catch(() => false)) {
+      await paidLabel.click();
+      await page.waitForTimeout(1500); // 有料設定が反映されるまで待機（長い記事用に延長）
+
+      // 価格入力欄を探す（type="text"でplaceholder="300"のもの）
+      let filled = anyOf(page, 'priceInput').first();
+      if (await filled.isVisible().catch(() => false)) {
+        await filled.fill('');
+        await filled.fill(String(price));
+        log('Paid settings applied', { price });
+      } else {
+        // フォールバック: 数字の値が入っているinput[type="text"]を探す
+        const textInputs = page.locator('input[type="text"]');
+        const count = await textInputs.count();
+        let found = false;
+        for (let i = 0; i < count; i++) {
+          const inp = textInputs.nth(i);
+          const val = await inp.inputValue().catch(() => '');
+          if (/^\d+$/.test(val)) {
+            await inp.fill('');
+            await inp.fill(String(price));
+            log('Paid settings applied via fallback', { price });
+            filled = inp;
+            found = true;
+            break;
+          }
+        }
+        if (!found) {
+          log('Warning: Could not find price input');
+          return { applied: false, verified: false, detail: 'Price input was not found' };
+        }
+      }
+      await page.waitForTimeout(300); // 価格設定が反映されるまで待機
+
+      // 入力欄の値を読み直して確認する
+      const value = (await filled.inputValue().catch(() => '')).replace(/[^\d]/g, '');
+      return value === String(price)
+        ? { applied: true, verified: true }
+        : { applied: true, verified: false, detail: `Price input shows "${value}" instead of ${price}` };
+    }
+    log('Warning: Could not find paid option');
+    return { applied: false, verified: false, detail: 'Paid option was not found' };
+  } catch (e) {
+    log('Warning: Could not set paid settings', { error: String(e) });
+    return { applied: false, verified: false, detail: String(e) };
+  }
+}
+
+// マガジンに追加する
+export async function addToMagazine(page: Page, magazine: string): Promise<StepOutcome> {
+  let magazineAdded = false;
+  let verified = false;
+  log('Adding to magazine', { magazine });
+
+  try {
+    // マガジンタブをクリック
+    const magazineTab = anyOf(page, 'magazineTab').first();
+    await magazineTab.waitFor({ state: 'visible', timeout: 5000 });
+    await magazineTab.click();
+    await page.waitForTimeout(150);
+
+    // note.comのボタンはspan要素内にテキストがある: <button><span>追加</span></button>
+    const allAddBtns = await anyOf(page, 'addButton').all();
+
+    for (const btn of allAddBtns) {
+      const isVisible = await btn.isVisible().catch(() => false);
+      if (isVisible) {
+        // ボタンの近くにマガジン名があるか確認
+        const nearbyText = await btn.locator('xpath=ancestor::*[position()<=4]').first().textContent().catch(() => '') ?? '';
+        if (nearbyText.includes(magazine)) {
+          await btn.click();
+          await page.waitForTimeout(150);
+          magazineAdded = true;
+          // 追加するとボタンの表示が「追加」から変わる
+          verified = (await btn.innerText().catch(() => '')).trim() !== '追加';
+          log('Magazine added', { magazine, verified });
+          break;
+        }
+      }
+    }
+
+    // 見つからない場合、最後の手段として最後の追加ボタンをクリック
+    if (!magazineAdded) {
+      log('Trying last resort for magazine add');
+      const lastResortBtn = anyOf(page, 'addButton').last();
+      if (await lastResortBtn.isVisible().catch(() => false)) {
+        await lastResortBtn.click();
+        await page.waitForTimeout(150);
+        magazineAdded = true;
+        log('Magazine added via last resort');
+        // 名前で見つけたマガジンではないため、指定どおりかは確認できない
+        return { applied: true, verified: false, detail: `Magazine "${magazine}" was not found; added to the last magazine in the list` };
+      }
+    }
+
+    if (!magazineAdded) {
+      log('Warning: Could not find magazine', { magazine });
+      return { applied: false, verified: false, detail: `Magazine "${magazine}" was not found` };
+    }
+  } catch (e) {
+    log('Warning: Could not add to magazine', { error: String(e), magazine });
+    return { applied: magazineAdded, verified: false, detail: String(e) };
+  }
+
+  return { applied: true, verified, detail: verified ? undefined : 'Add button did not change after clicking' };
+}
+
+// メンバーシップに追加する
+export async function addToMembership(page: Page, membership: string, plans?: Record<string, string>): Promise<StepOutcome> {
+  // "true" が来た場合は "all"（メンバー全員に公開）にマップ
+  const { plan: resolvedMembership, pattern } = resolveMembershipPlan(membership, plans);
+  log('Adding to membership', { membership, resolvedMembership });
+  try {
+    // 「記事の追加」セクション内のメンバーシップチェックボックスをクリック
+    // UI構造: checkbox "メンバーシップ" がチェックボックスとして存在
+    const membershipCheckbox = anyOf(page, 'membershipCheckbox').first();
+
+    // チェックボックスが表示されるまで待機
+    await membershipCheckbox.waitFor({ state: 'visible', timeout: 5000 }).catch(() => {});
+
+    if (await membershipCheckbox.isVisible().catch(() => false)) {
+      // チェックされていなければクリック
+      const isChecked = await membershipCheckbox.isChecked().catch(() => false);
+      if (!isChecked) {
+        await membershipCheckbox.click();
+        log('Clicked membership checkbox');
+        await page.waitForTimeout(1000);
+      }
+
+      log('Looking for plan', { pattern, resolvedMembership });
+
+      // プラン名を含む要素を探し、その隣の「追加」ボタンをクリック
+      // 各プランは「プラン名」と「追加」ボタンが同じ親要素内にある
+      const planContainer = page.locator(`div:has(> div:has-text("${pattern}"))`).first();
+
+      if (await planContainer.isVisible().catch(() => false)) {
+        const addBtn = planContainer.getByRole('button', { name: '追加' });
+        if (await addBtn.isVisible().catch(() => false)) {
+          await addBtn.click();
+          log('Added to membership', { resolvedMembership, pattern });
+          await page.waitForTimeout(1000);
+          return addedOutcome(addBtn);
+        }
+        // フォールバック: プラン名のテキストを含む行から追加ボタンを探す
+        const altAddBtn = page.locator(`div:has-text("${pattern}") >> button:has-text("追加")`).first();
+        if (await altAddBtn.isVisible().catch(() => false)) {
+          await altAddBtn.click();
+          log('Added to membership via fallback', { resolvedMembership, pattern });
+          await page.waitForTimeout(1000);
+          return addedOutcome(altAddBtn);
+        }
+        log('Warning: Could not find add button for membership', { resolvedMembership, pattern });
+        return { applied: false, verified: false, detail: `Add button for membership plan "${resolvedMembership}" was not found` };
+      }
+
+      // フォールバック: getByTextを使用
+      const planText = page.getByText(pattern, { exact: false }).first();
+      if (await planText.isVisible().catch(() => false)) {
+        const parent = planText.locator('..').first();
+        const addBtn = parent.getByRole('button', { name: '追加' });
+        if (await addBtn.isVisible().catch(() => false)) {
+          await addBtn.click();
+          log('Added to membership via text search', { resolvedMembership, pattern });
+          await page.waitForTimeout(1000);
+          return addedOutcome(addBtn);
+        }
+        log('Warning: Could not find add button for membership', { resolvedMembership, pattern });
+        return { applied: false, verified: false, detail: `Add button for membership plan "${resolvedMembership}" was not found` };
+      }
+      log('Warning: Could not find membership plan', { resolvedMembership, pattern });
+      return { applied: false, verified: false, detail: `Membership plan "${resolvedMembership}" was not found` };
+    }
+    log('Warning: Could not find membership checkbox');
+    return { applied: false, verified: false, detail: 'Membership checkbox was not found' };
+  } catch (e) {
+    log('Warning: Could not add to membership', { error: String(e), membership });
+    return { applied: false, verified: false, detail: String(e) };
+  }
+}
+
+// 「追加」ボタンを押した後、ボタンが「追加」のまま残っていなければ追加できたとみなす
+async function addedOutcome(addBtn: Locator): Promise<StepOutcome> {
+  const text = (await addBtn.innerText().catch(() => '')).trim();
+  const verified = text !== '追加';
+  return { applied: true, verified, detail: verified ? undefined : 'Add button did not change after clicking' };
+}
+
+// Twitter(X)に投稿する設定（SNSプロモーション機能）
+export async function enableSnsPromotion(page: Page): Promise<StepOutcome> {
+  let twitterEnabled = false;
+  log('Enabling SNS promotion');
+
+  try {
+    // note.comの公開設定画面では「SNSプロモーション機能」のラジオボタンがある
+    // テキストをクリックすることでラジオボタンを選択できる（見つからなければラジオボタンを直接押す）
+    await anyOf(page, 'snsPromotionOption').first().waitFor({ state: 'visible', timeout: 5000 }).catch(() => {});
+    const snsOption = await findVisible(page, 'snsPromotionOption');
+    if (snsOption) {
+      await snsOption.click();
+      await page.waitForTimeout(100);
+      twitterEnabled = true;
+      log('SNS promotion enabled');
+    } else {
+      log('Warning: Could not find SNS promotion option');
+    }
+  } catch (e) {
+    log('Warning: Could not enable SNS promotion', { error: String(e) });
+    return { applied: false, verified: false, detail: String(e) };
+  }
+
+  if (!twitterEnabled) {
+    return { applied: false, verified: false, detail: 'SNS promotion option was not found' };
+  }
+  // 選択されたラジオボタンのラベルに「SNSプロモーション」が含まれるか確認する
+  const verified = await page.locator('input[type="radio"]:checked').evaluateAll(radios =>
+    radios.some(radio => (radio.closest('label')?.textContent ?? radio.parentElement?.textContent ?? '').includes('SNSプロモーション')),
+  ).catch(() => false);
+  return { applied: true, verified, detail: verified ? undefined : 'SNS promotion option is not shown as selected' };
+}
+
+// 有料エリアと有料ラインを設定し、投稿ボタンが表示されるまで待つ
+export async function setPaidArea(page: Page, paid: {
+  isPaid: boolean;
+  hasPaidLine: boolean;
+  paidLineIndex?: number;
+  paidLineSearchText?: string;
+}): Promise<StepOutcome> {
+  const { isPaid, hasPaidLine, paidLineIndex, paidLineSearchText } = paid;
+
+  const paidAreaBtn = anyOf(page, 'paidAreaButton').first();
+  let publishBtn = anyOf(page, 'publishButton').first();
+  let outcome: StepOutcome = { applied: false, verified: false };
+
+  // 有料エリア設定ボタンが表示されているか確認（有料を選択した場合に表示される）
+  // 有料記事の場合は確実に表示されるまで待機
+  let paidAreaBtnVisible = false;
+  if (isPaid) {
+    log('Waiting for paid area settings button...');
+    for (let i = 0; i < 20; i++) {
+      if (await paidAreaBtn.isVisible().catch(() => false)) {
+        paidAreaBtnVisible = true;
+        break;
+      }
+      await page.waitForTimeout(500);
+    }
+    log('Paid area button visibility', { paidAreaBtnVisible });
+  }
+
+  if (paidAreaBtnVisible) {
+    log('Clicking paid area settings button');
+    await paidAreaBtn.click({ force: true });
+
+    // 有料エリア設定画面を待機（長い記事の場合レンダリングに時間がかかる）
+    await page.waitForTimeout(5000);
+
+    // 有料ラインの位置を設定
+    // <!-- paid --> マーカーの直前の段落を検索し、「ラインをこの場所に変更」ボタンをクリック
+    if (hasPaidLine && paidLineIndex !== undefined && paidLineIndex > 0) {
+      log('Setting paid line position...', { paidLineIndex, paidLineSearchText });
+
+      // 段落要素をすべて取得（batch-publish.cjsと同じロジック）
+      const paragraphs = page.locator('p');
+      const pCount = await paragraphs.count().catch(() => 0);
+      log('Paragraph count', { pCount });
+
+      // デバッグ: 最初の20段落のテキストを出力
+      for (let i = 0; i < Math.min(pCount, 20); i++) {
+        try {
+          const text = await paragraphs.nth(i).textContent().catch(() => '');
+          log(`  p[${i}]: ${text?.substring(0, 60) || '(empty)'}`);
+        } catch {
+          // 無視
+        }
+      }
+
+      // paidLineSearchTextを含む段落を検索
+      let targetParagraphIndex = -1;
+      if (paidLineSearchText && paidLineSearchText.length > 5) {
+        log(`Searching for text: "${paidLineSearchText}"`);
+        for (let i = 0; i < pCount; i++) {
+          try {
+            const text = await paragraphs.nth(i).textContent().catch(() => '');
+            if (text && text.includes(paidLineSearchText)) {
+              targetParagraphIndex = i;
+              log('Found paragraph containing search text', { index: i, text: text.substring(0, 80) });
+              break;
+            }
+          } catch {
+            // 無視
+          }
+        }
+        if (targetParagraphIndex === -1) {
+          log('WARNING: Search text not found in any paragraph');
+        }
+      }
+
+      // 「ラインをこの場所に変更」ボタンをすべて取得
+      const changeLineButtons = anyOf(page, 'paidLineChangeButton');
+      const btnCount = await changeLineButtons.count().catch(() => 0);
+      log('Change line buttons count', { btnCount });
+
+      // 検索で見つかった段落の直後のボタンをクリック
+      // 見つからない場合はpaidLineIndexを使用
+      const buttonIndex = targetParagraphIndex >= 0 ? targetParagraphIndex : (paidLineIndex - 1);
+      log('Button index to click', { buttonIndex, targetParagraphIndex, paidLineIndex });
+
+      if (buttonIndex >= 0 && buttonIndex < btnCount) {
+        log(`Clicking button at index ${buttonIndex}...`);
+        await changeLineButtons.nth(buttonIndex).click({ force: true });
+        log('Paid line set at button index', { buttonIndex });
+        await page.waitForTimeout(1000);
+        outcome = { applied: true, verified: true };
+      } else {
+        log('Warning: Could not find matching button', { targetIndex: buttonIndex, btnCount });
+        // フォールバック: 「このラインより先を有料にする」ボタンをクリック
+        const setPaidLineBtn = anyOf(page, 'paidLineDefaultButton').first();
+        if (!(await setPaidLineBtn.isVisible().catch(() => false))) {
+          throw new NotePostError('PAID_LINE_NOT_SET', `Could not find a paid line button (index ${buttonIndex} of ${btnCount})`);
+        }
+        await setPaidLineBtn.click({ force: true });
+        log('Fallback: Used default paid line button');
+        await page.waitForTimeout(2000);
+        // 有料記事にはなるが、<!-- paid --> の位置ではない
+        outcome = { applied: true, verified: false, detail: `Paid line was set at the default position (button ${buttonIndex} of ${btnCount} not found)` };
+      }
+    } else {
+      // 有料ラインマーカーがない場合は、デフォルトの「このラインより先を有料にする」を使用
+      const setPaidLineBtn = anyOf(page, 'paidLineDefaultButton').first();
+      if (!(await setPaidLineBtn.isVisible().catch(() => false))) {
+        throw new NotePostError('PAID_LINE_NOT_SET', 'Could not find the paid line setting button');
+      }
+      await setPaidLineBtn.click({ force: true });
+      log('Paid line set (default position)');
+      await page.waitForTimeout(2000);
+      outcome = { applied: true, verified: true };
+    }
+
+    // 投稿ボタンを再取得
+    publishBtn = anyOf(page, 'publishButton').first();
+    await publishBtn.waitFor({ state: 'visible', timeout: 60000 });
+  } else if (isPaid) {
+    // 有料を選択したがボタンが見つからない場合（このまま投稿すると無料記事になる）
+    throw new NotePostError('PAID_LINE_NOT_SET', 'Paid area settings button was not found on the publish settings page');
+  } else {
+    // 無料記事の場合は「投稿する」ボタンを待機
+    await publishBtn.waitFor({ state: 'visible', timeout: 60000 });
+  }
+  return outcome;
+}
+
+// 予約投稿の日時を設定する（公開設定画面）
+// 入力できなかった場合にそのまま即時公開されないよう、確認できなければエラーにする
+export async function setPublishSchedule(page: Page, publishAt: Date) {
+  // エディタには日本時間で入力する（ブラウザのタイムゾーンも日本時間）
+  const [date, time] = formatPublishAt(publishAt, NOTE_TIME_ZONE).split(' ');
+  log('Setting publish schedule', { date, time });
+
+  const scheduleBtn = anyOf(page, 'scheduleButton').first();
+  try {
+    await scheduleBtn.waitFor({ state: 'visible', timeout: 10000 });
+  } catch {
+    throw new NotePostError('SELECTOR_NOT_FOUND', 'Schedule settings were not found on the publish settings page', 'schedule');
+  }
+  await scheduleBtn.click();
+  await page.waitForTimeout(500);
+
+  const dateTimeInput = anyOf(page, 'scheduleDateTimeInput').first();
+  const dateInput = anyOf(page, 'scheduleDateInput').first();
+  const timeInput = anyOf(page, 'scheduleTimeInput').first();
+
+  if (await dateTimeInput.isVisible().catch(() => false)) {
+    await dateTimeInput.fill(`${date}T${time}`);
+  } else if (await dateInput.isVisible().catch(() => false)) {
+    // type="date" 以外の入力欄は「YYYY/MM/DD」で入力する
+    const dateType = await dateInput.getAttribute('type');
+    await dateInput.fill(dateType === 'date' ? date : date.replace(/-/g, '/'));
+    await dateInput.press('Enter').catch(() => {});
+    if (await timeInput.isVisible().catch(() => false)) {
+      await timeInput.fill(time);
+      await timeInput.press('Enter').catch(() => {});
+    }
+  } else {
+    throw new NotePostError('SELECTOR_NOT_FOUND', 'Schedule date input was not found on the publish settings page', 'schedule');
+  }
+
+  // 日時選択のダイアログが開いている場合は確定する
+  const confirmBtn = anyOf(page, 'scheduleConfirmButton').first();
+  if (await confirmBtn.isVisible().catch(() => false)) {
+    await confirmBtn.click();
+    await page.waitForTimeout(500);
+  }
+
+  // 入力した日時が画面に反映されているか確認する（入力欄の値、または「11月1日 09:00」のような表示）
+  const [, month, day] = date.split('-').map(Number);
+  const values = (await page.locator('input').evaluateAll(inputs => inputs.map(input => (input as HTMLInputElement).value))).join(' ');
+  const pageText = await page.locator('body').innerText().catch(() => '');
+  const digits = (value: string) => value.replace(/\D/g, '');
+  const dateShown = digits(values).includes(digits(date)) || pageText.includes(`${month}月${day}日`);
+  const timeShown = digits(values).includes(digits(time)) || pageText.includes(time);
+  if (!dateShown || !timeShown) {
+    throw new NotePostError('SELECTOR_NOT_FOUND', `Could not set the publish schedule to ${date} ${time} (${NOTE_TIME_ZONE})`, 'schedule');
+  }
+  log('Publish schedule set', { date, time });
+}
+
+// 投稿ボタンを押し、確認モーダルと投稿完了を待つ
+export async function submitPublish(page: Page): Promise<{ modalClicked: boolean; published: boolean }> {
+  const publishBtn = anyOf(page, 'publishButton').first();
+
+  // ボタンが有効になるまで待機（長い記事用に延長）
+  for (let i = 0; i < 60; i++) {
+    if (await publishBtn.isEnabled().catch(() => false)) break;
+    await page.waitForTimeout(300);
+  }
+  await publishBtn.click({ force: true });
+  log('Publish button clicked');
+
+  // 確認モーダルの「OK」ボタンをクリック（表示される場合）
+  const okSelectors = selectorCandidates('publishConfirmButton');
+  let modalClicked = false;
+  for (let attempt = 0; attempt < 20; attempt++) {
+    await page.waitForTimeout(1000);
+    for (const selector of okSelectors) {
+      const okBtn = page.locator(selector).first();
+      if (await okBtn.isVisible().catch(() => false)) {
+        await okBtn.click({ force: true });
+        log('Confirmation modal clicked', { selector });
+        modalClicked = true;
+        break;
+      }
+    }
+    if (modalClicked) break;
+  }
+
+  // 投稿完了待ち
+  let published = false;
+  for (let i = 0; i < 60; i++) {
+    const currentUrl = page.url();
+    if (!/\/publish/i.test(currentUrl)) {
+      published = true;
+      break;
+    }
+    const successText = await anyOf(page, 'publishedMessage').first().isVisible().catch(() => false);
+    if (successText) {
+      published = true;
+      await page.waitForTimeout(2000);
+      break;
+    }
+    await page.waitForTimeout(500);
+  }
+
+  // 公開できたかどうかは、呼び出し側で記事そのものを確認して判断する（verify.ts）
+  if (!published) {
+    log('Warning: The publish page did not change after submitting');
+  }
+
+  return { modalClicked, published };
+}
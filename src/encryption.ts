@@ -0,0 +1,67 @@
+// パスフレーズによるファイルの暗号化
+//
+// ログイン情報（secrets.ts）と認証状態ファイル（auth.ts）で共通の形式。パスフレーズから
+// scryptで鍵を作り、AES-256-GCMで暗号化する。OSのキーチェーンに頼らないため、どの環境でも使える。
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+
+// 暗号化したファイルの形式（値はすべてbase64）
+export interface EncryptedFile {
+  version: 1;
+  kdf: 'scrypt';
+  salt: string;
+  iv: string;
+  tag: string;
+  data: string;
+}
+
+// 暗号化したファイルの内容か
+export function isEncryptedFile(value: unknown): value is EncryptedFile {
+  const file = value as Partial<EncryptedFile> | null;
+  return typeof file === 'object' && file !== null && file.kdf === 'scrypt' &&
+    typeof file.salt === 'string' && typeof file.iv === 'string' &&
+    typeof file.tag === 'string' && typeof file.data === 'string';
+}
+
+export function encryptJson(value: unknown, passphrase: string): EncryptedFile {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', scryptSync(passphrase, salt, 32), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf-8'), cipher.final()]);
+  return {
+    version: 1,
+    kdf: 'scrypt',
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+// 復号する（パスフレーズが違う・改ざんされている場合は例外）
+export function decryptJson<T>(file: EncryptedFile, passphrase: string): T {
+  const key = scryptSync(passphrase, Buffer.from(file.salt, 'base64'), 32);
+  const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(file.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+  const plain = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+  return JSON.parse(plain.toString('utf-8'));
+}
+
+// 書き込み途中で中断しても壊れないよう、一時ファイルに書いてから置き換える（本人だけが読めるようにする）
+export function writePrivateFile(filePath: string, content: string) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, content, { mode: 0o600 });
+  fs.renameSync(tmpPath, filePath);
+}
+
+// 本人以外も読めるパーミッションなら0600にする（変更したらtrue。Windowsでは何もしない）
+export function restrictPermissions(filePath: string): boolean {
+  if (process.platform === 'win32') return false;
+  const mode = fs.statSync(filePath).mode & 0o777;
+  if ((mode & 0o077) === 0) return false;
+  fs.chmodSync(filePath, 0o600);
+  return true;
+}
@@ -0,0 +1,106 @@
+// 投稿処理のエラーの分類
+//
+// MCPツール・バッチ投稿・投稿キューは、エラーコードと再試行できるかどうかで
+// 「やり直す／再ログインする／諦める」を判断する。Playwrightなどが投げたエラーは
+// toNotePostError で、失敗した手順（step）とともにいずれかのコードに分類する。
+
+import { FrontMatterError } from './frontmatter.js';
+
+export type ErrorCode =
+  | 'AUTH_EXPIRED'          // ログインページに転送された（再ログインが必要）
+  | 'STATE_FILE_MISSING'    // 認証状態ファイルがない（ログインが必要）
+  | 'LOGIN_FAILED'          // ヘッドレスログインに失敗した（ログイン情報の誤り・未設定など）
+  | 'LOGIN_CHALLENGE'       // ヘッドレスログインで二段階認証・CAPTCHAが出た（人の操作が必要）
+  | 'SELECTOR_NOT_FOUND'    // 画面の要素が見つからない（noteの画面変更の可能性）
+  | 'TIMEOUT'               // ページの読み込み・操作が時間内に終わらない
+  | 'RATE_LIMITED'          // レート制限の症状を検出した
+  | 'IMAGE_UPLOAD_FAILED'   // サムネイル画像をアップロードできない
+  | 'PAID_LINE_NOT_SET'     // 有料エリア・有料ラインを設定できない
+  | 'PUBLISH_UNCONFIRMED'   // 投稿後に公開を確認できない（verify.ts）
+  | 'STEP_FAILED'           // strictモードで、指定した設定を反映できなかった（下書きのまま残す）
+  | 'INVALID_INPUT'         // Markdown・Front Matter・パラメーターの誤り
+  | 'UNKNOWN';
+
+// コードごとの再試行の可否（時間をおけば成功する見込みがあるもの）
+const RETRYABLE: Record<ErrorCode, boolean> = {
+  AUTH_EXPIRED: false,
+  STATE_FILE_MISSING: false,
+  LOGIN_FAILED: false,
+  LOGIN_CHALLENGE: false,
+  SELECTOR_NOT_FOUND: false,
+  TIMEOUT: true,
+  RATE_LIMITED: true,
+  IMAGE_UPLOAD_FAILED: true,
+  PAID_LINE_NOT_SET: false,
+  PUBLISH_UNCONFIRMED: true,
+  STEP_FAILED: false,
+  INVALID_INPUT: false,
+  UNKNOWN: false,
+};
+
+// ツールの結果やログに出すエラーの内容
+export interface ErrorInfo {
+  code: ErrorCode;
+  message: string;
+  step?: string;        // 失敗した手順（publishOnPage の手順名）
+  retryable: boolean;
+  screenshot?: string;  // 失敗時のスクリーンショット
+}
+
+export class NotePostError extends Error {
+  readonly retryable: boolean;
+
+  constructor(
+    public readonly code: ErrorCode,
+    message: string,
+    public step?: string,
+    public screenshot?: string,
+  ) {
+    super(message);
+    this.name = 'NotePostError';
+    this.retryable = RETRYABLE[code];
+  }
+
+  toJSON(): ErrorInfo {
+    return { code: this.code, message: this.message, step: this.step, retryable: this.retryable, screenshot: this.screenshot };
+  }
+}
+
+// レート制限の症状を検出した
+export class RateLimitError extends NotePostError {
+  constructor(message: string, step?: string, screenshot?: string) {
+    super('RATE_LIMITED', message, step, screenshot);
+    this.name = 'RateLimitError';
+  }
+}
+
+// 手順によっては、より具体的なコードに分類する
+const STEP_CODES: Record<string, ErrorCode> = {
+  thumbnail: 'IMAGE_UPLOAD_FAILED',
+  paid_area: 'PAID_LINE_NOT_SET',
+};
+
+// 任意のエラーを分類する（失敗した手順とスクリーンショットが分かれば付ける）
+export function toNotePostError(error: unknown, context: { step?: string; screenshot?: string } = {}): NotePostError {
+  if (error instanceof NotePostError) {
+    error.step ??= context.step;
+    error.screenshot ??= context.screenshot;
+    return error;
+  }
+
+  const message = error instanceof Error ? error.message : String(error);
+  const name = error instanceof Error ? error.name : '';
+  const { step, screenshot } = context;
+
+  let code: ErrorCode = 'UNKNOWN';
+  if (error instanceof FrontMatterError || name === 'ZodError') {
+    code = 'INVALID_INPUT';
+  } else if (step && STEP_CODES[step]) {
+    code = STEP_CODES[step];
+  } else if (name === 'TimeoutError') {
+    // 要素を待って時間切れになったものは、要素が見つからないものとして扱う
+    code = /locator|selector/i.test(message) ? 'SELECTOR_NOT_FOUND' : 'TIMEOUT';
+  }
+  // Playwrightのメッセージに続く呼び出しログは省く
+  return new NotePostError(code, message.split('\nCall log:')[0].trim(), step, screenshot);
+}
@@ -0,0 +1,70 @@
+// ファイルの更新をプロセスをまたいで1つずつ行うためのロック
+//
+// 投稿キュー（queue.json）と投稿台帳（ledger.json）は、MCPサーバー・キューのワーカー・バッチ投稿が
+// それぞれ読み込み→変更→保存する。<ファイル>.update.lock を排他的に作れたプロセスだけが更新し、
+// 終わったら消すことで、別のプロセスの変更（キューへの追加・取り消し等）を上書きしないようにする。
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+// ロックを待つ時間の上限（更新は一瞬で終わるため、これを超えたら異常として扱う）
+const LOCK_TIMEOUT = 10000;
+const LOCK_RETRY_INTERVAL = 20;
+
+// 同期的に待つ（ロックする処理はすべて同期処理のため）
+function sleepSync(ms: number) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// ロックしたプロセスが残っているか（プロセスIDを書く前なら、作られてからの時間で判断する）
+function isLockHeld(lockPath: string): boolean {
+  let stat: fs.Stats;
+  let pid: number;
+  try {
+    stat = fs.statSync(lockPath);
+    pid = parseInt(fs.readFileSync(lockPath, 'utf-8'), 10);
+  } catch {
+    return true;  // 消えた直後なら、作り直しを試す
+  }
+  if (Number.isNaN(pid)) {
+    return Date.now() - stat.mtimeMs < LOCK_TIMEOUT;
+  }
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// filePath のロックを取ってから fn を実行する（fn の中で同じファイルのロックを取らないこと）
+export function withFileLock<T>(filePath: string, fn: () => T): T {
+  const lockPath = `${filePath}.update.lock`;
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+  const deadline = Date.now() + LOCK_TIMEOUT;
+  let fd: number;
+  for (;;) {
+    try {
+      fd = fs.openSync(lockPath, 'wx');
+      break;
+    } catch (e) {
+      if ((e as NodeJS.ErrnoException).code !== 'EEXIST') throw e;
+      // 更新の途中で止まったプロセスのロックは消す
+      if (!isLockHeld(lockPath)) {
+        fs.rmSync(lockPath, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for lock: ${lockPath}`);
+      }
+      sleepSync(LOCK_RETRY_INTERVAL);
+    }
+  }
+  try {
+    fs.writeSync(fd, String(process.pid));
+    fs.closeSync(fd);
+    return fn();
+  } finally {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
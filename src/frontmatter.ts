@@ -0,0 +1,186 @@
+// Front Matter（YAML）のパースと検証
+//
+// CommonMark/GFMの慣習に従い、ファイル先頭の `---` から次の `---`（または `...`）までを
+// YAMLとして解釈する。行ベースの判定では扱えなかった複数行の値、クォート内のコロン、
+// ブロックスカラー、コメント、ネストしたキーにも対応する。
+
+import { LineCounter, parseDocument, isMap, isPair, isScalar, Node } from 'yaml';
+import { parsePublishAt } from './schedule.js';
+
+// 有料価格の範囲（note.comの仕様）
+export const PRICE_MIN = 100;
+export const PRICE_MAX = 50000;
+
+// Twitter(X)投稿フラグとして受け付けるキー（先に書いたものが優先）
+const TWITTER_KEYS = ['twitter', 'x', 'post_to_twitter'];
+
+// 記事モデルとして解釈するキー
+const KNOWN_KEYS = new Set(['title', 'price', 'tags', 'magazine', 'membership', 'publish_at', ...TWITTER_KEYS]);
+
+// Front Matterのエラー（行・列はMarkdownファイル全体での位置、1始まり）
+export class FrontMatterError extends Error {
+  constructor(
+    message: string,
+    public readonly line: number,
+    public readonly column: number,
+    public readonly key?: string,
+  ) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'FrontMatterError';
+  }
+}
+
+// Front Matterから得られる記事モデル
+export interface ArticleFrontMatter {
+  title?: string;
+  tags: string[];
+  price?: number;
+  magazine?: string;
+  membership?: string;
+  postToTwitter?: boolean;
+  publishAt?: string;     // 予約投稿の日時（タイムゾーンは投稿時に解釈する）
+  extra: Record<string, unknown>; // 未知のキー（拡張用にそのまま保持）
+}
+
+// Front Matterと本文の分割結果
+export interface FrontMatterSplit {
+  frontMatter: ArticleFrontMatter;
+  body: string;           // Front Matterを除いた本文
+  bodyStartLine: number;  // 本文の開始行（1始まり）
+}
+
+// Markdownを Front Matter と本文に分割し、Front Matterを検証済みの記事モデルに変換する
+export function splitFrontMatter(content: string): FrontMatterSplit {
+  const lines = content.replace(/^\uFEFF/, '').split('\n');
+
+  if (lines[0]?.trim() !== '---') {
+    return { frontMatter: { tags: [], extra: {} }, body: lines.join('\n'), bodyStartLine: 1 };
+  }
+
+  let closeIndex = -1;
+  for (let i = 1; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+    if (trimmed === '---' || trimmed === '...') {
+      closeIndex = i;
+      break;
+    }
+  }
+  if (closeIndex === -1) {
+    throw new FrontMatterError('Front Matter is not closed with "---"', 1, 1);
+  }
+
+  const yamlText = lines.slice(1, closeIndex).join('\n');
+  return {
+    frontMatter: parseFrontMatter(yamlText, 2),
+    body: lines.slice(closeIndex + 1).join('\n'),
+    bodyStartLine: closeIndex + 2,
+  };
+}
+
+// YAMLテキストを記事モデルに変換する（firstLineはYAML 1行目のファイル上の行番号）
+export function parseFrontMatter(yamlText: string, firstLine = 1): ArticleFrontMatter {
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(yamlText, { lineCounter, prettyErrors: false });
+
+  const pos = (offset: number | undefined) => {
+    const { line, col } = lineCounter.linePos(offset ?? 0);
+    return { line: line + firstLine - 1, column: col };
+  };
+
+  if (doc.errors.length > 0) {
+    const err = doc.errors[0];
+    const { line, column } = pos(err.pos[0]);
+    throw new FrontMatterError(`Invalid YAML in front matter: ${err.message.split('\n')[0]}`, line, column);
+  }
+
+  const result: ArticleFrontMatter = { tags: [], extra: {} };
+  if (doc.contents === null) {
+    return result;
+  }
+  if (!isMap(doc.contents)) {
+    const { line, column } = pos(doc.contents.range?.[0]);
+    throw new FrontMatterError('Front matter must be a mapping of keys to values', line, column);
+  }
+
+  // キーごとの値ノードと値（JS表現）
+  const entries = new Map<string, { node: Node | null; value: unknown }>();
+  for (const item of doc.contents.items) {
+    if (!isPair(item)) continue;
+    const key = isScalar(item.key) ? String(item.key.value) : String(item.key);
+    const node = (item.value ?? null) as Node | null;
+    entries.set(key, { node, value: node ? node.toJSON() : null });
+  }
+
+  const fail = (key: string, message: string): never => {
+    const { line, column } = pos(entries.get(key)?.node?.range?.[0]);
+    throw new FrontMatterError(`${key}: ${message}`, line, column, key);
+  };
+
+  for (const [key, { value }] of entries) {
+    if (value === null || value === undefined) continue;
+
+    if (key === 'title') {
+      if (typeof value !== 'string' && typeof value !== 'number') fail(key, 'must be a string');
+      // ブロックスカラー等の改行はスペースにまとめる
+      const title = String(value).replace(/\s*\n\s*/g, ' ').trim();
+      if (title) result.title = title;
+    } else if (key === 'price') {
+      const price = typeof value === 'string' && /^\d+$/.test(value.trim()) ? parseInt(value, 10) : value;
+      if (typeof price !== 'number' || !Number.isInteger(price)) fail(key, 'must be an integer');
+      if ((price as number) < PRICE_MIN || (price as number) > PRICE_MAX) {
+        fail(key, `must be between ${PRICE_MIN} and ${PRICE_MAX}`);
+      }
+      result.price = price as number;
+    } else if (key === 'tags') {
+      result.tags = toTags(value) ?? fail(key, 'must be a list of strings or a comma separated string');
+    } else if (key === 'magazine') {
+      if (typeof value !== 'string') fail(key, 'must be a string');
+      const magazine = (value as string).trim();
+      if (magazine) result.magazine = magazine;
+    } else if (key === 'membership') {
+      // membership: true は「メンバー全員に公開」として扱う
+      if (value === true) result.membership = 'all';
+      else if (value === false) continue;
+      else if (typeof value === 'string') result.membership = value.trim().toLowerCase() || undefined;
+      else fail(key, 'must be a plan name or true');
+    } else if (key === 'publish_at') {
+      if (typeof value !== 'string') fail(key, 'must be a date and time such as "2026-11-01 09:00"');
+      try {
+        parsePublishAt(value as string);
+      } catch (e) {
+        fail(key, (e as Error).message);
+      }
+      result.publishAt = (value as string).trim();
+    } else if (TWITTER_KEYS.includes(key)) {
+      if (result.postToTwitter !== undefined) continue;
+      result.postToTwitter = toBoolean(value) ?? fail(key, 'must be a boolean');
+    } else if (!KNOWN_KEYS.has(key)) {
+      result.extra[key] = value;
+    }
+  }
+
+  return result;
+}
+
+// タグ指定を文字列配列に正規化する（不正な形式ならundefined）
+function toTags(value: unknown): string[] | undefined {
+  if (typeof value === 'string') {
+    return value.split(',').map(t => t.trim()).filter(Boolean);
+  }
+  if (Array.isArray(value) && value.every(v => v === null || ['string', 'number'].includes(typeof v))) {
+    return value.filter(v => v !== null).map(v => String(v).trim()).filter(Boolean);
+  }
+  return undefined;
+}
+
+// 真偽値指定を正規化する（yes/no, 1/0 も受け付ける）
+function toBoolean(value: unknown): boolean | undefined {
+  if (typeof value === 'boolean') return value;
+  if (value === 1 || value === 0) return value === 1;
+  if (typeof value === 'string') {
+    const v = value.trim().toLowerCase();
+    if (['true', 'yes', 'on', '1'].includes(v)) return true;
+    if (['false', 'no', 'off', '0', ''].includes(v)) return false;
+  }
+  return undefined;
+}
@@ -0,0 +1,156 @@
+// 投稿台帳（ローカルのMarkdownファイルとnote記事の対応表）
+//
+// 投稿・下書き保存・更新のたびに、元ファイルのパスと内容のハッシュ、記事キー、URL、状態を記録する。
+// 同じファイルの再投稿を検出し、新しい記事を作らずに既存の記事の更新へ振り向けるために使う。
+// プロファイル（profiles.ts）を使う場合は、同じファイルでもアカウントごとに別の記録になる。
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as os from 'os';
+import { createHash } from 'crypto';
+import { withFileLock } from './file-lock.js';
+
+export const DEFAULT_LEDGER_PATH = process.env.NOTE_POST_MCP_LEDGER_PATH ??
+  path.join(os.homedir(), '.note-post-mcp', 'ledger.json');
+
+export type LedgerStatus = 'draft' | 'published';
+
+// 台帳の1件（元ファイルの絶対パスとプロファイルごとに1件）
+export interface LedgerEntry {
+  sourcePath: string;
+  profile?: string;     // 投稿したアカウントのプロファイル（プロファイルを使わない場合はなし）
+  contentHash: string;  // Markdownファイル全体のSHA-256
+  noteKey?: string;
+  url: string;
+  status: LedgerStatus;
+  title?: string;
+  price?: number;
+  magazine?: string;
+  membership?: string;
+  createdAt: string;
+  updatedAt: string;
+  publishedAt?: string;
+  scheduledAt?: string;  // 予約投稿の場合の公開予定日時
+}
+
+interface LedgerFile {
+  version: 1;
+  entries: Record<string, LedgerEntry>;
+}
+
+// 記録する内容（ハッシュと日時は台帳側で付ける）
+export interface PublishRecord {
+  sourcePath: string;
+  profile?: string;
+  url: string;
+  status: LedgerStatus;
+  noteKey?: string;
+  title?: string;
+  price?: number;
+  magazine?: string;
+  membership?: string;
+  scheduledAt?: string;
+}
+
+// 台帳に記録済みの記事があった場合の扱い
+// update: 記録済みの記事を更新 / skip: 内容が変わっていなければ何もしない / new: 新しい記事として投稿
+export type ExistingMode = 'update' | 'skip' | 'new';
+
+export interface ExistingMatch {
+  entry: LedgerEntry;
+  unchanged: boolean;  // 前回の投稿から内容が変わっていない
+  action: 'update' | 'skip' | 'new';
+}
+
+export function hashContent(content: string): string {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+export function hashFile(filePath: string): string {
+  return hashContent(fs.readFileSync(filePath, 'utf-8'));
+}
+
+// 記事URLから記事キー（n1234abcd...）を取り出す（見つからなければundefined）
+export function noteKeyFromUrl(url: string): string | undefined {
+  return url.match(/\/n(?:otes)?\/(n[0-9a-z]+)(?:[/?#]|$)/i)?.[1];
+}
+
+export function loadLedger(ledgerPath = DEFAULT_LEDGER_PATH): LedgerFile {
+  if (!fs.existsSync(ledgerPath)) {
+    return { version: 1, entries: {} };
+  }
+  const data = JSON.parse(fs.readFileSync(ledgerPath, 'utf-8'));
+  return { version: 1, entries: data.entries ?? {} };
+}
+
+// 書き込み途中で中断しても壊れないよう、一時ファイルに書いてから置き換える
+export function saveLedger(ledger: LedgerFile, ledgerPath = DEFAULT_LEDGER_PATH) {
+  fs.mkdirSync(path.dirname(ledgerPath), { recursive: true });
+  const tmpPath = `${ledgerPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(ledger, null, 2));
+  fs.renameSync(tmpPath, ledgerPath);
+}
+
+// 台帳のキー（プロファイルを使わない場合は絶対パスだけ。従来の台帳と同じ）
+function ledgerKey(sourcePath: string, profile?: string): string {
+  const absolutePath = path.resolve(sourcePath);
+  return profile ? `${profile}:${absolutePath}` : absolutePath;
+}
+
+export function findLedgerEntry(sourcePath: string, profile?: string, ledgerPath = DEFAULT_LEDGER_PATH): LedgerEntry | undefined {
+  return loadLedger(ledgerPath).entries[ledgerKey(sourcePath, profile)];
+}
+
+// 記録済みの記事を探し、今回の投稿（targetの状態にする）をどう扱うかを決める（記録がなければundefined）
+export function matchExisting(
+  sourcePath: string,
+  mode: ExistingMode = 'update',
+  target: LedgerStatus = 'published',
+  profile?: string,
+  ledgerPath = DEFAULT_LEDGER_PATH,
+): ExistingMatch | undefined {
+  const entry = findLedgerEntry(sourcePath, profile, ledgerPath);
+  if (!entry) return undefined;
+
+  const unchanged = fs.existsSync(sourcePath) && hashFile(sourcePath) === entry.contentHash;
+  // 下書きのままの記事を公開する場合は、内容が同じでもスキップしない
+  const done = unchanged && (entry.status === 'published' || target === 'draft');
+  let action: ExistingMatch['action'] = mode;
+  if (action === 'skip' && !done) action = 'update';
+  if (!entry.noteKey && action === 'update') action = 'new';  // 記事キー不明のため更新できない
+  return { entry, unchanged, action };
+}
+
+// 投稿結果を台帳に記録する（MCPサーバー・キューのワーカー・バッチ投稿が同時に記録しても消えないようロックする）
+export function recordPublish(record: PublishRecord, ledgerPath = DEFAULT_LEDGER_PATH): LedgerEntry {
+  return withFileLock(ledgerPath, () => {
+    const ledger = loadLedger(ledgerPath);
+    const sourcePath = path.resolve(record.sourcePath);
+    const key = ledgerKey(sourcePath, record.profile);
+    const prev = ledger.entries[key];
+    const now = new Date().toISOString();
+
+    // 公開済みの記事を下書き保存しても、公開中であることに変わりはない
+    const status = record.status === 'draft' && prev?.status === 'published' ? 'published' : record.status;
+
+    const entry: LedgerEntry = {
+      sourcePath,
+      profile: record.profile,
+      contentHash: hashFile(sourcePath),
+      noteKey: record.noteKey ?? noteKeyFromUrl(record.url) ?? prev?.noteKey,
+      url: record.url,
+      status,
+      title: record.title,
+      price: record.price,
+      magazine: record.magazine,
+      membership: record.membership,
+      createdAt: prev?.createdAt ?? now,
+      updatedAt: now,
+      publishedAt: record.status === 'published' ? record.scheduledAt ?? now : prev?.publishedAt,
+      scheduledAt: record.status === 'published' ? record.scheduledAt : prev?.scheduledAt,
+    };
+    ledger.entries[key] = entry;
+    saveLedger(ledger, ledgerPath);
+    return entry;
+  });
+}
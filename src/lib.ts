@@ -0,0 +1,25 @@
+// Node.jsから投稿する入口（@gonuts555/note-post-mcp と @gonuts555/note-post-mcp/poster）
+//
+// 読み込んでも何も起動せず、投稿用のクラス（NotePoster）と、記事の解釈（core.ts）をまとめて公開する。
+// パッケージのルート（index.ts）も同じものを公開し、MCPサーバーは note-post-mcp コマンドとして実行した時だけ起動する。
+//
+//   import { NotePoster } from '@gonuts555/note-post-mcp';
+
+export { NotePoster } from './poster.js';
+export type {
+  NotePosterOptions,
+  NotePosterEvents,
+  NotePosterListener,
+  ArticleOptions,
+  DraftOptions,
+  UpdateOptions,
+} from './poster.js';
+
+export type { PostResult, PublishStep, StepStatus, StepEvent } from './publish.js';
+export type { AuthStatus } from './auth.js';
+export type { ExistingMode } from './ledger.js';
+export type { PublishVerification, VerifyReason } from './verify.js';
+export type { UrlConfig, NoteUrls } from './urls.js';
+export { RateLimitError } from './errors.js';
+
+export * from './core.js';
@@ -0,0 +1,17 @@
+// ログ・時刻の共通ユーティリティ
+
+// 名称一貫性
+export const SERVER_NAME = process.env.MCP_NAME ?? 'note-post-mcp';
+
+// ログ用ユーティリティ（stdoutはMCPの通信に使うためstderrに出力）
+export function log(message: string, data?: any) {
+  const timestamp = new Date().toISOString();
+  console.error(`[${timestamp}] [${SERVER_NAME}] ${message}`, data ?? '');
+}
+
+// 現在時刻のフォーマット
+export function nowStr(): string {
+  const d = new Date();
+  const z = (n: number) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${z(d.getMonth() + 1)}-${z(d.getDate())}_${z(d.getHours())}-${z(d.getMinutes())}-${z(d.getSeconds())}`;
+}
@@ -0,0 +1,125 @@
+// ヘッドレスログイン
+//
+// scripts/login.mjs は画面を開いて人がログインする必要があり、CIやサーバーでは使えない。
+// ここでは環境変数か暗号化ファイル（secrets.ts）のログイン情報でログインフォームを埋め、
+// 認証状態ファイルを保存し直す。二段階認証やCAPTCHAが出た場合は、人の操作が必要なため
+// LOGIN_CHALLENGE で止める。
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { Page } from 'playwright';
+import { log, nowStr } from './log.js';
+import { launchBrowser, NOTE_CONTEXT_OPTIONS } from './browser-pool.js';
+import { writeStorageState } from './auth.js';
+import { Credentials } from './secrets.js';
+import { NotePostError } from './errors.js';
+import { anyOf } from './selectors.js';
+import { NoteUrls, noteUrls, isLoginUrl } from './urls.js';
+
+// 二段階認証の画面の文言
+const TWO_FACTOR_TEXT = /二段階認証|2段階認証|認証コード|確認コード/;
+
+// ログインに失敗したことを示す表示
+const LOGIN_ERROR_TEXT = /(メールアドレス|note ID|パスワード).*(正しくありません|間違っています|一致しません)|ログインに失敗/;
+
+export interface HeadlessLoginOptions {
+  timeout?: number;
+  screenshotDir?: string;  // 失敗時のスクリーンショットの保存先
+  urls?: NoteUrls;         // 開くURL（省略時は設定ファイル・環境変数）
+}
+
+// ログイン情報でログインし、認証状態ファイルを保存する
+export async function loginWithCredentials(statePath: string, credentials: Credentials, options: HeadlessLoginOptions = {}) {
+  const { timeout = 60000, urls = noteUrls() } = options;
+  const browser = await launchBrowser();
+  try {
+    const context = await browser.newContext(NOTE_CONTEXT_OPTIONS);
+    const page = await context.newPage();
+    page.setDefaultTimeout(timeout);
+
+    try {
+      await submitLoginForm(page, credentials, timeout, urls);
+
+      // エディタページにもアクセスして、editor.note.comドメインのcookieも取得（login.mjs と同じ）
+      await page.goto(urls.newNote, { waitUntil: 'domcontentloaded', timeout });
+      await page.waitForLoadState('networkidle', { timeout: 15000 }).catch(() => {});
+      if (isLoginUrl(page.url(), urls)) {
+        throw new NotePostError('LOGIN_FAILED', 'Logged in but the editor redirected back to the login page');
+      }
+    } catch (error) {
+      const screenshot = await saveScreenshot(page, options.screenshotDir);
+      if (error instanceof NotePostError) {
+        error.screenshot ??= screenshot;
+        throw error;
+      }
+      throw new NotePostError('LOGIN_FAILED', `Headless login failed: ${error instanceof Error ? error.message.split('\nCall log:')[0] : String(error)}`, undefined, screenshot);
+    }
+
+    // パスフレーズが設定されていれば暗号化して保存する
+    writeStorageState(statePath, await context.storageState());
+    log('Headless login: state saved', { statePath });
+  } finally {
+    await browser.close();
+  }
+}
+
+// ログインフォームを送信し、ログインできたか・人の操作が必要かを判定する
+async function submitLoginForm(page: Page, credentials: Credentials, timeout: number, urls: NoteUrls) {
+  await page.goto(urls.login, { waitUntil: 'domcontentloaded', timeout });
+  await page.waitForLoadState('networkidle', { timeout: 15000 }).catch(() => {});
+  if (!isLoginUrl(page.url(), urls)) {
+    // 既にログイン済み（通常は新しいコンテキストのため起きない）
+    return;
+  }
+  await checkChallenge(page, false);
+
+  const email = anyOf(page, 'loginEmail').first();
+  const password = anyOf(page, 'loginPassword').first();
+  await email.waitFor({ state: 'visible', timeout });
+  await email.fill(credentials.email);
+  await password.fill(credentials.password);
+  log('Headless login: submitting', { email: credentials.email });
+
+  const submit = anyOf(page, 'loginSubmit');
+  if (await submit.count() > 0) {
+    await submit.first().click();
+  } else {
+    await password.press('Enter');
+  }
+
+  // ログインページから離れるか、エラー・人の操作が必要な画面が出るまで待つ
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    await page.waitForTimeout(1000);
+    await checkChallenge(page, true);
+    if (!isLoginUrl(page.url(), urls)) {
+      log('Headless login: logged in', { url: page.url() });
+      return;
+    }
+    const text = await page.locator('body').innerText().catch(() => '');
+    if (LOGIN_ERROR_TEXT.test(text)) {
+      throw new NotePostError('LOGIN_FAILED', 'note.com rejected the email or password');
+    }
+  }
+  throw new NotePostError('LOGIN_FAILED', `Still on the login page ${timeout}ms after submitting the form`);
+}
+
+// 二段階認証・CAPTCHAが出ていれば LOGIN_CHALLENGE を投げる
+// （二段階認証の文言はログインページの説明文にも出ることがあるため、送信後だけ調べる）
+async function checkChallenge(page: Page, submitted: boolean) {
+  if (await anyOf(page, 'loginCaptcha').first().isVisible().catch(() => false)) {
+    throw new NotePostError('LOGIN_CHALLENGE', 'note.com is showing a CAPTCHA. Run "npm run login" once in a headed browser.');
+  }
+  const twoFactor = await anyOf(page, 'loginTwoFactor').first().isVisible().catch(() => false) ||
+    (submitted && TWO_FACTOR_TEXT.test(await page.locator('body').innerText().catch(() => '')));
+  if (twoFactor) {
+    throw new NotePostError('LOGIN_CHALLENGE', 'note.com is asking for a two-factor authentication code. Run "npm run login" in a headed browser.');
+  }
+}
+
+async function saveScreenshot(page: Page, screenshotDir?: string): Promise<string | undefined> {
+  if (!screenshotDir) return undefined;
+  fs.mkdirSync(screenshotDir, { recursive: true });
+  const screenshotPath = path.join(screenshotDir, `note-login-${nowStr()}.png`);
+  return page.screenshot({ path: screenshotPath, fullPage: true }).then(() => screenshotPath, () => undefined);
+}
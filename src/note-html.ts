@@ -0,0 +1,148 @@
+// Markdown → note.comエディタ向けHTMLの変換
+//
+// note.comのエディタが扱えるノード（見出しh2/h3、太字、打ち消し線、引用、コードブロック、
+// 箇条書き・番号付きリスト、リンク、区切り線）だけを出力する。
+// それ以外の記法は近い表現に置き換え、置き換えた内容をフォールバックとして報告する。
+
+import { Lexer, Token, Tokens } from 'marked';
+
+// 非対応の記法を置き換えた記録
+export interface FormatFallback {
+  construct: string;  // 非対応の記法（例: h4, table, inline_code）
+  fallback: string;   // 置き換え後の表現
+  excerpt: string;    // 該当箇所のMarkdown（先頭40文字）
+}
+
+// 変換結果
+export interface NoteHtml {
+  html: string;
+  fallbacks: FormatFallback[];
+}
+
+// MarkdownをnoteエディタにペーストできるHTMLに変換する
+export function renderNoteHtml(markdown: string): NoteHtml {
+  const fallbacks: FormatFallback[] = [];
+  const report = (construct: string, fallback: string, raw: string) => {
+    fallbacks.push({ construct, fallback, excerpt: raw.trim().substring(0, 40) });
+  };
+
+  const renderInline = (tokens: Token[] = []): string => tokens.map(t => inline(t)).join('');
+
+  const inline = (token: Token): string => {
+    switch (token.type) {
+      case 'text': {
+        const t = token as Tokens.Text;
+        // 段落内の改行はそのまま改行として扱う（従来のテキスト貼り付けと同じ見た目）
+        return t.tokens ? renderInline(t.tokens) : escapeHtml(t.text).replace(/\n/g, '<br>');
+      }
+      case 'escape':
+        return escapeHtml((token as Tokens.Escape).text);
+      case 'strong':
+        return `<strong>${renderInline((token as Tokens.Strong).tokens)}</strong>`;
+      case 'del':
+        return `<s>${renderInline((token as Tokens.Del).tokens)}</s>`;
+      case 'link': {
+        const t = token as Tokens.Link;
+        return `<a href="${escapeHtml(t.href)}">${renderInline(t.tokens)}</a>`;
+      }
+      case 'br':
+        return '<br>';
+      case 'em':
+        report('emphasis', 'plain text', token.raw);
+        return renderInline((token as Tokens.Em).tokens);
+      case 'codespan':
+        report('inline_code', 'plain text', token.raw);
+        return escapeHtml((token as Tokens.Codespan).text);
+      case 'image': {
+        // ローカル画像は呼び出し側で分割して挿入するため、ここに来るのはURL画像等
+        const t = token as Tokens.Image;
+        report('image', 'link', token.raw);
+        return `<a href="${escapeHtml(t.href)}">${escapeHtml(t.text || t.href)}</a>`;
+      }
+      case 'html':
+        report('inline_html', 'escaped text', token.raw);
+        return escapeHtml(token.raw);
+      case 'checkbox':
+        report('task_list', 'checkbox character', token.raw);
+        return (token as Tokens.Checkbox).checked ? '☑ ' : '☐ ';
+      default:
+        report(token.type, 'plain text', token.raw);
+        return escapeHtml(token.raw);
+    }
+  };
+
+  const renderBlocks = (tokens: Token[]): string => tokens.map(t => block(t)).join('');
+
+  const block = (token: Token): string => {
+    switch (token.type) {
+      case 'space':
+      case 'def':
+        return '';
+      case 'heading': {
+        const t = token as Tokens.Heading;
+        // noteの見出しは大見出し(h2)と小見出し(h3)のみ
+        const level = t.depth <= 2 ? 2 : 3;
+        if (t.depth !== level) report(`h${t.depth}`, `h${level}`, t.raw);
+        return `<h${level}>${renderInline(t.tokens)}</h${level}>`;
+      }
+      case 'paragraph':
+        return `<p>${renderInline((token as Tokens.Paragraph).tokens)}</p>`;
+      case 'text': {
+        // 詰めて書いたリスト項目直下のテキスト
+        const t = token as Tokens.Text;
+        return t.tokens ? renderInline(t.tokens) : escapeHtml(t.text);
+      }
+      case 'blockquote':
+        return `<blockquote>${renderBlocks((token as Tokens.Blockquote).tokens)}</blockquote>`;
+      case 'code': {
+        const t = token as Tokens.Code;
+        return `<pre><code>${escapeHtml(t.text)}</code></pre>`;
+      }
+      case 'list': {
+        const t = token as Tokens.List;
+        const tag = t.ordered ? 'ol' : 'ul';
+        const items = t.items.map(item => `<li>${renderBlocks(item.tokens)}</li>`).join('');
+        return `<${tag}>${items}</${tag}>`;
+      }
+      case 'checkbox':
+        return inline(token);
+      case 'hr':
+        return '<hr>';
+      case 'table': {
+        // 表は1行ずつ「 | 」区切りの段落にする
+        const t = token as Tokens.Table;
+        report('table', 'paragraph per row', t.raw);
+        const rows = [t.header, ...t.rows].map(cells => cells.map(c => renderInline(c.tokens)).join(' | '));
+        return rows.map(row => `<p>${row}</p>`).join('');
+      }
+      case 'html':
+        report('html_block', 'escaped text', token.raw);
+        return `<p>${escapeHtml(token.raw.trim()).replace(/\n/g, '<br>')}</p>`;
+      default:
+        report(token.type, 'plain text', token.raw);
+        return `<p>${escapeHtml(token.raw.trim())}</p>`;
+    }
+  };
+
+  const html = renderBlocks(Lexer.lex(markdown, { gfm: true }));
+  return { html, fallbacks };
+}
+
+// Markdownをnote上で表示されるテキストに変換する（有料ラインの検索テキスト用）
+export function markdownToPlainText(markdown: string): string {
+  return renderNoteHtml(markdown).html
+    .replace(/<br>/g, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+}
+
+export function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
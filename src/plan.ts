@@ -0,0 +1,265 @@
+// 投稿設定の解決とドライラン用の実行計画
+//
+// パラメーターとFront Matterから実際に使う設定を決め、ブラウザを起動せずに
+// 「何が行われるか」を組み立てる。投稿処理（postToNote）も同じ解決結果を使う。
+
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  parseMarkdown,
+  scanImages,
+  normalizeTags,
+  locatePaidLine,
+  resolveMembershipPlan,
+  ParsedMarkdown,
+  ImageInfo,
+  MissingImage,
+  DroppedTag,
+  PaidLineTarget,
+} from './article.js';
+import { renderNoteHtml, FormatFallback } from './note-html.js';
+import { parsePublishAt, checkPublishAt, toZonedIsoString, formatPublishAt, DEFAULT_TIME_ZONE, NOTE_TIME_ZONE } from './schedule.js';
+import { NotePostError } from './errors.js';
+
+// 投稿内容に関わるオプション（Front Matterでも指定可能、パラメーターが優先）
+export interface PostOptions {
+  markdownPath: string;
+  thumbnailPath?: string;
+  isPublic: boolean;
+  price?: number;
+  defaultPrice?: number;    // パラメーターにもFront Matterにも価格がない場合の価格（バッチ投稿・プロファイル）
+  defaultMagazine?: string;   // 同じく、マガジン（プロファイル）
+  defaultMembership?: string; // 同じく、メンバーシッププラン（プロファイル）
+  membershipPlans?: Record<string, string>;  // プロファイルごとのメンバーシッププランの表示テキスト
+  paidLineIndex?: number;
+  magazine?: string;
+  membership?: string;
+  postToTwitter?: boolean;
+  appendImages?: string[];  // 本文で参照されていなければ末尾に追加する画像（バッチ投稿の images/ ディレクトリ）
+  publishAt?: string;       // 予約投稿の日時（Front Matterのpublish_at）
+  timeZone?: string;        // publishAtにタイムゾーンの指定がない場合のタイムゾーン
+}
+
+// 解決済みの投稿設定
+export interface ResolvedPost {
+  parsed: ParsedMarkdown;
+  title: string;
+  body: string;
+  tags: string[];
+  droppedTags: DroppedTag[];
+  price?: number;
+  isPaid: boolean;
+  paidLineIndex?: number;
+  paidLineSearchText?: string;
+  hasPaidLine: boolean;
+  magazine?: string;
+  membership?: string;
+  membershipPlans?: Record<string, string>;
+  postToTwitter: boolean;
+  publishAt?: Date;
+  timeZone: string;
+  images: ImageInfo[];
+  missingImages: MissingImage[];
+}
+
+// Markdownファイルを読み込み、パラメーターとFront Matterから投稿設定を決める
+export function resolvePost(options: PostOptions): ResolvedPost {
+  const { markdownPath } = options;
+
+  // Markdownファイルを読み込み
+  if (!fs.existsSync(markdownPath)) {
+    throw new NotePostError('INVALID_INPUT', `Markdown file not found: ${markdownPath}`);
+  }
+  const mdContent = fs.readFileSync(markdownPath, 'utf-8');
+  const parsed = parseMarkdown(mdContent);
+  const { title } = parsed;
+  const baseDir = path.dirname(markdownPath);
+
+  // 本文で参照されていない画像を末尾に追加
+  let body = parsed.body;
+  if (options.appendImages && options.appendImages.length > 0) {
+    const referenced = new Set(scanImages(body, baseDir).images.map(image => image.absolutePath));
+    for (const imagePath of options.appendImages.map(p => path.resolve(p))) {
+      if (!referenced.has(imagePath)) body += `\n\n![](${imagePath})`;
+    }
+  }
+  const { tags, dropped: droppedTags } = normalizeTags(parsed.tags);
+
+  // 有料設定: パラメーターが優先、なければFront Matterから取得
+  const price = options.price ?? parsed.price ?? options.defaultPrice;
+  const paidLineIndex = options.paidLineIndex ?? parsed.paidLineIndex;
+  const isPaid = price !== undefined && price >= 100;
+
+  // 予約投稿の日時: パラメーターが優先、なければFront Matterから取得
+  const timeZone = options.timeZone ?? DEFAULT_TIME_ZONE;
+  const publishAtText = options.publishAt ?? parsed.publishAt;
+  const publishAt = publishAtText ? parseInput(() => parsePublishAt(publishAtText, timeZone)) : undefined;
+
+  // 本文中の画像を抽出
+  const { images, missing: missingImages } = scanImages(body, baseDir);
+
+  return {
+    parsed,
+    title,
+    body,
+    tags,
+    droppedTags,
+    price,
+    isPaid,
+    paidLineIndex,
+    paidLineSearchText: parsed.paidLineSearchText,
+    hasPaidLine: paidLineIndex !== undefined && paidLineIndex > 0,
+    // マガジン・メンバーシップ・Twitter投稿: パラメーターが優先、なければFront Matter、プロファイルの順
+    magazine: options.magazine ?? parsed.magazine ?? options.defaultMagazine,
+    membership: options.membership ?? parsed.membership ?? options.defaultMembership,
+    membershipPlans: options.membershipPlans,
+    postToTwitter: options.postToTwitter ?? parsed.postToTwitter ?? false,
+    publishAt,
+    timeZone,
+    images,
+    missingImages,
+  };
+}
+
+// ドライランで返す実行計画
+export interface PublishPlan {
+  dryRun: true;
+  action: 'publish' | 'draft';
+  markdownPath: string;
+  title: string;
+  bodyLength: number;
+  tags: string[];
+  droppedTags: DroppedTag[];
+  thumbnail?: { path: string; exists: boolean };
+  images: { alt: string; localPath: string; absolutePath: string }[];
+  missingImages: MissingImage[];
+  paid?: {
+    price: number;
+    paidLine: PaidLineTarget & { searchText?: string };
+  };
+  magazine?: string;
+  membership?: { plan: string; pattern: string; known: boolean };
+  postToTwitter: boolean;
+  scheduledAt?: string;     // 予約投稿の日時（timeZoneのオフセット付きISO 8601）
+  timeZone?: string;
+  formatFallbacks: FormatFallback[];
+  warnings: string[];
+}
+
+// ブラウザを起動せずに実行計画を組み立てる
+export function buildPublishPlan(options: PostOptions): PublishPlan {
+  const resolved = resolvePost(options);
+  const warnings: string[] = [];
+
+  // 下書き保存では公開設定画面に進まないため、タグ・有料設定等は反映されない
+  const isPublic = options.isPublic;
+  if (!isPublic && (resolved.tags.length > 0 || resolved.isPaid || resolved.magazine || resolved.membership || resolved.postToTwitter)) {
+    warnings.push('Draft save does not open the publish settings page; tags, price, magazine, membership and SNS settings are not applied');
+  }
+
+  let thumbnail: PublishPlan['thumbnail'];
+  if (options.thumbnailPath) {
+    const exists = fs.existsSync(options.thumbnailPath);
+    thumbnail = { path: path.resolve(options.thumbnailPath), exists };
+    if (!exists) warnings.push(`Thumbnail not found, it will be skipped: ${options.thumbnailPath}`);
+  }
+
+  for (const image of resolved.missingImages) {
+    warnings.push(`Image not found, it will be left as text: ${image.localPath}`);
+  }
+  for (const dropped of resolved.droppedTags) {
+    warnings.push(`Tag "${dropped.tag}" will be dropped (${dropped.reason})`);
+  }
+
+  let paid: PublishPlan['paid'];
+  if (isPublic && resolved.isPaid && resolved.price !== undefined) {
+    const paidLine = locatePaidLine(resolved.body, resolved.paidLineIndex, resolved.paidLineSearchText);
+    paid = { price: resolved.price, paidLine: { ...paidLine, searchText: resolved.paidLineSearchText } };
+    if (paidLine.method === 'default') {
+      warnings.push('No <!-- paid --> marker; the whole article after the default line will be paid');
+    } else if (paidLine.mismatch) {
+      warnings.push(`Paid line search text matches paragraph ${paidLine.paragraphIndex} before the marker paragraph ${paidLine.markerParagraphIndex}`);
+    }
+  } else if (resolved.hasPaidLine && !resolved.isPaid) {
+    warnings.push('<!-- paid --> marker found but no price is set; the article will be free');
+  }
+
+  // 予約投稿は公開時のみ
+  let scheduledAt: string | undefined;
+  if (resolved.publishAt && isPublic) {
+    scheduledAt = toZonedIsoString(resolved.publishAt, resolved.timeZone);
+    const problem = checkPublishAt(resolved.publishAt);
+    if (problem) warnings.push(problem);
+  } else if (resolved.publishAt) {
+    warnings.push('publish_at is ignored when saving a draft');
+  }
+
+  const membership = resolved.membership ? resolveMembershipPlan(resolved.membership, resolved.membershipPlans) : undefined;
+  if (membership && !membership.known) {
+    warnings.push(`Unknown membership plan "${membership.plan}"; it will be matched by its text`);
+  }
+
+  // 本文の書式変換（画像部分は別途挿入されるため除いて変換する）
+  let textOnly = resolved.body;
+  for (const image of resolved.images) {
+    textOnly = textOnly.split(image.placeholder).join('\n\n');
+  }
+  const { fallbacks: formatFallbacks } = renderNoteHtml(textOnly);
+
+  return {
+    dryRun: true,
+    action: isPublic ? 'publish' : 'draft',
+    markdownPath: options.markdownPath,
+    title: resolved.title,
+    bodyLength: resolved.body.length,
+    tags: isPublic ? resolved.tags : [],
+    droppedTags: resolved.droppedTags,
+    thumbnail,
+    images: resolved.images.map(({ alt, localPath, absolutePath }) => ({ alt, localPath, absolutePath })),
+    missingImages: resolved.missingImages,
+    paid,
+    magazine: isPublic ? resolved.magazine : undefined,
+    membership: isPublic ? membership : undefined,
+    postToTwitter: isPublic && resolved.postToTwitter,
+    scheduledAt,
+    timeZone: scheduledAt ? resolved.timeZone : undefined,
+    formatFallbacks,
+    warnings,
+  };
+}
+
+// 公開結果のメッセージに使う内容（magazine / postToTwitter は実際に反映できたものだけ渡す）
+export interface PublishMessageInput {
+  update?: boolean;         // 既存記事の更新
+  isPaid: boolean;
+  price?: number;
+  publishAt?: Date;         // 予約投稿の日時
+  timeZone?: string;
+  magazine?: string;
+  postToTwitter?: boolean;
+}
+
+// 公開・更新・予約の結果メッセージを組み立てる
+export function buildPublishMessage(input: PublishMessageInput): string {
+  const { isPaid, price, publishAt, timeZone = NOTE_TIME_ZONE } = input;
+  const what = isPaid ? `有料記事（${price}円）` : '記事';
+  let message = publishAt
+    ? `${what}を${formatPublishAt(publishAt, timeZone)}（${timeZone}）に公開するよう予約しました`
+    : `${what}を${input.update ? '更新' : '公開'}しました`;
+  if (input.magazine) {
+    message += `（マガジン「${input.magazine}」に追加）`;
+  }
+  if (input.postToTwitter) {
+    message += '（Twitter連携あり）';
+  }
+  return message;
+}
+
+// 入力の解釈に失敗したものは INVALID_INPUT にする
+function parseInput<T>(fn: () => T): T {
+  try {
+    return fn();
+  } catch (e) {
+    throw new NotePostError('INVALID_INPUT', e instanceof Error ? e.message : String(e));
+  }
+}
@@ -0,0 +1,175 @@
+// Node.jsから投稿するためのクラス（NotePoster）
+//
+// MCPサーバーと同じ処理（postWithLedger / postToNote / checkAuth）を、stdioを通さずに呼び出す。
+// ブラウザはインスタンスごとのブラウザプールで使い回すため、使い終わったら close() を呼ぶ。
+// 手順が終わるたびにイベント（on / off）で通知する。リスナーのエラーは記録するだけで、投稿は止めない。
+
+import { log } from './log.js';
+import { PostOptions } from './plan.js';
+import { ExistingMode } from './ledger.js';
+import { extractNoteKey } from './editor.js';
+import { BrowserPool, DEFAULT_IDLE_TIMEOUT } from './browser-pool.js';
+import { postToNote, postWithLedger, checkAuth, PostResult, StepEvent, DEFAULT_TIMEOUT } from './publish.js';
+import { AuthStatus } from './auth.js';
+import { resolveAccount, Account, DEFAULT_PROFILE } from './profiles.js';
+import { resolveUrls, NoteUrls, UrlConfig } from './urls.js';
+
+export interface NotePosterOptions {
+  profile?: string;        // プロファイル名（省略時は NOTE_POST_MCP_PROFILE）
+  statePath?: string;      // 認証状態ファイル（プロファイルの認証状態ファイルより優先する）
+  screenshotDir?: string;
+  timeout?: number;
+  strict?: boolean;        // 指定した設定が1つでも反映できなければ、投稿せずに下書きのまま残す
+  existing?: ExistingMode; // 台帳に記録済みのファイルの扱い
+  urls?: UrlConfig;        // 接続先（省略時は設定ファイル・環境変数）
+  idleTimeout?: number;    // 使っていないブラウザを閉じるまでの時間（ミリ秒）
+}
+
+// 記事ごとの設定（Front Matterやプロファイルのデフォルトより優先する）
+export type ArticleOptions = Omit<PostOptions, 'markdownPath' | 'isPublic'> & {
+  strict?: boolean;
+  existing?: ExistingMode;
+};
+
+// 下書き保存では公開設定を開かないため、サムネイルだけを指定できる
+export type DraftOptions = Pick<ArticleOptions, 'thumbnailPath' | 'existing'>;
+
+export type UpdateOptions = Omit<ArticleOptions, 'existing'> & {
+  publish?: boolean;  // false の場合は下書きとして保存する
+};
+
+// イベント名と通知する内容
+export interface NotePosterEvents {
+  step: StepEvent;               // すべての手順
+  thumbnailUploaded: StepEvent;  // サムネイル画像を設定した
+  bodyInserted: StepEvent;       // タイトル・本文を入力した
+  tagsSet: StepEvent;            // タグを設定した
+  paidLineSet: StepEvent;        // 有料ラインを設定した（有料記事のみ）
+  published: PostResult;         // 公開・予約投稿を確認できた
+}
+
+export type NotePosterListener<E extends keyof NotePosterEvents> = (payload: NotePosterEvents[E]) => void | Promise<void>;
+
+// イベントごとのリスナー（登録順）
+type NotePosterListeners = { [E in keyof NotePosterEvents]: Set<NotePosterListener<E>> };
+
+// 手順ごとのイベント（設定の手順は反映できた場合のみ）
+const STEP_EVENTS: Partial<Record<StepEvent['step'], 'thumbnailUploaded' | 'bodyInserted' | 'tagsSet' | 'paidLineSet'>> = {
+  thumbnail: 'thumbnailUploaded',
+  body: 'bodyInserted',
+  tags: 'tagsSet',
+  paid_area: 'paidLineSet',
+};
+
+export class NotePoster {
+  readonly account: Account;
+  readonly urls: NoteUrls;
+  private readonly pool: BrowserPool;
+  private readonly listeners: NotePosterListeners = {
+    step: new Set(),
+    thumbnailUploaded: new Set(),
+    bodyInserted: new Set(),
+    tagsSet: new Set(),
+    paidLineSet: new Set(),
+    published: new Set(),
+  };
+
+  constructor(private readonly options: NotePosterOptions = {}) {
+    this.account = resolveAccount(options.profile ?? DEFAULT_PROFILE, options.statePath);
+    this.urls = resolveUrls(options.urls);
+    this.pool = new BrowserPool(options.idleTimeout ?? DEFAULT_IDLE_TIMEOUT);
+  }
+
+  on<E extends keyof NotePosterEvents>(event: E, listener: NotePosterListener<E>): this {
+    this.listeners[event].add(listener);
+    return this;
+  }
+
+  off<E extends keyof NotePosterEvents>(event: E, listener: NotePosterListener<E>): this {
+    this.listeners[event].delete(listener);
+    return this;
+  }
+
+  // 記事を公開する（台帳に記録済みのファイルは、existing に従って更新・スキップする）
+  async publish(markdownPath: string, options: ArticleOptions = {}): Promise<PostResult> {
+    const { strict, existing, ...article } = options;
+    const result = await postWithLedger({ ...this.account.defaults, ...article, markdownPath, isPublic: true }, {
+      ...this.settings(),
+      strict: strict ?? this.options.strict,
+      existing: existing ?? this.options.existing,
+    }, this.pool);
+    return this.finish(result, true);
+  }
+
+  // 下書きとして保存する
+  async saveDraft(markdownPath: string, options: DraftOptions = {}): Promise<PostResult> {
+    const { existing, thumbnailPath } = options;
+    const result = await postWithLedger({ ...this.account.defaults, markdownPath, thumbnailPath, isPublic: false }, {
+      ...this.settings(),
+      existing: existing ?? this.options.existing,
+    }, this.pool);
+    return this.finish(result, false);
+  }
+
+  // 既存の記事（記事URLまたは記事キー）を更新する
+  async update(note: string, markdownPath: string, options: UpdateOptions = {}): Promise<PostResult> {
+    const { strict, publish = true, ...article } = options;
+    const result = await postToNote({
+      ...this.account.defaults,
+      ...article,
+      markdownPath,
+      isPublic: publish,
+      noteKey: extractNoteKey(note),
+      ...this.settings(),
+      strict: strict ?? this.options.strict,
+    }, this.pool);
+    return this.finish(result, publish);
+  }
+
+  // ログイン状態を確認する（refresh: false でなければ、保存した認証情報で再ログインする）
+  async checkAuth(options: { refresh?: boolean } = {}): Promise<AuthStatus> {
+    return checkAuth(this.account.statePath, this.options.timeout ?? DEFAULT_TIMEOUT, {
+      profile: this.account.profile,
+      refresh: options.refresh,
+      urls: this.urls,
+    });
+  }
+
+  // ブラウザを閉じる
+  async close() {
+    await this.pool.close();
+  }
+
+  private settings() {
+    return {
+      profile: this.account.profile,
+      statePath: this.account.statePath,
+      screenshotDir: this.options.screenshotDir,
+      timeout: this.options.timeout,
+      urls: this.urls,
+      onStep: (event: StepEvent) => this.onStep(event),
+    };
+  }
+
+  private async onStep(event: StepEvent) {
+    await this.emit('step', event);
+    const name = STEP_EVENTS[event.step];
+    if (name && (!event.status || event.status.applied)) await this.emit(name, event);
+  }
+
+  private async finish(result: PostResult, isPublic: boolean): Promise<PostResult> {
+    if (isPublic && result.success && !result.skipped) await this.emit('published', result);
+    return result;
+  }
+
+  // リスナーを登録順に呼ぶ（エラーは記録するだけで、投稿は続ける）
+  private async emit<E extends keyof NotePosterEvents>(event: E, payload: NotePosterEvents[E]) {
+    for (const listener of this.listeners[event]) {
+      try {
+        await listener(payload);
+      } catch (e) {
+        log('Warning: NotePoster listener failed', { event, error: String(e) });
+      }
+    }
+  }
+}
@@ -0,0 +1,151 @@
+// 記事のローカルプレビュー（note.comの記事ページ風の単一HTML）
+//
+// 画像はdata URIとして埋め込むため、出力したHTMLファイル1つでオフラインでも確認できる。
+// <!-- paid --> の位置に有料ラインを表示し、無料部分と有料部分を色分けする。
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { resolvePost } from './plan.js';
+import { imageMimeType, ImageInfo, MissingImage } from './article.js';
+import { renderNoteHtml, escapeHtml, FormatFallback } from './note-html.js';
+
+export interface RenderPreviewOptions {
+  markdownPath: string;
+  thumbnailPath?: string;
+  outputPath?: string;  // 省略時は Markdownと同じ場所の <名前>.preview.html
+  price?: number;
+  defaultPrice?: number;  // パラメーターにもFront Matterにも価格がない場合の価格（プロファイル）
+}
+
+export interface RenderPreviewResult {
+  success: boolean;
+  outputPath: string;
+  title: string;
+  isPaid: boolean;
+  price?: number;
+  hasPaidLine: boolean;
+  imageCount: number;
+  missingImages: MissingImage[];
+  formatFallbacks: FormatFallback[];
+}
+
+// プレビューHTMLを書き出す
+export function writePreview(options: RenderPreviewOptions): RenderPreviewResult {
+  const { markdownPath } = options;
+  const outputPath = options.outputPath ??
+    path.join(path.dirname(markdownPath), `${path.basename(markdownPath, path.extname(markdownPath))}.preview.html`);
+
+  const resolved = resolvePost({ markdownPath, isPublic: true, price: options.price, defaultPrice: options.defaultPrice });
+  const { title, body, tags, price, isPaid, images, missingImages } = resolved;
+  const fallbacks: FormatFallback[] = [];
+
+  // 有料ラインで本文を分割（有料記事でない場合は全体を無料部分として表示）
+  const offset = resolved.parsed.paidLineOffset;
+  const splitAt = isPaid ? offset ?? 0 : body.length;
+  const freeHtml = renderSection(body.substring(0, splitAt), images, fallbacks);
+  const paidHtml = isPaid ? renderSection(body.substring(splitAt), images, fallbacks) : '';
+
+  let thumbnailHtml = '';
+  if (options.thumbnailPath) {
+    thumbnailHtml = fs.existsSync(options.thumbnailPath)
+      ? `<img class="thumbnail" src="${dataUri(options.thumbnailPath)}" alt="">`
+      : `<div class="thumbnail missing">サムネイル画像が見つかりません: ${escapeHtml(options.thumbnailPath)}</div>`;
+  }
+
+  const tagsHtml = tags.map(tag => `<span class="tag">#${escapeHtml(tag)}</span>`).join('');
+  const paidLineHtml = isPaid
+    ? `<div class="paid-line"><span>ここから先は有料部分です（${price}円）${offset === undefined ? ' ― &lt;!-- paid --&gt; がないため記事の先頭から有料' : ''}</span></div>`
+    : '';
+
+  const html = `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} - プレビュー</title>
+<style>
+  body { margin: 0; background: #f5f8fa; color: #08131a; font-family: "Hiragino Sans", "Hiragino Kaku Gothic ProN", "Noto Sans JP", Meiryo, sans-serif; }
+  .banner { background: #08131a; color: #fff; font-size: 12px; padding: 6px 16px; }
+  article { max-width: 620px; margin: 0 auto; background: #fff; padding: 0 0 48px; }
+  .thumbnail { display: block; width: 100%; aspect-ratio: 1280 / 670; object-fit: cover; }
+  .thumbnail.missing { display: flex; align-items: center; justify-content: center; background: #eee; color: #c00; font-size: 13px; }
+  h1.title { font-size: 28px; line-height: 1.5; margin: 32px 24px 16px; }
+  .section { padding: 8px 24px; font-size: 16px; line-height: 2; }
+  .section.paid { background: #fff8e1; }
+  .section h2 { font-size: 22px; margin: 40px 0 16px; }
+  .section h3 { font-size: 18px; margin: 32px 0 12px; }
+  .section blockquote { border-left: 4px solid #ddd; margin: 16px 0; padding: 0 16px; color: #555; }
+  .section pre { background: #1e1e1e; color: #eee; padding: 16px; overflow-x: auto; font-size: 14px; line-height: 1.6; }
+  .section img { max-width: 100%; display: block; margin: 16px auto; }
+  .section a { color: #249f80; }
+  .section hr { border: none; border-top: 1px solid #ddd; margin: 32px 0; }
+  .image-missing { border: 1px dashed #c00; color: #c00; padding: 16px; font-size: 13px; margin: 16px 0; }
+  .paid-line { margin: 0 24px; padding: 16px 0; border-top: 2px dashed #e0a800; text-align: center; }
+  .paid-line span { font-size: 13px; font-weight: bold; color: #8a6d00; }
+  .tags { padding: 24px 24px 0; }
+  .tag { display: inline-block; background: #f0f0f0; border-radius: 16px; padding: 2px 12px; margin: 0 8px 8px 0; font-size: 13px; }
+</style>
+</head>
+<body>
+<div class="banner">プレビュー（note.com上の表示とは細部が異なる場合があります）</div>
+<article>
+${thumbnailHtml}
+<h1 class="title">${escapeHtml(title)}</h1>
+<div class="section free">${freeHtml}</div>
+${paidLineHtml}
+${isPaid ? `<div class="section paid">${paidHtml}</div>` : ''}
+<div class="tags">${tagsHtml}</div>
+</article>
+</body>
+</html>
+`;
+
+  fs.mkdirSync(path.dirname(path.resolve(outputPath)), { recursive: true });
+  fs.writeFileSync(outputPath, html);
+
+  return {
+    success: true,
+    outputPath: path.resolve(outputPath),
+    title,
+    isPaid,
+    price: isPaid ? price : undefined,
+    hasPaidLine: offset !== undefined,
+    imageCount: images.length,
+    missingImages,
+    formatFallbacks: fallbacks,
+  };
+}
+
+// 本文の一部を、画像を埋め込んだHTMLに変換する（投稿時と同じく画像の前後で分割して変換）
+function renderSection(markdown: string, images: ImageInfo[], fallbacks: FormatFallback[]): string {
+  const placeholders = new Map<string, string>();
+  for (const image of images) {
+    placeholders.set(image.placeholder, `<img src="${dataUri(image.absolutePath)}" alt="${escapeHtml(image.alt)}">`);
+  }
+
+  const imageRegex = /!\[([^\]]*)\]\(([^)]+)\)/g;
+  let html = '';
+  let last = 0;
+  let match;
+  const flush = (text: string) => {
+    if (!text.trim()) return;
+    const rendered = renderNoteHtml(text);
+    fallbacks.push(...rendered.fallbacks);
+    html += rendered.html;
+  };
+
+  while ((match = imageRegex.exec(markdown)) !== null) {
+    const localPath = match[2];
+    if (localPath.startsWith('http://') || localPath.startsWith('https://')) continue;
+    flush(markdown.substring(last, match.index));
+    last = match.index + match[0].length;
+    const embedded = placeholders.get(match[0]);
+    html += embedded || `<div class="image-missing">画像が見つかりません: ${escapeHtml(localPath)}</div>`;
+  }
+  flush(markdown.substring(last));
+  return html;
+}
+
+function dataUri(filePath: string): string {
+  return `data:${imageMimeType(filePath)};base64,${fs.readFileSync(filePath).toString('base64')}`;
+}
@@ -0,0 +1,132 @@
+// アカウントごとのプロファイル
+//
+// 複数のnoteアカウントを使い分けるため、認証状態ファイルを名前付きのプロファイルとして
+// ~/.note-post-mcp/profiles/<名前>.json に保存する（npm run login -- --profile <名前>）。
+// 同じ場所の <名前>.settings.json には、そのアカウントで使うマガジン・メンバーシッププラン・価格の
+// デフォルトを書ける。プロファイルを指定しない場合は、従来どおり DEFAULT_STATE_PATH を使う。
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as os from 'os';
+import { PostOptions } from './plan.js';
+import { DEFAULT_STATE_PATH } from './publish.js';
+import { NotePostError } from './errors.js';
+
+export const PROFILES_DIR = process.env.NOTE_POST_MCP_PROFILES_DIR ??
+  path.join(os.homedir(), '.note-post-mcp', 'profiles');
+
+// プロファイルを指定しない場合に使うプロファイル（未設定ならプロファイルを使わない）
+export const DEFAULT_PROFILE = process.env.NOTE_POST_MCP_PROFILE || undefined;
+
+const SETTINGS_SUFFIX = '.settings.json';
+
+// プロファイルごとのデフォルト（<名前>.settings.json）
+export interface ProfileSettings {
+  magazine?: string;                         // パラメーターにもFront Matterにもない場合に追加するマガジン
+  membership?: string;                       // 同じく、追加するメンバーシッププラン
+  membershipPlans?: Record<string, string>;  // メンバーシッププラン名と画面上の表示テキスト（組み込みのものより優先）
+  defaultPrice?: number;                     // 同じく、有料記事にする価格
+}
+
+export interface Profile {
+  name: string;
+  statePath: string;
+  settingsPath: string;
+  loggedIn: boolean;        // 認証状態ファイルがある（有効期限は check_auth / whoami で確認）
+  settings: ProfileSettings;
+}
+
+// 投稿に使う認証状態ファイルとデフォルト
+export interface Account {
+  profile?: string;
+  statePath: string;
+  defaults: Pick<PostOptions, 'defaultPrice' | 'defaultMagazine' | 'defaultMembership' | 'membershipPlans'>;
+}
+
+// ファイル名に使うため、英数字・ハイフン・アンダースコアだけにする
+function checkProfileName(name: string) {
+  if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+    throw new NotePostError('INVALID_INPUT', `Invalid profile name: "${name}" (use letters, digits, "-" and "_")`);
+  }
+}
+
+export function profileStatePath(name: string, profilesDir = PROFILES_DIR): string {
+  checkProfileName(name);
+  return path.join(profilesDir, `${name}.json`);
+}
+
+function loadSettings(settingsPath: string): ProfileSettings {
+  if (!fs.existsSync(settingsPath)) return {};
+  let data: Record<string, unknown>;
+  try {
+    data = JSON.parse(fs.readFileSync(settingsPath, 'utf-8'));
+  } catch (e) {
+    throw new NotePostError('INVALID_INPUT', `Profile settings is not valid JSON: ${settingsPath}`);
+  }
+
+  const invalid = (key: string, expected: string) =>
+    new NotePostError('INVALID_INPUT', `Invalid "${key}" in ${settingsPath} (expected ${expected})`);
+  const { magazine, membership, membershipPlans, defaultPrice } = data;
+  if (magazine !== undefined && typeof magazine !== 'string') throw invalid('magazine', 'a string');
+  if (membership !== undefined && typeof membership !== 'string') throw invalid('membership', 'a string');
+  if (membershipPlans !== undefined && (typeof membershipPlans !== 'object' || membershipPlans === null ||
+      Object.values(membershipPlans).some(v => typeof v !== 'string'))) {
+    throw invalid('membershipPlans', 'an object of plan names to plan texts');
+  }
+  if (defaultPrice !== undefined && (typeof defaultPrice !== 'number' || defaultPrice < 100 || defaultPrice > 50000)) {
+    throw invalid('defaultPrice', 'a number from 100 to 50000');
+  }
+  return {
+    magazine,
+    membership,
+    membershipPlans: membershipPlans as Record<string, string> | undefined,
+    defaultPrice,
+  };
+}
+
+// プロファイルを読み込む（認証状態ファイルも設定ファイルもなければ INVALID_INPUT）
+export function loadProfile(name: string, profilesDir = PROFILES_DIR): Profile {
+  const statePath = profileStatePath(name, profilesDir);
+  const settingsPath = path.join(profilesDir, `${name}${SETTINGS_SUFFIX}`);
+  const loggedIn = fs.existsSync(statePath);
+  if (!loggedIn && !fs.existsSync(settingsPath)) {
+    throw new NotePostError('INVALID_INPUT', `Profile not found: ${name}. Run "npm run login -- --profile ${name}" first.`);
+  }
+  return { name, statePath, settingsPath, loggedIn, settings: loadSettings(settingsPath) };
+}
+
+// 保存されているプロファイルの一覧（名前順）
+export function listProfiles(profilesDir = PROFILES_DIR): Profile[] {
+  if (!fs.existsSync(profilesDir)) return [];
+  const names = new Set<string>();
+  for (const file of fs.readdirSync(profilesDir)) {
+    if (file.endsWith(SETTINGS_SUFFIX)) {
+      names.add(file.slice(0, -SETTINGS_SUFFIX.length));
+    } else if (file.endsWith('.json')) {
+      names.add(file.slice(0, -'.json'.length));
+    }
+  }
+  return [...names]
+    .filter(name => /^[A-Za-z0-9_-]+$/.test(name))
+    .sort()
+    .map(name => loadProfile(name, profilesDir));
+}
+
+// プロファイルと state_path から、使う認証状態ファイルとデフォルトを決める
+// state_path を指定した場合は、プロファイルの認証状態ファイルより優先する
+export function resolveAccount(profile: string | undefined, statePath?: string): Account {
+  if (!profile) {
+    return { statePath: statePath ?? DEFAULT_STATE_PATH, defaults: {} };
+  }
+  const { name, statePath: profileState, settings } = loadProfile(profile);
+  return {
+    profile: name,
+    statePath: statePath ?? profileState,
+    defaults: {
+      defaultPrice: settings.defaultPrice,
+      defaultMagazine: settings.magazine,
+      defaultMembership: settings.membership,
+      membershipPlans: settings.membershipPlans,
+    },
+  };
+}
@@ -0,0 +1,593 @@
+// note.comへの投稿処理
+//
+// MCPツール（publish_note / save_draft / update_note）とバッチ投稿が共通して使う。
+// ブラウザの起動（launchNoteSession）と、開いたページでの投稿（publishOnPage）を分けてあり、
+// バッチ投稿では1つのブラウザコンテキストで複数の記事を続けて投稿する。
+// MCPサーバーではブラウザプール（browser-pool.ts）を渡し、ツール呼び出しをまたいでブラウザを使い回す。
+
+import { Browser, BrowserContext, Page } from 'playwright';
+import * as fs from 'fs';
+import * as path from 'path';
+import * as os from 'os';
+import { FormatFallback } from './note-html.js';
+import { log, nowStr } from './log.js';
+import { resolvePost, buildPublishPlan, buildPublishMessage, PostOptions, ResolvedPost, PublishPlan } from './plan.js';
+import { recordPublish, matchExisting, noteKeyFromUrl, PublishRecord, LedgerEntry, ExistingMode, ExistingMatch } from './ledger.js';
+import {
+  uploadThumbnail,
+  setTitle,
+  insertBody,
+  saveDraft,
+  proceedToPublishSettings,
+  setTags,
+  setPrice,
+  addToMagazine,
+  addToMembership,
+  enableSnsPromotion,
+  setPaidArea,
+  setPublishSchedule,
+  submitPublish,
+  StepOutcome,
+} from './editor.js';
+import { BrowserPool, launchBrowser, newNoteContext } from './browser-pool.js';
+import { checkPublishAt, toZonedIsoString } from './schedule.js';
+import { detectRateLimit } from './rate-limit.js';
+import { verifyPublished, PublishVerification, VerifyReason } from './verify.js';
+import { NotePostError, RateLimitError, ErrorCode, toNotePostError } from './errors.js';
+import { checkStateFile, checkSession, ensureLoggedIn, AuthStatus, LOGIN_REQUIRED_MESSAGE } from './auth.js';
+import { loginWithCredentials } from './login.js';
+import { findCredentials } from './secrets.js';
+import { anyOf } from './selectors.js';
+import { NoteUrls, noteUrls, editNoteUrl, isLoginUrl } from './urls.js';
+
+// 環境変数デフォルト
+export const DEFAULT_STATE_PATH = process.env.NOTE_POST_MCP_STATE_PATH ??
+  path.join(os.homedir(), '.note-state.json');
+export const DEFAULT_TIMEOUT = parseInt(process.env.NOTE_POST_MCP_TIMEOUT ?? '180000', 10);
+export const DEFAULT_SCREENSHOT_DIR = path.join(os.tmpdir(), 'note-screenshots');
+
+// 投稿結果
+export interface PostResult {
+  success: boolean;
+  url: string;
+  screenshot?: string;
+  message: string;
+  isPaid?: boolean;
+  price?: number;
+  magazine?: string;
+  postedToTwitter?: boolean;
+  formatFallbacks?: FormatFallback[];
+  noteKey?: string;
+  scheduledAt?: string;  // 予約投稿の日時（オフセット付きISO 8601）
+  timeZone?: string;
+  reason?: VerifyReason;              // 公開を確認できなかった理由（success: false の場合）
+  rateLimited?: boolean;              // 下書きのまま残った・レート制限の表示が出た
+  verification?: PublishVerification;
+  code?: ErrorCode;                   // 以下は success: false の場合（errors.ts）
+  step?: string;
+  retryable?: boolean;
+  steps?: StepStatus[];               // 設定の手順ごとの結果
+  skipped?: boolean;                  // 台帳の記録から内容が変わっておらず、投稿しなかった
+}
+
+// ログイン済みのブラウザ
+export interface NoteSession {
+  browser: Browser;
+  context: BrowserContext;
+  page: Page;
+  close(): Promise<void>;
+}
+
+// 認証状態ファイルを読み込んだブラウザを起動する
+export async function launchNoteSession(
+  statePath = DEFAULT_STATE_PATH,
+  timeout = DEFAULT_TIMEOUT,
+  urls: NoteUrls = noteUrls(),
+): Promise<NoteSession> {
+  // 認証状態ファイルを確認
+  checkStateFile(statePath);
+
+  const browser = await launchBrowser();
+
+  try {
+    const context = await newNoteContext(browser, statePath, urls);
+    // Cookieが切れていればエディタを開く前に止める
+    await ensureLoggedIn(context, statePath, timeout, urls);
+    const page = await context.newPage();
+    page.setDefaultTimeout(timeout);
+
+    return {
+      browser,
+      context,
+      page,
+      close: async () => {
+        await context.close().catch(() => {});
+        await browser.close();
+      },
+    };
+  } catch (error) {
+    await browser.close();
+    throw error;
+  }
+}
+
+// ログイン状態を確認する（check_auth ツール・CLI用。ログインしていなくても例外にせず結果を返す）
+// ログインが切れていて、ログイン情報（環境変数・暗号化ファイル）があればヘッドレスログインで保存し直す
+export async function checkAuth(
+  statePath = DEFAULT_STATE_PATH,
+  timeout = DEFAULT_TIMEOUT,
+  options: { profile?: string; refresh?: boolean; urls?: NoteUrls } = {},
+): Promise<AuthStatus> {
+  const { urls = noteUrls() } = options;
+  const status = await inspectAuth(statePath, timeout, urls);
+  if (status.loggedIn || options.refresh === false) return status;
+  if (status.code !== 'AUTH_EXPIRED' && status.code !== 'STATE_FILE_MISSING') return status;
+
+  try {
+    const credentials = findCredentials(options.profile);
+    if (!credentials) {
+      const target = options.profile ? ` for profile "${options.profile}"` : '';
+      return { ...status, message: `${status.message} No saved credentials${target} to log in again with.` };
+    }
+    log('Login expired, logging in with saved credentials', { statePath, profile: options.profile });
+    await loginWithCredentials(statePath, credentials, { timeout, screenshotDir: DEFAULT_SCREENSHOT_DIR, urls });
+  } catch (e) {
+    const error = toNotePostError(e);
+    return { ...status, code: error.code, message: `${status.message} Headless login failed: ${error.message}`, screenshot: error.screenshot };
+  }
+  return { ...await inspectAuth(statePath, timeout, urls), refreshed: true };
+}
+
+async function inspectAuth(statePath: string, timeout: number, urls: NoteUrls): Promise<AuthStatus> {
+  try {
+    checkStateFile(statePath);
+  } catch (error) {
+    const { code, message } = toNotePostError(error);
+    return { loggedIn: false, statePath, code, message, checkedAt: new Date().toISOString() };
+  }
+
+  const browser = await launchBrowser();
+  try {
+    const context = await newNoteContext(browser, statePath, urls);
+    return await checkSession(context, statePath, timeout, urls);
+  } finally {
+    await browser.close();
+  }
+}
+
+// 投稿設定を解決し、注意点をログに出す（パラメーターが優先、なければFront Matterから取得）
+export function preparePost(options: PostOptions): ResolvedPost {
+  const resolved = resolvePost(options);
+  const { title, body, tags, price, isPaid, paidLineIndex, paidLineSearchText, hasPaidLine, magazine, membership, postToTwitter, images } = resolved;
+  for (const image of resolved.missingImages) {
+    log(`Warning: Image file not found: ${image.absolutePath}`);
+  }
+  if (resolved.droppedTags.length > 0) {
+    log('Warning: Some tags are dropped', { droppedTags: resolved.droppedTags });
+  }
+
+  // 予約日時が範囲外の場合は、ブラウザを起動する前に止める
+  if (resolved.publishAt && options.isPublic) {
+    const problem = checkPublishAt(resolved.publishAt);
+    if (problem) throw new NotePostError('INVALID_INPUT', problem);
+  } else if (resolved.publishAt) {
+    log('Warning: publish_at is ignored when saving a draft');
+  }
+
+  log('Parsed markdown', { title, bodyLength: body.length, tags, imageCount: images.length, isPaid, price, paidLineIndex, paidLineSearchText, hasPaidLine, magazine, membership, postToTwitter });
+  return resolved;
+}
+
+// 投稿の手順（エラーの step に出す）
+export type PublishStep =
+  | 'open_editor'
+  | 'thumbnail'
+  | 'title'
+  | 'body'
+  | 'save_draft'
+  | 'publish_settings'
+  | 'tags'
+  | 'price'
+  | 'magazine'
+  | 'membership'
+  | 'sns'
+  | 'schedule'
+  | 'paid_area'
+  | 'submit'
+  | 'verify';
+
+// 設定の手順ごとの結果（requested: 指定された、applied: 操作できた、verified: 画面上で反映を確認できた）
+export interface StepStatus {
+  step: PublishStep;
+  requested: boolean;
+  applied: boolean;
+  verified: boolean;
+  detail?: string;
+}
+
+// 手順が終わった時の通知（status は設定の手順の場合のみ）
+export interface StepEvent {
+  step: PublishStep;
+  url: string;
+  status?: StepStatus;
+}
+
+export type StepListener = (event: StepEvent) => void | Promise<void>;
+
+type PublishParams = PostOptions & {
+  noteKey?: string;
+  profile?: string;  // 投稿台帳にアカウントごとに記録するためのプロファイル名
+  screenshotPath: string;
+  timeout?: number;
+  strict?: boolean;  // 指定した設定が1つでも反映できなければ、投稿せずに下書きのまま残す
+  urls?: NoteUrls;   // 開くURL（省略時は設定ファイル・環境変数）
+  onStep?: StepListener;  // 手順が終わるたびに呼ぶ（poster.ts のイベント）
+};
+
+// 開いているページで記事を投稿する（noteKeyを指定すると既存記事を編集する）
+// 失敗した場合は、失敗した手順とスクリーンショットを付けた NotePostError を投げる
+export async function publishOnPage(
+  page: Page,
+  params: PublishParams,
+  resolved: ResolvedPost = preparePost(params),
+): Promise<PostResult> {
+  const progress: { step: PublishStep } = { step: 'open_editor' };
+  try {
+    return await runPublishSteps(page, params, resolved, progress);
+  } catch (error) {
+    const screenshot = await page.screenshot({ path: params.screenshotPath, fullPage: true }).then(() => params.screenshotPath, () => undefined);
+    // 途中でログインページに転送された場合は、どの手順でも再ログインが必要
+    if (!(error instanceof NotePostError) && isLoginUrl(page.url(), params.urls)) {
+      throw new NotePostError('AUTH_EXPIRED', LOGIN_REQUIRED_MESSAGE, progress.step, screenshot);
+    }
+    throw toNotePostError(error, { step: progress.step, screenshot });
+  }
+}
+
+async function runPublishSteps(
+  page: Page,
+  params: PublishParams,
+  resolved: ResolvedPost,
+  progress: { step: PublishStep },
+): Promise<PostResult> {
+  const { markdownPath, thumbnailPath, noteKey, profile, isPublic, screenshotPath, timeout = DEFAULT_TIMEOUT, strict, urls = noteUrls(), onStep } = params;
+  const { title, body, tags, price, isPaid, paidLineIndex, paidLineSearchText, hasPaidLine, magazine, membership, membershipPlans, postToTwitter, publishAt, timeZone, images } = resolved;
+
+  // 新規記事作成ページ、または既存記事の編集ページに移動
+  const startUrl = noteKey ? editNoteUrl(noteKey, urls) : urls.newNote;
+  // 読み込みが遅い場合があるため、networkidleは待ちすぎないようにしてエディタの表示を待つ
+  await page.goto(startUrl, { waitUntil: 'domcontentloaded', timeout });
+  if (isLoginUrl(page.url(), urls)) {
+    throw new NotePostError('AUTH_EXPIRED', LOGIN_REQUIRED_MESSAGE, progress.step);
+  }
+  await page.waitForLoadState('networkidle', { timeout: 15000 }).catch(() => {});
+  await anyOf(page, 'titleInput').first().waitFor({ timeout });
+
+  // 手順が終わったことを通知する（通知先のエラーで投稿を止めない）
+  const notify = async (step: PublishStep, status?: StepStatus) => {
+    if (!onStep) return;
+    try {
+      await onStep({ step, url: page.url(), status });
+    } catch (e) {
+      log('Warning: Step listener failed', { step, error: String(e) });
+    }
+  };
+
+  // 設定の手順を実行し、結果を記録する（指定されていない手順は実行しない）
+  const steps: StepStatus[] = [];
+  const runStep = async (step: PublishStep, requested: boolean, fn: () => Promise<StepOutcome>): Promise<StepOutcome> => {
+    progress.step = step;
+    const outcome = requested ? await fn() : { applied: false, verified: false };
+    const status = { step, requested, ...outcome };
+    steps.push(status);
+    if (requested) await notify(step, status);
+    return outcome;
+  };
+
+  // サムネイル画像の設定
+  await runStep('thumbnail', !!thumbnailPath, async () => {
+    if (fs.existsSync(thumbnailPath!)) return uploadThumbnail(page, thumbnailPath!, timeout);
+    log(`Warning: Thumbnail file not found: ${thumbnailPath}`);
+    return { applied: false, verified: false, detail: `Thumbnail file not found: ${thumbnailPath}` };
+  });
+
+  // タイトル・本文設定（既存記事の場合は置き換える）
+  progress.step = 'title';
+  await setTitle(page, title);
+  progress.step = 'body';
+  const formatFallbacks = await insertBody(page, body, images, { replace: !!noteKey });
+  await notify('body');
+
+  // 下書き保存の場合
+  if (!isPublic) {
+    progress.step = 'save_draft';
+    await saveDraft(page, timeout);
+    await notify('save_draft');
+
+    await page.screenshot({ path: screenshotPath, fullPage: true });
+    const finalUrl = page.url();
+    log('Draft saved', { url: finalUrl });
+
+    const entry = recordToLedger({ sourcePath: markdownPath, profile, url: finalUrl, status: 'draft', noteKey, title, price, magazine, membership });
+
+    return {
+      success: true,
+      url: finalUrl,
+      screenshot: screenshotPath,
+      message: '下書きを保存しました',
+      formatFallbacks: formatFallbacks.length > 0 ? formatFallbacks : undefined,
+      noteKey: entry?.noteKey ?? noteKey,
+      steps,
+    };
+  }
+
+  // strictモードでは、設定を反映できなかった場合に下書きとして残せるよう先に保存しておく
+  if (strict) {
+    progress.step = 'save_draft';
+    await saveDraft(page, timeout);
+  }
+
+  // 公開に進む（長い記事の場合レンダリングに時間がかかる）
+  progress.step = 'publish_settings';
+  await proceedToPublishSettings(page);
+
+  // タグ入力（タグがある場合のみ）
+  await runStep('tags', tags.length > 0, () => setTags(page, tags));
+
+  // 有料設定
+  await runStep('price', !!(isPaid && price), () => setPrice(page, price!));
+
+  // マガジンに追加
+  const magazineAdded = (await runStep('magazine', !!magazine, () => addToMagazine(page, magazine!))).applied;
+
+  // メンバーシップに追加する設定
+  await runStep('membership', !!membership, () => addToMembership(page, membership!, membershipPlans));
+
+  // Twitter(X)に投稿する設定（SNSプロモーション機能）
+  const twitterEnabled = (await runStep('sns', !!postToTwitter, () => enableSnsPromotion(page))).applied;
+
+  // 予約投稿の日時（有料エリア設定に進む前に公開設定画面で入力する）
+  // 入力を確認できなければ、即時公開されないようエラーにする。strictモードでは下書きのまま残す
+  await runStep('schedule', !!publishAt, async () => {
+    try {
+      await setPublishSchedule(page, publishAt!);
+      return { applied: true, verified: true };
+    } catch (e) {
+      if (!strict || !(e instanceof NotePostError)) throw e;
+      return { applied: false, verified: false, detail: e.message };
+    }
+  });
+
+  // 有料記事の場合: 「有料エリア設定」→有料ライン位置設定→「投稿する」の流れ
+  // 無料記事の場合: 「投稿する」のみ
+  // <!-- paid --> の位置に置けなければ、strictモードでは下書きのまま残す。それ以外では設定できなければ無料記事として公開されないようエラーにする
+  const paidArea = { isPaid, hasPaidLine, paidLineIndex, paidLineSearchText };
+  const paidLineRequested = isPaid && hasPaidLine;
+  await runStep('paid_area', paidLineRequested, async () => {
+    try {
+      return await setPaidArea(page, paidArea);
+    } catch (e) {
+      if (!strict || !(e instanceof NotePostError)) throw e;
+      return { applied: false, verified: false, detail: e.message };
+    }
+  });
+  if (!paidLineRequested) {
+    await setPaidArea(page, paidArea);
+    if (isPaid) await notify('paid_area');
+  }
+
+  // strictモードでは、指定した設定が1つでも反映できなければ「投稿する」を押さない
+  const failedSteps = steps.filter(s => s.requested && !(s.applied && s.verified));
+  if (failedSteps.length > 0) {
+    log(strict ? 'Strict mode: aborting before publish' : 'Warning: Some requested settings were not applied', { failedSteps });
+  }
+  if (strict && failedSteps.length > 0) {
+    await page.screenshot({ path: screenshotPath, fullPage: true });
+    const draftUrl = page.url();
+    const draftNoteKey = noteKey ?? noteKeyFromUrl(draftUrl);
+    const entry = draftNoteKey
+      ? recordToLedger({ sourcePath: markdownPath, profile, url: draftUrl, status: 'draft', noteKey: draftNoteKey, title, price, magazine, membership })
+      : undefined;
+    const names = failedSteps.map(s => s.step).join(', ');
+    const error = new NotePostError('STEP_FAILED', `Requested settings were not applied: ${names}`, failedSteps[0].step, screenshotPath);
+    return {
+      success: false,
+      url: draftUrl,
+      screenshot: screenshotPath,
+      message: `指定した設定を反映できなかったため、公開せずに下書きのまま残しました（${names}）`,
+      noteKey: entry?.noteKey ?? draftNoteKey,
+      formatFallbacks: formatFallbacks.length > 0 ? formatFallbacks : undefined,
+      code: error.code,
+      step: error.step,
+      retryable: error.retryable,
+      steps,
+    };
+  }
+
+  // 投稿する（記事キーは編集画面のURLから分かる）
+  progress.step = 'submit';
+  const editorNoteKey = noteKey ?? noteKeyFromUrl(page.url());
+  const { published } = await submitPublish(page);
+
+  await page.screenshot({ path: screenshotPath, fullPage: true });
+
+  // 公開された記事を開き、公開状態・タイトル・価格を確認する
+  progress.step = 'verify';
+  const scheduledAt = publishAt ? toZonedIsoString(publishAt, timeZone) : undefined;
+  const verification = await verifyPublished(page, {
+    noteKey: noteKeyFromUrl(page.url()) ?? editorNoteKey,
+    url: page.url(),
+    title,
+    isPaid,
+    price: isPaid ? price : undefined,
+    scheduled: !!publishAt,
+  }, urls);
+  const finalUrl = verification.url ?? page.url();
+  log(scheduledAt ? 'Scheduled' : 'Published', { url: finalUrl, published, verified: verification.verified, isPaid, price, magazineAdded, twitterEnabled, scheduledAt });
+
+  if (!verification.verified) {
+    // 公開されずに下書きのまま残るのはレート制限の典型的な症状（README「レート制限」）
+    const symptom = await detectRateLimit(page);
+    const rateLimited = !!symptom || verification.reason === 'still_draft';
+    const verifiedNoteKey = verification.noteKey ?? editorNoteKey;
+    const error = rateLimited
+      ? new RateLimitError(symptom ?? verification.detail ?? 'The note was left as a draft', 'verify', screenshotPath)
+      : new NotePostError('PUBLISH_UNCONFIRMED', verification.detail ?? 'Could not confirm the note was published', 'verify', screenshotPath);
+    // 下書きとして記録し、やり直した時に同じ記事を更新する（二重投稿を防ぐ）
+    const entry = verifiedNoteKey
+      ? recordToLedger({ sourcePath: markdownPath, profile, url: finalUrl, status: 'draft', noteKey: verifiedNoteKey, title, price, magazine, membership })
+      : undefined;
+    return {
+      success: false,
+      url: finalUrl,
+      screenshot: screenshotPath,
+      message: `公開を確認できませんでした（${verification.reason}）: ${symptom ?? verification.detail}`,
+      reason: verification.reason,
+      rateLimited: rateLimited || undefined,
+      verification,
+      code: error.code,
+      step: error.step,
+      retryable: error.retryable,
+      noteKey: entry?.noteKey ?? verifiedNoteKey,
+      formatFallbacks: formatFallbacks.length > 0 ? formatFallbacks : undefined,
+      steps,
+    };
+  }
+
+  const entry = recordToLedger({
+    sourcePath: markdownPath,
+    profile,
+    url: finalUrl,
+    status: 'published',
+    noteKey: verification.noteKey ?? noteKey,
+    title,
+    price: isPaid ? price : undefined,
+    magazine: magazineAdded ? magazine : undefined,
+    membership,
+    scheduledAt,
+  });
+
+  // メッセージを構築
+  const message = buildPublishMessage({
+    update: !!noteKey,
+    isPaid,
+    price,
+    publishAt,
+    timeZone,
+    magazine: magazineAdded ? magazine : undefined,
+    postToTwitter: twitterEnabled,
+  });
+
+  return {
+    success: true,
+    url: finalUrl,
+    screenshot: screenshotPath,
+    message,
+    isPaid,
+    price: isPaid ? price : undefined,
+    magazine: magazineAdded ? magazine : undefined,
+    postedToTwitter: twitterEnabled,
+    formatFallbacks: formatFallbacks.length > 0 ? formatFallbacks : undefined,
+    noteKey: entry?.noteKey ?? noteKey,
+    scheduledAt,
+    timeZone: scheduledAt ? timeZone : undefined,
+    verification,
+    steps,
+  };
+}
+
+// note.com投稿関数（noteKeyを指定すると既存記事を編集する。poolを渡すとそのブラウザを使う）
+export async function postToNote(params: PostOptions & {
+  noteKey?: string;
+  profile?: string;
+  statePath?: string;
+  screenshotDir?: string;
+  timeout?: number;
+  strict?: boolean;
+  urls?: NoteUrls;
+  onStep?: StepListener;
+}, pool?: BrowserPool): Promise<PostResult> {
+  const {
+    statePath = DEFAULT_STATE_PATH,
+    screenshotDir = DEFAULT_SCREENSHOT_DIR,
+    timeout = DEFAULT_TIMEOUT,
+    urls = noteUrls(),
+  } = params;
+
+  const resolved = preparePost(params);
+
+  // スクリーンショットディレクトリを作成
+  fs.mkdirSync(screenshotDir, { recursive: true });
+  const screenshotPath = path.join(screenshotDir, `note-post-${nowStr()}.png`);
+
+  if (pool) {
+    const pooled = await pool.acquire(statePath, timeout, urls);
+    try {
+      return await publishOnPage(pooled.page, { ...params, screenshotPath, timeout, urls }, resolved);
+    } finally {
+      await pooled.release();
+    }
+  }
+
+  const session = await launchNoteSession(statePath, timeout, urls);
+  try {
+    return await publishOnPage(session.page, { ...params, screenshotPath, timeout, urls }, resolved);
+  } finally {
+    await session.close();
+  }
+}
+
+// 投稿結果を台帳に記録する（記録に失敗しても投稿結果は返す）
+export function recordToLedger(record: PublishRecord): LedgerEntry | undefined {
+  try {
+    return recordPublish(record);
+  } catch (e) {
+    log('Warning: Could not record to ledger', { error: String(e), sourcePath: record.sourcePath });
+    return undefined;
+  }
+}
+
+export interface LedgerPostSettings {
+  existing?: ExistingMode;
+  dryRun?: boolean;
+  strict?: boolean;
+  profile?: string;
+  statePath?: string;
+  screenshotDir?: string;
+  timeout?: number;
+  urls?: NoteUrls;
+  onStep?: StepListener;
+}
+
+// dryRun の結果（実行計画と、台帳に記録済みの場合はその記録）
+export type LedgerPlan = PublishPlan & { existing?: ExistingMatch };
+
+// 台帳を確認してから投稿する（記録済みのファイルは既存の記事の更新に振り向ける）
+export async function postWithLedger(options: PostOptions, settings: LedgerPostSettings & { dryRun: true }, pool?: BrowserPool): Promise<LedgerPlan>;
+export async function postWithLedger(options: PostOptions, settings: LedgerPostSettings & { dryRun?: false }, pool?: BrowserPool): Promise<PostResult>;
+export async function postWithLedger(options: PostOptions, settings: LedgerPostSettings, pool?: BrowserPool): Promise<LedgerPlan | PostResult>;
+export async function postWithLedger(options: PostOptions, settings: LedgerPostSettings, pool?: BrowserPool): Promise<LedgerPlan | PostResult> {
+  const { existing: mode, dryRun, ...browserSettings } = settings;
+  const existing = matchExisting(options.markdownPath, mode, options.isPublic ? 'published' : 'draft', settings.profile);
+  if (existing) {
+    log('Found ledger entry', { sourcePath: existing.entry.sourcePath, noteKey: existing.entry.noteKey, action: existing.action, unchanged: existing.unchanged });
+  }
+
+  if (dryRun) {
+    return { ...buildPublishPlan(options), existing };
+  }
+  if (existing?.action === 'skip') {
+    return {
+      success: true,
+      skipped: true,
+      url: existing.entry.url,
+      noteKey: existing.entry.noteKey,
+      message: '前回の投稿から内容が変わっていないため、投稿をスキップしました',
+    };
+  }
+  return postToNote({
+    ...options,
+    ...browserSettings,
+    noteKey: existing?.action === 'update' ? existing.entry.noteKey : undefined,
+  }, pool);
+}
@@ -0,0 +1,373 @@
+// ローカルの投稿キュー
+//
+// 記事を実行日時付きでキューに積み（queue_note）、常駐するワーカー（note-post-mcp queue run）が
+// 日時になったものから順に投稿する。キューはファイルに保存するため、再起動しても続きから処理する。
+// 投稿の間隔と1時間・1日の上限は、バッチ投稿と共有するレート制限（rate-limit.ts）に従う。
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as os from 'os';
+import { randomBytes } from 'crypto';
+import { log } from './log.js';
+import { ExistingMode } from './ledger.js';
+import { PostOptions } from './plan.js';
+import { postWithLedger, PostResult, StepStatus, DEFAULT_SCREENSHOT_DIR, DEFAULT_TIMEOUT } from './publish.js';
+import { BrowserPool } from './browser-pool.js';
+import { RateLimiter, RateLimitConfig, sleep } from './rate-limit.js';
+import { RateLimitError, NotePostError, ErrorCode, toNotePostError } from './errors.js';
+import { resolveAccount } from './profiles.js';
+import { NoteUrls } from './urls.js';
+import { withFileLock } from './file-lock.js';
+
+export const DEFAULT_QUEUE_PATH = process.env.NOTE_POST_MCP_QUEUE_PATH ??
+  path.join(os.homedir(), '.note-post-mcp', 'queue.json');
+
+export const DEFAULT_MAX_ATTEMPTS = 3;
+
+export type QueueStatus = 'pending' | 'running' | 'done' | 'failed' | 'cancelled';
+
+// キューの1件
+export interface QueueItem {
+  id: string;
+  markdownPath: string;     // 絶対パス
+  thumbnailPath?: string;
+  isPublic: boolean;        // falseなら下書き保存
+  price?: number;
+  magazine?: string;
+  membership?: string;
+  postToTwitter?: boolean;
+  existing?: ExistingMode;
+  strict?: boolean;
+  profile?: string;         // 投稿するアカウントのプロファイル（デフォルトは投稿時に読み込む）
+  statePath?: string;
+  urls?: NoteUrls;          // 開くURL（積んだ時点の設定・パラメーター）
+  runAt: string;            // 投稿する日時（ISO 8601）
+  status: QueueStatus;
+  attempts: number;
+  maxAttempts: number;
+  nextAttemptAt?: string;   // 失敗後の再試行日時
+  lastError?: string;
+  lastErrorCode?: ErrorCode;
+  result?: { url: string; noteKey?: string; message: string; steps?: StepStatus[] };
+  createdAt: string;
+  updatedAt: string;
+  completedAt?: string;
+}
+
+interface QueueFile {
+  version: 1;
+  items: QueueItem[];
+}
+
+// キューに積む内容
+export interface QueueInput {
+  markdownPath: string;
+  thumbnailPath?: string;
+  isPublic?: boolean;
+  price?: number;
+  magazine?: string;
+  membership?: string;
+  postToTwitter?: boolean;
+  existing?: ExistingMode;
+  strict?: boolean;
+  profile?: string;
+  statePath?: string;
+  urls?: NoteUrls;
+  runAt?: Date;             // 省略時は今すぐ
+  maxAttempts?: number;
+}
+
+// 失敗した記事の再試行までの待機
+export interface QueueRetry {
+  retryBase: number;        // 再試行までの待機の初期値（ミリ秒、失敗のたびに2倍）
+  retryMax: number;         // 再試行までの待機の上限（ミリ秒）
+}
+
+export const DEFAULT_QUEUE_RETRY: QueueRetry = {
+  retryBase: 5 * 60000,
+  retryMax: 60 * 60000,
+};
+
+export function loadQueue(queuePath = DEFAULT_QUEUE_PATH): QueueFile {
+  if (!fs.existsSync(queuePath)) {
+    return { version: 1, items: [] };
+  }
+  const data = JSON.parse(fs.readFileSync(queuePath, 'utf-8'));
+  return { version: 1, items: data.items ?? [] };
+}
+
+// 書き込み途中で中断しても壊れないよう、一時ファイルに書いてから置き換える
+export function saveQueue(queue: QueueFile, queuePath = DEFAULT_QUEUE_PATH) {
+  fs.mkdirSync(path.dirname(queuePath), { recursive: true });
+  const tmpPath = `${queuePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(queue, null, 2));
+  fs.renameSync(tmpPath, queuePath);
+}
+
+// 読み込み→変更→保存を1回で行う（MCPサーバーとワーカーが同じファイルを使うため、ロックして毎回読み直す）
+function updateQueue<T>(queuePath: string, fn: (queue: QueueFile) => T): T {
+  return withFileLock(queuePath, () => {
+    const queue = loadQueue(queuePath);
+    const result = fn(queue);
+    saveQueue(queue, queuePath);
+    return result;
+  });
+}
+
+function findItem(queue: QueueFile, id: string): QueueItem {
+  const item = queue.items.find(i => i.id === id);
+  if (!item) {
+    throw new Error(`Queue item not found: ${id}`);
+  }
+  return item;
+}
+
+// キューに積む
+export function enqueue(input: QueueInput, queuePath = DEFAULT_QUEUE_PATH): QueueItem {
+  const markdownPath = path.resolve(input.markdownPath);
+  if (!fs.existsSync(markdownPath)) {
+    throw new Error(`Markdown file not found: ${markdownPath}`);
+  }
+  const now = new Date().toISOString();
+  const item: QueueItem = {
+    id: randomBytes(4).toString('hex'),
+    markdownPath,
+    thumbnailPath: input.thumbnailPath ? path.resolve(input.thumbnailPath) : undefined,
+    isPublic: input.isPublic ?? true,
+    price: input.price,
+    magazine: input.magazine,
+    membership: input.membership,
+    postToTwitter: input.postToTwitter,
+    existing: input.existing,
+    strict: input.strict,
+    profile: input.profile,
+    statePath: input.statePath ? path.resolve(input.statePath) : undefined,
+    urls: input.urls,
+    runAt: (input.runAt ?? new Date()).toISOString(),
+    status: 'pending',
+    attempts: 0,
+    maxAttempts: input.maxAttempts ?? DEFAULT_MAX_ATTEMPTS,
+    createdAt: now,
+    updatedAt: now,
+  };
+  updateQueue(queuePath, queue => {
+    queue.items.push(item);
+  });
+  return item;
+}
+
+// キューの一覧（実行日時順）
+export function listQueue(status?: QueueStatus[], queuePath = DEFAULT_QUEUE_PATH): QueueItem[] {
+  return loadQueue(queuePath).items
+    .filter(item => !status || status.includes(item.status))
+    .sort((a, b) => a.runAt.localeCompare(b.runAt));
+}
+
+// 投稿前（または再試行待ち）のものを取り消す
+export function cancelQueued(id: string, queuePath = DEFAULT_QUEUE_PATH): QueueItem {
+  return updateQueue(queuePath, queue => {
+    const item = findItem(queue, id);
+    if (item.status !== 'pending') {
+      throw new Error(`Queue item ${id} cannot be cancelled (status: ${item.status})`);
+    }
+    item.status = 'cancelled';
+    item.updatedAt = new Date().toISOString();
+    return item;
+  });
+}
+
+// 投稿できるようになる日時（再試行待ちなら再試行日時）
+function dueAt(item: QueueItem): number {
+  return new Date(item.nextAttemptAt ?? item.runAt).getTime();
+}
+
+// 次に投稿するもの（日時を過ぎたもののうち最も早く投稿できるようになったもの）
+function nextDue(queue: QueueFile, now: Date): QueueItem | undefined {
+  return queue.items
+    .filter(item => item.status === 'pending' && dueAt(item) <= now.getTime())
+    .sort((a, b) => dueAt(a) - dueAt(b))[0];
+}
+
+export interface QueueRunOptions {
+  queuePath?: string;
+  rateLimit?: Partial<RateLimitConfig>;
+  retry?: Partial<QueueRetry>;
+  pollInterval?: number;    // 投稿するものがない時の確認間隔（ミリ秒）
+  once?: boolean;           // 日時を過ぎたものを投稿したら終了する
+  screenshotDir?: string;
+  timeout?: number;
+  signal?: AbortSignal;     // 中断要求（投稿中の記事は最後まで処理する）
+}
+
+// ワーカーが1つだけ動くようにする（ロックファイルにプロセスIDを書く）
+function acquireWorkerLock(queuePath: string): () => void {
+  const lockPath = `${queuePath}.lock`;
+  if (fs.existsSync(lockPath)) {
+    const pid = parseInt(fs.readFileSync(lockPath, 'utf-8'), 10);
+    let alive = false;
+    try {
+      process.kill(pid, 0);
+      alive = true;
+    } catch {
+      // プロセスが残っていなければ古いロックとして扱う
+    }
+    if (alive && pid !== process.pid) {
+      throw new Error(`Another queue worker is running (pid ${pid}, lock: ${lockPath})`);
+    }
+  }
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+  fs.writeFileSync(lockPath, String(process.pid));
+  return () => fs.rmSync(lockPath, { force: true });
+}
+
+export interface QueueRunSummary {
+  done: number;
+  failed: number;
+  loginRequired?: string;   // onceの場合に、ログインが必要なため止まった時のエラー
+}
+
+// キューを処理し続ける（onceの場合は日時を過ぎたものがなくなったら終了）
+// ログインが切れている間は、再ログインされるまで待機を延ばしながら投稿し直す
+export async function runQueue(options: QueueRunOptions = {}): Promise<QueueRunSummary> {
+  const queuePath = options.queuePath ?? DEFAULT_QUEUE_PATH;
+  const retry = { ...DEFAULT_QUEUE_RETRY, ...options.retry };
+  const limiter = new RateLimiter('publish', options.rateLimit);
+  const pollInterval = options.pollInterval ?? 30000;
+  const { signal } = options;
+  const releaseLock = acquireWorkerLock(queuePath);
+  const pool = new BrowserPool();
+  let done = 0;
+  let failed = 0;
+  let loginRequired: string | undefined;
+  let loginWaits = 0;       // ログインを待った回数（投稿できたら0に戻す）
+
+  // 前回の実行が投稿中に止まったものは、投稿待ちに戻す（台帳により二重投稿は更新として扱われる）
+  updateQueue(queuePath, queue => {
+    for (const item of queue.items.filter(i => i.status === 'running')) {
+      log('Queue: resetting interrupted item', { id: item.id, markdownPath: item.markdownPath });
+      item.status = 'pending';
+      item.updatedAt = new Date().toISOString();
+    }
+  });
+
+  log('Queue worker started', { queuePath, rateLimit: limiter.config });
+
+  try {
+    while (!signal?.aborted) {
+      if (!nextDue(loadQueue(queuePath), new Date())) {
+        if (options.once) break;
+        await sleep(pollInterval, signal);
+        continue;
+      }
+
+      // レート制限回避の待機（待っている間に取り消されたものは投稿しない）
+      await limiter.wait(signal);
+      if (signal?.aborted) break;
+      const item = updateQueue(queuePath, queue => {
+        const next = nextDue(queue, new Date());
+        if (next) {
+          next.status = 'running';
+          next.attempts++;
+          next.updatedAt = new Date().toISOString();
+        }
+        return next;
+      });
+
+      if (!item) continue;
+
+      log('Queue: posting', { id: item.id, markdownPath: item.markdownPath, profile: item.profile, attempt: item.attempts });
+      try {
+        // プロファイルの設定は積んだ時点ではなく投稿する時点のものを使う
+        const account = resolveAccount(item.profile, item.statePath);
+        const postOptions: PostOptions = {
+          ...account.defaults,
+          markdownPath: item.markdownPath,
+          thumbnailPath: item.thumbnailPath,
+          isPublic: item.isPublic,
+          price: item.price,
+          magazine: item.magazine,
+          membership: item.membership,
+          postToTwitter: item.postToTwitter,
+        };
+        const result = await postWithLedger(postOptions, {
+          existing: item.existing,
+          strict: item.strict,
+          profile: account.profile,
+          statePath: account.statePath,
+          urls: item.urls,
+          screenshotDir: options.screenshotDir ?? DEFAULT_SCREENSHOT_DIR,
+          timeout: options.timeout ?? DEFAULT_TIMEOUT,
+        }, pool);
+        const { success, url, noteKey, message, code, step, screenshot, steps } = result;
+        // 公開を確認できなかったものは失敗として再試行する（下書きのままならレート制限として扱う）
+        if (!success) {
+          throw code === 'RATE_LIMITED'
+            ? new RateLimitError(message, step, screenshot)
+            : new NotePostError(code ?? 'PUBLISH_UNCONFIRMED', message, step, screenshot);
+        }
+        updateQueue(queuePath, queue => {
+          const current = findItem(queue, item.id);
+          current.status = 'done';
+          current.result = { url, noteKey, message, steps };
+          current.lastError = undefined;
+          current.lastErrorCode = undefined;
+          current.completedAt = current.updatedAt = new Date().toISOString();
+        });
+        done++;
+        loginWaits = 0;
+        limiter.record();
+        log('Queue: done', { id: item.id, url });
+      } catch (e) {
+        const error = toNotePostError(e);
+        const errorMessage = error.message;
+        const rateLimited = error instanceof RateLimitError;
+        // ログインし直すまでは、どの記事も投稿できない
+        const needsLogin = error.code === 'AUTH_EXPIRED' || error.code === 'STATE_FILE_MISSING';
+        // failed になった（再試行できないエラー・試行回数を使い切った）かどうか
+        const gaveUp = updateQueue(queuePath, queue => {
+          const current = findItem(queue, item.id);
+          current.lastError = errorMessage;
+          current.lastErrorCode = error.code;
+          current.updatedAt = new Date().toISOString();
+          if (rateLimited || needsLogin) {
+            // 記事の問題ではないため、試行回数に数えずに投稿し直す
+            current.attempts--;
+            current.status = 'pending';
+          } else if (!error.retryable || current.attempts >= current.maxAttempts) {
+            current.status = 'failed';
+            current.completedAt = current.updatedAt;
+          } else {
+            // 失敗のたびに待機を2倍にする
+            const backoff = Math.min(retry.retryBase * 2 ** (current.attempts - 1), retry.retryMax);
+            current.status = 'pending';
+            current.nextAttemptAt = new Date(Date.now() + backoff).toISOString();
+          }
+          return current.status === 'failed';
+        });
+        log('Queue: failed', { id: item.id, attempt: item.attempts, willRetry: !gaveUp, code: error.code, step: error.step, error: errorMessage });
+        if (needsLogin) {
+          // この記事は投稿待ちのまま残る（onceの場合は止まり、常駐する場合は再ログインを待つ）
+          if (options.once) {
+            loginRequired = errorMessage;
+            break;
+          }
+          const wait = Math.min(retry.retryBase * 2 ** loginWaits++, retry.retryMax);
+          log('Queue: login required, waiting', { code: error.code, waitSeconds: Math.round(wait / 1000) });
+          await sleep(wait, signal);
+        } else if (rateLimited) {
+          await limiter.pause(errorMessage, signal);
+        } else {
+          // 再試行するものは数えず、failed になったものだけを数える
+          if (gaveUp) failed++;
+          limiter.record();
+        }
+      }
+    }
+  } finally {
+    await pool.close();
+    releaseLock();
+  }
+
+  log('Queue worker stopped', { done, failed, loginRequired });
+  return { done, failed, loginRequired };
+}
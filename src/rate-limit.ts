@@ -0,0 +1,219 @@
+// レート制限を考慮した投稿間隔の調整と、レート制限の症状の検出
+//
+// バッチ投稿・投稿キュー・マガジン／メンバーシップの一括登録スクリプトで共通して使う。
+// 操作の履歴はファイルに保存し、別のプロセスで動かしても1時間・1日あたりの上限を共有する。
+// 症状（投稿が下書きのままになる、エラーのトースト、HTTP 429）を検出したら一定時間休止する。
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as os from 'os';
+import type { Page } from 'playwright';
+import { log } from './log.js';
+import { anyOf } from './selectors.js';
+
+export const DEFAULT_RATE_LIMIT_PATH = process.env.NOTE_POST_MCP_RATE_LIMIT_PATH ??
+  path.join(os.homedir(), '.note-post-mcp', 'rate-limit.json');
+
+// 上限と待機時間（READMEの「レート制限」の実測値に合わせた控えめな値）
+export interface RateLimitConfig {
+  minInterval: number;   // 操作間の最短の待機（ミリ秒）
+  jitter: number;        // 待機に加える揺らぎ（minIntervalに対する割合、0〜）
+  perHour: number;       // 直近1時間の上限（0で無制限）
+  perDay: number;        // 直近24時間の上限（0で無制限）
+  cooldown: number;      // 症状を検出した時の休止（ミリ秒、続けて検出するたびに2倍）
+  cooldownMax: number;   // 休止の上限（ミリ秒）
+}
+
+const int = (value: string | undefined, fallback: number) => (value ? parseInt(value, 10) : fallback);
+
+export const DEFAULT_RATE_LIMIT: RateLimitConfig = {
+  minInterval: 30000,
+  jitter: 0.3,
+  perHour: int(process.env.NOTE_POST_MCP_POSTS_PER_HOUR, 30),
+  perDay: int(process.env.NOTE_POST_MCP_POSTS_PER_DAY, 100),
+  cooldown: 10 * 60000,
+  cooldownMax: 60 * 60000,
+};
+
+// レート制限の症状として扱う表示
+const RATE_LIMIT_TEXTS = [
+  'しばらく時間をおいて',
+  '時間をおいて再度',
+  'アクセスが集中',
+  '上限に達しました',
+  '制限されています',
+  'Too Many Requests',
+];
+
+// 操作の種類ごとの履歴
+interface ScopeState {
+  actions: string[];       // 直近24時間の操作日時（ISO 8601）
+  cooldownUntil?: string;
+  strikes: number;         // 続けて症状を検出した回数
+}
+
+interface RateLimitFile {
+  version: 1;
+  scopes: Record<string, ScopeState>;
+}
+
+function loadState(statePath: string): RateLimitFile {
+  if (!fs.existsSync(statePath)) {
+    return { version: 1, scopes: {} };
+  }
+  const data = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+  return { version: 1, scopes: data.scopes ?? {} };
+}
+
+// 書き込み途中で中断しても壊れないよう、一時ファイルに書いてから置き換える
+function saveState(state: RateLimitFile, statePath: string) {
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  const tmpPath = `${statePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+  fs.renameSync(tmpPath, statePath);
+}
+
+// 開いているページにレート制限の症状が出ていないか調べる（症状の説明、なければundefined）
+export async function detectRateLimit(page: Page): Promise<string | undefined> {
+  const toasts = anyOf(page, 'toast');
+  const count = await toasts.count().catch(() => 0);
+  for (let i = 0; i < count; i++) {
+    const text = (await toasts.nth(i).innerText().catch(() => '')).trim();
+    const hit = RATE_LIMIT_TEXTS.find(t => text.includes(t));
+    if (hit) return `Rate limit message shown: ${text.substring(0, 100)}`;
+  }
+  return undefined;
+}
+
+export interface RateLimiterOptions {
+  statePath?: string;
+  log?: (message: string) => void;  // バッチのログファイル等に書き出す場合に指定
+}
+
+// 操作の種類（scope）ごとの間隔調整（例: publish / magazine / membership）
+export class RateLimiter {
+  readonly config: RateLimitConfig;
+  private readonly statePath: string;
+  private readonly write: (message: string) => void;
+  private lastActionAt = 0;
+  private jitterFactor = 1;
+  private http429?: string;
+
+  constructor(private readonly scope: string, config: Partial<RateLimitConfig> = {}, options: RateLimiterOptions = {}) {
+    const defined = Object.fromEntries(Object.entries(config).filter(([, v]) => v !== undefined));
+    this.config = { ...DEFAULT_RATE_LIMIT, ...defined };
+    this.statePath = options.statePath ?? DEFAULT_RATE_LIMIT_PATH;
+    this.write = options.log ?? (message => log(message));
+  }
+
+  // ページのHTTP 429応答を記録する（次のdetectで症状として返す）
+  watch(page: Page) {
+    page.on('response', response => {
+      if (response.status() === 429) this.http429 = `HTTP 429 from ${response.url()}`;
+    });
+  }
+
+  // ページの症状を調べる（watch中に受けたHTTP 429も含む）
+  async detect(page: Page): Promise<string | undefined> {
+    const symptom = this.http429 ?? await detectRateLimit(page);
+    this.http429 = undefined;
+    return symptom;
+  }
+
+  // 次の操作をしてよくなるまで待つ（signalで中断されたら途中で戻る）
+  async wait(signal?: AbortSignal): Promise<void> {
+    while (!signal?.aborted) {
+      const delay = this.delay();
+      if (delay.ms <= 0) return;
+      if (delay.reason !== 'interval') {
+        this.write(`[レート制限] ${delay.reason}のため ${formatDuration(delay.ms)} 待機します（${new Date(Date.now() + delay.ms).toLocaleTimeString('ja-JP')}まで）`);
+      }
+      await sleep(delay.ms, signal);
+    }
+  }
+
+  // 操作を1回記録する
+  record() {
+    this.lastActionAt = Date.now();
+    this.jitterFactor = 1 + Math.random() * this.config.jitter;
+    this.update(scope => {
+      scope.actions.push(new Date().toISOString());
+      scope.strikes = 0;
+    });
+  }
+
+  // 症状を検出したので休止する（続けて検出するたびに休止を延ばす）
+  async pause(reason: string, signal?: AbortSignal): Promise<void> {
+    let ms = 0;
+    this.update(scope => {
+      scope.strikes++;
+      ms = Math.min(this.config.cooldown * 2 ** (scope.strikes - 1), this.config.cooldownMax);
+      scope.cooldownUntil = new Date(Date.now() + ms).toISOString();
+    });
+    this.write(`[レート制限] 症状を検出しました: ${reason}`);
+    this.write(`[レート制限] ${formatDuration(ms)} 休止してから再開します`);
+    await this.wait(signal);
+  }
+
+  // 待つべき時間と理由
+  private delay(): { ms: number; reason: string } {
+    const now = Date.now();
+    const scope = this.update(() => {});
+    const times = scope.actions.map(t => new Date(t).getTime());
+    const candidates: { ms: number; reason: string }[] = [];
+
+    if (scope.cooldownUntil) {
+      candidates.push({ ms: new Date(scope.cooldownUntil).getTime() - now, reason: '休止中' });
+    }
+    // 直近の操作からの間隔（別のプロセスの操作も含む）に揺らぎを加える
+    const last = Math.max(this.lastActionAt, ...times, 0);
+    if (last > 0) {
+      const interval = this.config.minInterval * this.jitterFactor;
+      candidates.push({ ms: last + interval - now, reason: 'interval' });
+    }
+    const { perHour, perDay } = this.config;
+    const lastHour = times.filter(t => t > now - 3600000);
+    if (perHour > 0 && lastHour.length >= perHour) {
+      candidates.push({ ms: lastHour[lastHour.length - perHour] + 3600000 - now, reason: `1時間の上限（${perHour}件）` });
+    }
+    if (perDay > 0 && times.length >= perDay) {
+      candidates.push({ ms: times[times.length - perDay] + 86400000 - now, reason: `24時間の上限（${perDay}件）` });
+    }
+
+    return candidates.reduce((a, b) => (b.ms > a.ms ? b : a), { ms: 0, reason: 'interval' });
+  }
+
+  // 履歴を読み込み、24時間より前の記録を除いて保存する
+  private update(fn: (scope: ScopeState) => void): ScopeState {
+    const state = loadState(this.statePath);
+    const since = Date.now() - 86400000;
+    const scope = state.scopes[this.scope] ?? { actions: [], strikes: 0 };
+    scope.actions = scope.actions.filter(t => new Date(t).getTime() > since);
+    if (scope.cooldownUntil && new Date(scope.cooldownUntil).getTime() <= Date.now()) delete scope.cooldownUntil;
+    fn(scope);
+    state.scopes[this.scope] = scope;
+    saveState(state, this.statePath);
+    return scope;
+  }
+}
+
+// 中断要求があれば早めに戻る待機
+export function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise(resolve => {
+    if (signal?.aborted) return resolve();
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done);
+  });
+}
+
+function formatDuration(ms: number): string {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds}秒`;
+  const minutes = Math.ceil(seconds / 60);
+  return minutes < 60 ? `${minutes}分` : `${Math.floor(minutes / 60)}時間${minutes % 60}分`;
+}
@@ -0,0 +1,127 @@
+// 日時の解釈と検証（予約投稿の publish_at、ローカルキューの実行日時）
+//
+// タイムゾーンの指定がない日時は NOTE_POST_MCP_TIMEZONE（デフォルト: Asia/Tokyo）の時刻として扱う。
+// noteのエディタには日本時間で入力する。
+
+// noteの予約投稿画面のタイムゾーン（ブラウザのタイムゾーンもこれに合わせる）
+export const NOTE_TIME_ZONE = 'Asia/Tokyo';
+
+// タイムゾーン指定のない publish_at を解釈するタイムゾーン
+export const DEFAULT_TIME_ZONE = process.env.NOTE_POST_MCP_TIMEZONE ?? NOTE_TIME_ZONE;
+
+// 予約できる範囲（noteの予約投稿の仕様）
+export const SCHEDULE_MIN_LEAD_MINUTES = 10;  // 投稿処理の時間を見込んだ最短の予約
+export const SCHEDULE_MAX_DAYS = 30;          // noteで予約できる最長の期間（約1か月）
+
+// 2026-11-01 09:00 / 2026/11/01 9:00 / 2026-11-01T09:00:00+09:00 / 2026-11-01T00:00Z
+const PUBLISH_AT_PATTERN = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})[T\s]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+// 日時の各部分
+interface DateTimeParts {
+  year: number;
+  month: number;
+  day: number;
+  hour: number;
+  minute: number;
+  second: number;
+}
+
+// 指定したタイムゾーンでの日時の各部分
+function partsInTimeZone(date: Date, timeZone: string): DateTimeParts {
+  let format: Intl.DateTimeFormat;
+  try {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+  } catch {
+    throw new Error(`Unknown time zone: ${timeZone}`);
+  }
+  const parts: Record<string, number> = {};
+  for (const part of format.formatToParts(date)) {
+    if (part.type !== 'literal') parts[part.type] = parseInt(part.value, 10);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+// タイムゾーンのUTCからのずれ（ミリ秒）
+function timeZoneOffset(date: Date, timeZone: string): number {
+  const p = partsInTimeZone(date, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// publish_at を日時に変換する（形式が不正な場合はエラー）
+export function parsePublishAt(value: string, timeZone = DEFAULT_TIME_ZONE): Date {
+  return parseDateTime(value, timeZone, 'publish_at');
+}
+
+// 日時の文字列を変換する（keyはエラーメッセージに出す項目名）
+export function parseDateTime(value: string, timeZone = DEFAULT_TIME_ZONE, key = 'date'): Date {
+  const match = value.trim().match(PUBLISH_AT_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid ${key} "${value}" (expected e.g. "2026-11-01 09:00" or "2026-11-01T09:00+09:00")`);
+  }
+  const [, y, mo, d, h, mi, s, zone] = match;
+  const parts = { year: +y, month: +mo, day: +d, hour: +h, minute: +mi, second: s ? +s : 0 };
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+  // 存在しない日付（2月30日など）を弾く
+  const check = new Date(wall);
+  if (check.getUTCMonth() !== parts.month - 1 || check.getUTCDate() !== parts.day || parts.hour > 23 || parts.minute > 59 || parts.second > 59) {
+    throw new Error(`Invalid ${key} "${value}" (no such date or time)`);
+  }
+
+  if (zone) {
+    if (zone.toUpperCase() === 'Z') return new Date(wall);
+    const sign = zone.startsWith('-') ? -1 : 1;
+    const digits = zone.slice(1).replace(':', '');
+    const offset = sign * (parseInt(digits.slice(0, 2), 10) * 60 + parseInt(digits.slice(2), 10)) * 60000;
+    return new Date(wall - offset);
+  }
+
+  // タイムゾーン指定がなければ timeZone の時刻として扱う（夏時間の切り替えに備えて2回合わせる）
+  let time = wall - timeZoneOffset(new Date(wall), timeZone);
+  time = wall - timeZoneOffset(new Date(time), timeZone);
+  return new Date(time);
+}
+
+// 予約できる日時か確認する（問題があればその内容、なければundefined）
+export function checkPublishAt(publishAt: Date, now = new Date()): string | undefined {
+  const minutes = (publishAt.getTime() - now.getTime()) / 60000;
+  if (minutes < SCHEDULE_MIN_LEAD_MINUTES) {
+    return `publish_at must be at least ${SCHEDULE_MIN_LEAD_MINUTES} minutes in the future (${formatPublishAt(publishAt)} ${NOTE_TIME_ZONE})`;
+  }
+  if (minutes > SCHEDULE_MAX_DAYS * 24 * 60) {
+    return `publish_at must be within ${SCHEDULE_MAX_DAYS} days from now (${formatPublishAt(publishAt)} ${NOTE_TIME_ZONE})`;
+  }
+  return undefined;
+}
+
+// 日時を指定したタイムゾーンの「YYYY-MM-DD HH:mm」で表す
+export function formatPublishAt(date: Date, timeZone = NOTE_TIME_ZONE): string {
+  const p = partsInTimeZone(date, timeZone);
+  const pad = (n: number) => String(n).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+// 日時を指定したタイムゾーンのオフセット付きISO 8601で表す（例: 2026-11-01T09:00:00+09:00）
+export function toZonedIsoString(date: Date, timeZone = NOTE_TIME_ZONE): string {
+  const offsetMinutes = Math.round(timeZoneOffset(date, timeZone) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const abs = Math.abs(offsetMinutes);
+  const pad = (n: number) => String(n).padStart(2, '0');
+  return `${formatPublishAt(date, timeZone).replace(' ', 'T')}:00${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
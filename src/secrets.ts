@@ -0,0 +1,97 @@
+// ログイン情報の暗号化ファイル
+//
+// ヘッドレスログイン（login.ts）で使うメールアドレスとパスワードを、プロファイルごとに
+// ~/.note-post-mcp/secrets.json に保存する。内容はパスフレーズ（NOTE_POST_MCP_SECRETS_KEY）で
+// 暗号化する（encryption.ts）。
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as os from 'os';
+import { EncryptedFile, encryptJson, decryptJson, writePrivateFile } from './encryption.js';
+import { NotePostError } from './errors.js';
+
+export const DEFAULT_SECRETS_PATH = process.env.NOTE_POST_MCP_SECRETS_PATH ??
+  path.join(os.homedir(), '.note-post-mcp', 'secrets.json');
+
+// プロファイルを使わない場合のキー
+export const DEFAULT_SECRETS_KEY = 'default';
+
+export interface Credentials {
+  email: string;     // メールアドレスまたはnote ID
+  password: string;
+}
+
+// 復号した内容
+interface SecretsData {
+  accounts: Record<string, Credentials>;
+}
+
+function passphrase(): string {
+  const key = process.env.NOTE_POST_MCP_SECRETS_KEY;
+  if (!key) {
+    throw new NotePostError('INVALID_INPUT', 'NOTE_POST_MCP_SECRETS_KEY is not set; it is needed to read and write the secrets file');
+  }
+  return key;
+}
+
+function loadSecrets(secretsPath: string): SecretsData {
+  if (!fs.existsSync(secretsPath)) {
+    return { accounts: {} };
+  }
+  const file: EncryptedFile = JSON.parse(fs.readFileSync(secretsPath, 'utf-8'));
+  try {
+    return { accounts: decryptJson<SecretsData>(file, passphrase()).accounts ?? {} };
+  } catch (e) {
+    if (e instanceof NotePostError) throw e;
+    throw new NotePostError('INVALID_INPUT', `Could not decrypt ${secretsPath} (wrong NOTE_POST_MCP_SECRETS_KEY?)`);
+  }
+}
+
+function saveSecrets(secrets: SecretsData, secretsPath: string) {
+  writePrivateFile(secretsPath, JSON.stringify(encryptJson(secrets, passphrase()), null, 2));
+}
+
+// プロファイルのログイン情報を保存する
+export function setCredentials(profile: string | undefined, credentials: Credentials, secretsPath = DEFAULT_SECRETS_PATH) {
+  const secrets = loadSecrets(secretsPath);
+  secrets.accounts[profile ?? DEFAULT_SECRETS_KEY] = credentials;
+  saveSecrets(secrets, secretsPath);
+}
+
+// プロファイルのログイン情報を削除する（削除したらtrue）
+export function removeCredentials(profile: string | undefined, secretsPath = DEFAULT_SECRETS_PATH): boolean {
+  const secrets = loadSecrets(secretsPath);
+  const key = profile ?? DEFAULT_SECRETS_KEY;
+  if (!secrets.accounts[key]) return false;
+  delete secrets.accounts[key];
+  saveSecrets(secrets, secretsPath);
+  return true;
+}
+
+// 保存されているプロファイルとメールアドレス（パスワードは返さない）
+export function listCredentials(secretsPath = DEFAULT_SECRETS_PATH): { profile: string; email: string }[] {
+  return Object.entries(loadSecrets(secretsPath).accounts).map(([profile, { email }]) => ({ profile, email }));
+}
+
+// 環境変数のログイン情報（両方そろっている場合だけ）
+function credentialsFromEnv(): Credentials | undefined {
+  const email = process.env.NOTE_POST_MCP_EMAIL;
+  const password = process.env.NOTE_POST_MCP_PASSWORD;
+  return email && password ? { email, password } : undefined;
+}
+
+// ログインに使う情報を探す（暗号化ファイルのプロファイルの記録、環境変数の順。なければundefined）
+// 暗号化ファイルがあってもパスフレーズがなければ、環境変数だけを使う
+// 環境変数は1つのアカウントのものなので、デフォルトのプロファイル（未指定・NOTE_POST_MCP_PROFILE）でだけ使う。
+// 他のプロファイルで使うと、別のアカウントのログインをそのプロファイルの認証状態ファイルに書いてしまう
+export function findCredentials(profile?: string, secretsPath = DEFAULT_SECRETS_PATH): Credentials | undefined {
+  if (fs.existsSync(secretsPath) && process.env.NOTE_POST_MCP_SECRETS_KEY) {
+    const stored = loadSecrets(secretsPath).accounts[profile ?? DEFAULT_SECRETS_KEY];
+    if (stored) return stored;
+  }
+  return isDefaultProfile(profile) ? credentialsFromEnv() : undefined;
+}
+
+function isDefaultProfile(profile: string | undefined): boolean {
+  return !profile || profile === DEFAULT_SECRETS_KEY || profile === process.env.NOTE_POST_MCP_PROFILE;
+}
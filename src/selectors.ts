@@ -0,0 +1,401 @@
+// note.comの画面の要素（セレクター）の一覧
+//
+// noteの画面が変わるたびに、エディタの操作（editor.ts）やユーティリティスクリプトに散らばった
+// セレクターを探して直す必要があった。画面の要素ごとに候補を優先順に並べてここにまとめ、
+// 画面が変わったら候補を先頭に足す（古い候補は後ろに残す）。UI_VERSION は、候補を最後に
+// 実際の画面で確認したnoteのUIの時期で、候補を直したら更新する。
+// `note-post-mcp selftest` で、保存したHTMLや実際の画面に対して各要素が見つかるか確認できる。
+
+import type { Page, Locator, ElementHandle } from 'playwright';
+import { log } from './log.js';
+
+export const UI_VERSION = '2026-01';
+
+// 要素がある画面
+//   login: ログインページ / editor: エディタ / publish: 公開設定画面
+//   notes: 記事一覧（note.com/notes） / article: 公開された記事のページ / any: 画面を問わない
+export type SelectorPage = 'login' | 'editor' | 'publish' | 'notes' | 'article' | 'any';
+
+export interface SelectorEntry {
+  page: SelectorPage;
+  description: string;
+  candidates: readonly string[];  // 優先順（先頭が現在の画面のもの）
+  optional?: boolean;             // 操作の途中や条件によってだけ表示される（selftestで見つからなくても壊れたとみなさない）
+}
+
+export const SELECTORS = {
+  // ログインページ（login.ts）
+  loginEmail: {
+    page: 'login',
+    description: 'メールアドレス・note IDの入力欄',
+    candidates: ['#email', 'input[name="login"]', 'input[autocomplete="username"]', 'input[type="email"]'],
+  },
+  loginPassword: {
+    page: 'login',
+    description: 'パスワードの入力欄',
+    candidates: ['#password', 'input[type="password"]'],
+  },
+  loginSubmit: {
+    page: 'login',
+    description: 'ログインボタン',
+    candidates: ['role=button[name="ログイン" s]'],
+  },
+  loginCaptcha: {
+    page: 'login',
+    description: 'CAPTCHAの画面',
+    candidates: ['iframe[src*="recaptcha/api2/bframe"]', 'iframe[src*="recaptcha/enterprise/bframe"]', 'iframe[src*="hcaptcha"][src*="challenge"]'],
+    optional: true,
+  },
+  loginTwoFactor: {
+    page: 'login',
+    description: '二段階認証のコード入力欄',
+    candidates: ['input[autocomplete="one-time-code"]'],
+    optional: true,
+  },
+
+  // エディタ
+  titleInput: {
+    page: 'editor',
+    description: 'タイトル入力欄',
+    candidates: ['textarea[placeholder*="タイトル"]'],
+  },
+  bodyEditor: {
+    page: 'editor',
+    description: '本文の入力欄',
+    candidates: ['div[contenteditable="true"][role="textbox"]'],
+  },
+  thumbnailAddButton: {
+    page: 'editor',
+    description: '見出し画像の「画像を追加」ボタン',
+    candidates: ['button[aria-label="画像を追加"]'],
+    optional: true,  // 設定済みの記事では「画像を変更」になる
+  },
+  thumbnailChangeButton: {
+    page: 'editor',
+    description: '見出し画像の「画像を変更」ボタン（設定済みの記事）',
+    candidates: ['button[aria-label="画像を変更"]'],
+    optional: true,
+  },
+  thumbnailUploadButton: {
+    page: 'editor',
+    description: '「画像をアップロード」ボタン',
+    candidates: ['button:has-text("画像をアップロード")'],
+    optional: true,
+  },
+  fileInput: {
+    page: 'editor',
+    description: 'ファイル選択の入力欄',
+    candidates: ['input[type="file"]'],
+    optional: true,
+  },
+  dialog: {
+    page: 'any',
+    description: 'ダイアログ',
+    candidates: ['div[role="dialog"]'],
+    optional: true,
+  },
+  thumbnailSaveButton: {
+    page: 'editor',
+    description: 'トリミングダイアログの「保存」ボタン（ダイアログ内）',
+    candidates: ['button:has-text("保存")'],
+    optional: true,
+  },
+  thumbnailCropper: {
+    page: 'editor',
+    description: 'トリミングダイアログの画像（ダイアログ内）',
+    candidates: ['[data-testid="cropper"]'],
+    optional: true,
+  },
+  draftSaveButton: {
+    page: 'editor',
+    description: '「下書き保存」ボタン',
+    candidates: ['button:has-text("下書き保存")', '[aria-label*="下書き保存"]'],
+  },
+  draftSavedMessage: {
+    page: 'editor',
+    description: '下書き保存の完了表示',
+    candidates: ['text=保存しました'],
+    optional: true,
+  },
+  proceedButton: {
+    page: 'editor',
+    description: '「公開に進む」ボタン',
+    candidates: ['button:has-text("公開に進む")'],
+  },
+
+  // 公開設定画面
+  publishButton: {
+    page: 'publish',
+    description: '「投稿する」ボタン（公開済み記事の編集時は「更新する」）',
+    candidates: ['button:has-text("投稿する")', 'button:has-text("更新する")'],
+  },
+  tagInput: {
+    page: 'publish',
+    description: 'ハッシュタグの入力欄',
+    candidates: ['input[placeholder*="ハッシュタグ"]', 'input[role="combobox"]'],
+  },
+  paidLabel: {
+    page: 'publish',
+    description: '「有料」の選択肢',
+    candidates: ['label:has-text("有料")'],
+  },
+  priceInput: {
+    page: 'publish',
+    description: '価格の入力欄（「有料」を選んだ後）',
+    candidates: ['input[type="text"][placeholder="300"]'],
+    optional: true,
+  },
+  magazineTab: {
+    page: 'publish',
+    description: '「マガジン」タブ',
+    candidates: ['button:has-text("マガジン")'],
+    optional: true,  // マガジンがないアカウントでは表示されない
+  },
+  addButton: {
+    page: 'publish',
+    description: 'マガジン・メンバーシッププランの「追加」ボタン（テキストはspan内）',
+    candidates: ['button:has(span:has-text("追加"))', 'button:has-text("追加")'],
+    optional: true,
+  },
+  membershipCheckbox: {
+    page: 'publish',
+    description: '「記事の追加」のメンバーシップのチェックボックス',
+    candidates: ['role=checkbox[name="メンバーシップ"]'],
+    optional: true,  // メンバーシップがないアカウントでは表示されない
+  },
+  snsPromotionOption: {
+    page: 'publish',
+    description: '「SNSプロモーション機能」の選択肢',
+    candidates: ['text=SNSプロモーション機能', 'input[type="radio"] >> nth=1'],
+    optional: true,
+  },
+  paidAreaButton: {
+    page: 'publish',
+    description: '「有料エリア設定」ボタン（有料を選んだ後）',
+    candidates: ['button:has-text("有料エリア設定")'],
+    optional: true,
+  },
+  paidLineChangeButton: {
+    page: 'publish',
+    description: '有料エリア設定の「ラインをこの場所に変更」ボタン',
+    candidates: ['button:has-text("ラインをこの場所に変更")'],
+    optional: true,
+  },
+  paidLineDefaultButton: {
+    page: 'publish',
+    description: '有料エリア設定の「このラインより先を有料にする」ボタン',
+    candidates: ['button:has-text("このラインより先を有料にする")'],
+    optional: true,
+  },
+  scheduleButton: {
+    page: 'publish',
+    description: '予約投稿の「日時の設定」ボタン',
+    candidates: ['button:has-text("日時の設定")', 'button:has-text("予約投稿")', 'label:has-text("予約投稿")'],
+  },
+  scheduleDateTimeInput: {
+    page: 'publish',
+    description: '予約投稿の日時の入力欄',
+    candidates: ['input[type="datetime-local"]'],
+    optional: true,
+  },
+  scheduleDateInput: {
+    page: 'publish',
+    description: '予約投稿の日付の入力欄',
+    candidates: ['input[type="date"]', 'input[placeholder*="日付"]', 'input[name*="date" i]'],
+    optional: true,
+  },
+  scheduleTimeInput: {
+    page: 'publish',
+    description: '予約投稿の時刻の入力欄',
+    candidates: ['input[type="time"]', 'input[placeholder*="時刻"]', 'input[name*="time" i]'],
+    optional: true,
+  },
+  scheduleConfirmButton: {
+    page: 'publish',
+    description: '日時選択ダイアログの確定ボタン',
+    candidates: ['[role="dialog"] button:has-text("設定")', '[role="dialog"] button:has-text("決定")', '[role="dialog"] button:has-text("OK")'],
+    optional: true,
+  },
+  publishConfirmButton: {
+    page: 'publish',
+    description: '投稿の確認モーダルのOKボタン',
+    candidates: [
+      '[role="dialog"] button:first-of-type',
+      'button:has-text("OK")',
+      'button:has-text("ok")',
+      'button:has-text("確認")',
+      'button:has-text("はい")',
+      '.modal button:first-of-type',
+    ],
+    optional: true,
+  },
+  publishedMessage: {
+    page: 'publish',
+    description: '投稿の完了表示',
+    candidates: ['text=投稿しました'],
+    optional: true,
+  },
+
+  // 記事一覧（add-to-magazine.cjs）
+  notesPeriodFilter: {
+    page: 'notes',
+    description: '「期間」フィルター',
+    candidates: ['button:has-text("期間")', '[data-testid*="period"]', '.filter-period', 'text=期間'],
+  },
+  notesListItem: {
+    page: 'notes',
+    description: '記事一覧の記事',
+    candidates: ['.o-articleList__item'],
+  },
+  notesListHeading: {
+    page: 'notes',
+    description: '記事一覧の記事のタイトル（記事内）',
+    candidates: ['.o-articleList__heading'],
+  },
+  notesListMore: {
+    page: 'notes',
+    description: '記事一覧の記事のメニュー（…）ボタン（記事内）',
+    candidates: ['.o-articleList__more', '[class*="more"]', 'button:has(svg)'],
+  },
+  notesMembershipMenuItem: {
+    page: 'notes',
+    description: 'メニューの「メンバーシップ特典追加・解除」',
+    candidates: ['text=メンバーシップ特典追加', '[data-testid*="membership"]', 'text=特典'],
+    optional: true,
+  },
+  membershipModalBody: {
+    page: 'any',
+    description: 'メンバーシップ特典モーダルの本体',
+    candidates: ['.m-basicModalContent__body'],
+    optional: true,
+  },
+  membershipModalButton: {
+    page: 'any',
+    description: 'メンバーシップ特典モーダル内のボタン',
+    candidates: ['.modal-content-wrapper button.a-button'],
+    optional: true,
+  },
+  modalListItem: {
+    page: 'any',
+    description: 'モーダル内のプランの行',
+    candidates: ['[class*="modal"] li', '[role="dialog"] li', '[class*="Modal"] li'],
+    optional: true,
+  },
+  modalItemButton: {
+    page: 'any',
+    description: 'モーダル内のプランの行の「追加」「追加済」ボタン（行内）',
+    candidates: ['button.a-button', 'button'],
+    optional: true,
+  },
+  closeButton: {
+    page: 'any',
+    description: 'モーダルの「閉じる」ボタン',
+    candidates: ['button:has-text("閉じる")'],
+    optional: true,
+  },
+  cancelButton: {
+    page: 'any',
+    description: 'モーダルの「キャンセル」ボタン',
+    candidates: ['button:has-text("キャンセル")'],
+    optional: true,
+  },
+  confirmButton: {
+    page: 'any',
+    description: '確認ダイアログのOKボタン',
+    candidates: ['button:has-text("OK")', 'button:has-text("確定")', 'button:has-text("はい")'],
+    optional: true,
+  },
+
+  // 公開された記事のページ（verify.ts・add-membership-benefit.cjs）
+  articleTitle: {
+    page: 'article',
+    description: '記事のタイトル',
+    candidates: ['h1'],
+  },
+  articleMoreButton: {
+    page: 'article',
+    description: '記事のメニュー（…）ボタン',
+    candidates: [
+      'button[aria-label*="メニュー"]',
+      'button[aria-label*="more"]',
+      'button[aria-label*="その他"]',
+      'button:has-text("…")',
+      'button:has-text("⋯")',
+      '[class*="more-button"]',
+      '[class*="moreButton"]',
+      '[class*="menu-trigger"]',
+    ],
+  },
+  articleMembershipMenuItem: {
+    page: 'article',
+    description: 'メニューの「メンバーシップ特典」',
+    candidates: ['text=メンバーシップ特典', 'text=メンバーシップ'],
+    optional: true,
+  },
+  menuItem: {
+    page: 'any',
+    description: 'メニューの項目',
+    candidates: ['[role="menuitem"]', '[class*="dropdown"] a', '[class*="menu"] a', '[class*="popup"] a', '[class*="menu"] li'],
+    optional: true,
+  },
+
+  // レート制限の表示（rate-limit.ts）
+  toast: {
+    page: 'any',
+    description: 'トースト・アラート',
+    candidates: ['[role="alert"]', '[role="status"]', '[class*="toast" i]', '[class*="snackbar" i]', '[class*="notification" i]'],
+    optional: true,
+  },
+} satisfies Record<string, SelectorEntry>;
+
+export type SelectorName = keyof typeof SELECTORS;
+
+// 要素の候補（優先順）
+export function selectorCandidates(name: SelectorName): readonly string[] {
+  return SELECTORS[name].candidates;
+}
+
+// いずれかの候補にマッチするロケーター（表示を待つ場合・すべてを数える場合）
+export function anyOf(scope: Page | Locator, name: SelectorName): Locator {
+  return selectorCandidates(name)
+    .map(candidate => scope.locator(candidate))
+    .reduce((union, locator) => union.or(locator));
+}
+
+// 候補を優先順に試し、最初に表示されている要素（どれも表示されていなければnull）
+// 先頭以外の候補が使われた場合は、画面が変わった可能性があるためログに残す
+export async function findVisible(scope: Page | Locator, name: SelectorName): Promise<Locator | null> {
+  const candidates = selectorCandidates(name);
+  for (let i = 0; i < candidates.length; i++) {
+    const locator = scope.locator(candidates[i]).first();
+    if (await locator.isVisible().catch(() => false)) {
+      if (i > 0) log('Selector fallback used', { name, selector: candidates[i] });
+      return locator;
+    }
+  }
+  return null;
+}
+
+// 候補を優先順に試し、最初に見つかった要素（page.$ を使うユーティリティスクリプト用。表示されているかは調べない）
+export async function queryFirst(
+  scope: Page | ElementHandle,
+  name: SelectorName,
+): Promise<ElementHandle<SVGElement | HTMLElement> | null> {
+  for (const candidate of selectorCandidates(name)) {
+    const handle = await scope.$(candidate);
+    if (handle) return handle;
+  }
+  return null;
+}
+
+// 候補を優先順に試し、最初に見つかった候補にマッチするすべての要素（page.$$ を使うユーティリティスクリプト用）
+export async function queryAll(
+  scope: Page | ElementHandle,
+  name: SelectorName,
+): Promise<ElementHandle<SVGElement | HTMLElement>[]> {
+  for (const candidate of selectorCandidates(name)) {
+    const handles = await scope.$$(candidate);
+    if (handles.length > 0) return handles;
+  }
+  return [];
+}
@@ -0,0 +1,216 @@
+// セレクターの自己診断
+//
+// selectors.ts の各要素が、保存したHTML（フィクスチャ）や実際のnoteの画面で見つかるかを調べる。
+// noteの画面が変わったときに、どの要素の候補が使えなくなったかを知るために使う。
+// フィクスチャは <画面>.html または <画面>-<説明>.html（例: publish-paid.html）という名前で置く。
+// 実際の画面を調べるときに --save を指定すると、開いた画面をこの形式で保存する。
+
+import * as fs from 'fs';
+import * as path from 'path';
+import type { Page } from 'playwright';
+import { log } from './log.js';
+import { launchBrowser, newNoteContext, NOTE_CONTEXT_OPTIONS } from './browser-pool.js';
+import { extractNoteKey, proceedToPublishSettings } from './editor.js';
+import { NoteUrls, noteUrls, editNoteUrl } from './urls.js';
+import { SELECTORS, SelectorEntry, SelectorName, SelectorPage, UI_VERSION, anyOf } from './selectors.js';
+import { NotePostError } from './errors.js';
+
+// ok: 先頭の候補で見つかった / fallback: 先頭以外の候補でだけ見つかった（先頭の候補を直す）
+// broken: どの候補でも見つからない / not_shown: 条件によって表示される要素が見つからない（問題とはみなさない）
+// skipped: その画面を調べていない
+export type SelectorStatus = 'ok' | 'fallback' | 'broken' | 'not_shown' | 'skipped';
+
+export interface SelectorCheck {
+  name: SelectorName;
+  page: SelectorPage;
+  description: string;
+  status: SelectorStatus;
+  matched?: string;       // 見つかった候補（優先順で最も前のもの）
+  matchedIndex?: number;
+  source?: string;        // 見つかったフィクスチャ・URL
+}
+
+export interface SelftestReport {
+  uiVersion: string;
+  mode: 'fixtures' | 'live';
+  ok: boolean;            // broken がない
+  sources: { page: SelectorPage; source: string }[];
+  summary: Record<SelectorStatus, number>;
+  checks: SelectorCheck[];
+  checkedAt: string;
+}
+
+export interface LiveSelftestOptions {
+  note?: string;        // エディタ・公開設定画面を調べる下書き（記事キーまたはURL。投稿はしない）
+  articleUrl?: string;  // 調べる公開された記事のページ
+  saveDir?: string;     // 開いた画面をフィクスチャとして保存する
+  timeout?: number;
+  urls?: NoteUrls;      // 開くURL（省略時は設定ファイル・環境変数）
+}
+
+const PAGES: SelectorPage[] = ['login', 'editor', 'publish', 'notes', 'article'];
+
+// 1つの画面・フィクスチャを調べた結果（matches: 要素ごとに見つかった候補の番号、なければ-1）
+export interface PageResult {
+  page: SelectorPage;
+  source: string;
+  matches: Map<SelectorName, number>;
+}
+
+// 開いている画面で、各要素の候補ごとに見つかるかを調べる（見つかった候補の番号、なければ-1）
+async function matchSelectors(page: Page, target: SelectorPage): Promise<Map<SelectorName, number>> {
+  const result = new Map<SelectorName, number>();
+  for (const [name, entry] of Object.entries(SELECTORS) as [SelectorName, SelectorEntry][]) {
+    if (entry.page !== target && entry.page !== 'any') continue;
+    let index = -1;
+    for (let i = 0; i < entry.candidates.length; i++) {
+      if (await page.locator(entry.candidates[i]).count().catch(() => 0) > 0) {
+        index = i;
+        break;
+      }
+    }
+    result.set(name, index);
+  }
+  return result;
+}
+
+// 調べた結果を要素ごとに分類する（調べていない画面の要素は skipped）
+export function buildReport(mode: SelftestReport['mode'], results: PageResult[]): SelftestReport {
+  const checkedPages = new Set(results.map(r => r.page));
+  const checks = (Object.keys(SELECTORS) as SelectorName[]).map((name): SelectorCheck => {
+    const entry: SelectorEntry = SELECTORS[name];
+    const base = { name, page: entry.page, description: entry.description };
+    if (entry.page !== 'any' && !checkedPages.has(entry.page)) {
+      return { ...base, status: 'skipped' };
+    }
+    // 複数の画面・フィクスチャで調べた場合は、最も前の候補で見つかったものを採る
+    let best: { index: number; source: string } | undefined;
+    for (const { source, matches } of results) {
+      const index = matches.get(name) ?? -1;
+      if (index >= 0 && (!best || index < best.index)) best = { index, source };
+    }
+    if (!best) {
+      return { ...base, status: entry.optional ? 'not_shown' : 'broken' };
+    }
+    return {
+      ...base,
+      status: best.index === 0 ? 'ok' : 'fallback',
+      matched: entry.candidates[best.index],
+      matchedIndex: best.index,
+      source: best.source,
+    };
+  });
+
+  const summary: Record<SelectorStatus, number> = { ok: 0, fallback: 0, broken: 0, not_shown: 0, skipped: 0 };
+  for (const check of checks) summary[check.status]++;
+  return {
+    uiVersion: UI_VERSION,
+    mode,
+    ok: summary.broken === 0,
+    sources: results.map(({ page, source }) => ({ page, source })),
+    summary,
+    checks,
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+// フィクスチャのファイル名から画面を決める（該当しなければundefined）
+function fixturePage(file: string): SelectorPage | undefined {
+  const prefix = path.basename(file, '.html').split('-')[0];
+  return PAGES.find(page => page === prefix);
+}
+
+// 保存したHTMLに対して調べる（ブラウザは起動するが、note.comにはアクセスしない）
+export async function selftestFixtures(fixturesDir: string): Promise<SelftestReport> {
+  if (!fs.existsSync(fixturesDir)) {
+    throw new NotePostError('INVALID_INPUT', `Fixtures directory not found: ${fixturesDir}`);
+  }
+  const files = fs.readdirSync(fixturesDir).filter(file => file.endsWith('.html')).sort();
+  const fixtures = files.flatMap(file => {
+    const page = fixturePage(file);
+    if (!page) {
+      log('Selftest: skipping fixture with an unknown page name', { file, pages: PAGES });
+      return [];
+    }
+    return [{ page, file: path.join(fixturesDir, file) }];
+  });
+  if (fixtures.length === 0) {
+    throw new NotePostError('INVALID_INPUT', `No fixtures in ${fixturesDir} (name them ${PAGES.join('|')}[-<label>].html)`);
+  }
+
+  const browser = await launchBrowser();
+  try {
+    // 保存したHTMLは描画済みのため、スクリプトは動かさない
+    const context = await browser.newContext({ ...NOTE_CONTEXT_OPTIONS, javaScriptEnabled: false });
+    const page = await context.newPage();
+    const results: PageResult[] = [];
+    for (const { page: target, file } of fixtures) {
+      await page.setContent(fs.readFileSync(file, 'utf-8'), { waitUntil: 'domcontentloaded' });
+      results.push({ page: target, source: file, matches: await matchSelectors(page, target) });
+    }
+    return buildReport('fixtures', results);
+  } finally {
+    await browser.close();
+  }
+}
+
+// 実際のnoteの画面を開いて調べる（投稿はしない）
+// エディタの新規作成ページは開くだけで空の下書きができるため、エディタ・公開設定画面は note の下書きでだけ調べる
+export async function selftestLive(statePath: string, options: LiveSelftestOptions = {}): Promise<SelftestReport> {
+  const { timeout = 60000, urls = noteUrls() } = options;
+  const browser = await launchBrowser();
+  try {
+    const results: PageResult[] = [];
+    const check = async (page: Page, target: SelectorPage) => {
+      const source = page.url();
+      results.push({ page: target, source, matches: await matchSelectors(page, target) });
+      if (options.saveDir) {
+        fs.mkdirSync(options.saveDir, { recursive: true });
+        fs.writeFileSync(path.join(options.saveDir, `${target}.html`), await page.content());
+      }
+      log('Selftest: checked page', { page: target, url: source });
+    };
+
+    // ログインページはログインしていない状態で開く
+    const loginPage = await (await browser.newContext(NOTE_CONTEXT_OPTIONS)).newPage();
+    await openPage(loginPage, urls.login, timeout);
+    await check(loginPage, 'login');
+
+    const context = await newNoteContext(browser, statePath, urls);
+    const page = await context.newPage();
+    page.setDefaultTimeout(timeout);
+
+    await openPage(page, urls.notes, timeout);
+    await check(page, 'notes');
+
+    if (options.articleUrl) {
+      await openPage(page, options.articleUrl, timeout);
+      await check(page, 'article');
+    }
+
+    // 公開設定画面はエディタから開く（「投稿する」は押さない）
+    if (options.note) {
+      await openPage(page, editNoteUrl(extractNoteKey(options.note), urls), timeout);
+      await waitForEditor(page, timeout);
+      await check(page, 'editor');
+      await proceedToPublishSettings(page);
+      await check(page, 'publish');
+    }
+
+    return buildReport('live', results);
+  } finally {
+    await browser.close();
+  }
+}
+
+async function openPage(page: Page, url: string, timeout: number) {
+  await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+  await page.waitForLoadState('networkidle', { timeout: 15000 }).catch(() => {});
+}
+
+// エディタの表示を待つ（タイトル欄が見つからなくても、そのまま調べて broken として報告する）
+async function waitForEditor(page: Page, timeout: number) {
+  await anyOf(page, 'titleInput').first()
+    .waitFor({ state: 'visible', timeout })
+    .catch(() => log('Selftest: the editor did not show the title input'));
+}
@@ -0,0 +1,179 @@
+// note.comのURLの設定
+//
+// 開くページとAPIのURLを、オリジン（note.com / editor.note.com）とパスに分けて1か所で決める。
+// 設定は次の順に重ね、後のものを優先する。
+//   1. 組み込みのデフォルト（本番のnote.com）
+//   2. 設定ファイル（~/.note-post-mcp/config.json の "urls"。NOTE_POST_MCP_CONFIG_PATH で変更）
+//   3. 環境変数 NOTE_POST_MCP_NOTE_ORIGIN / NOTE_POST_MCP_EDITOR_ORIGIN
+//   4. ツールのパラメーター（note_origin / editor_origin）
+// ステージング環境・記録した応答を返すサーバー・E2Eテストのモック（test/e2e）に向けるために使う。
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as os from 'os';
+import { NotePostError } from './errors.js';
+
+export const DEFAULT_CONFIG_PATH = process.env.NOTE_POST_MCP_CONFIG_PATH ??
+  path.join(os.homedir(), '.note-post-mcp', 'config.json');
+
+// オリジンからのパス（{key} は記事キーに置き換える）
+export interface NotePaths {
+  login: string;        // ログインページ（note.com）
+  dashboard: string;    // ログインしていないとログインページに転送されるページ（note.com）
+  notes: string;        // 記事一覧（note.com）
+  currentUser: string;  // ログイン中のユーザーのAPI（note.com）
+  noteApi: string;      // 記事のAPI（note.com）
+  newNote: string;      // 新規作成（エディタ）
+  editNote: string;     // 既存記事の編集（エディタ）
+}
+
+// 設定ファイル・ツールのパラメーターで指定する内容（省略した項目は前の設定のまま）
+export interface UrlConfig {
+  noteOrigin?: string;
+  editorOrigin?: string;
+  paths?: Partial<NotePaths>;
+}
+
+// 決まったURL（noteApi / editNote は {key} を含む）
+export interface NoteUrls {
+  noteOrigin: string;
+  editorOrigin: string;
+  login: string;
+  dashboard: string;
+  notes: string;
+  currentUser: string;
+  noteApi: string;
+  newNote: string;
+  editNote: string;
+}
+
+const DEFAULT_ORIGINS = {
+  noteOrigin: 'https://note.com',
+  editorOrigin: 'https://editor.note.com',
+};
+
+export const DEFAULT_PATHS: NotePaths = {
+  login: '/login',
+  dashboard: '/dashboard',
+  notes: '/notes',
+  currentUser: '/api/v2/current_user',
+  noteApi: '/api/v3/notes/{key}',
+  newNote: '/new',
+  editNote: '/notes/{key}/edit/',
+};
+
+// 記事キーを含むパス
+const KEY_PATHS: (keyof NotePaths)[] = ['noteApi', 'editNote'];
+
+// エディタのオリジンで開くパス（ほかはnote.comのオリジン）
+const EDITOR_PATHS: (keyof NotePaths)[] = ['newNote', 'editNote'];
+
+// オリジンを検証し、末尾の「/」やパスを除いた形にする
+function toOrigin(value: unknown, name: string, source: string): string {
+  let url: URL | undefined;
+  try {
+    url = typeof value === 'string' ? new URL(value) : undefined;
+  } catch (e) {
+    // 下で INVALID_INPUT にする
+  }
+  if (!url || (url.protocol !== 'https:' && url.protocol !== 'http:')) {
+    throw new NotePostError('INVALID_INPUT', `Invalid ${name} in ${source}: ${JSON.stringify(value)} (expected an http(s) origin such as https://note.com)`);
+  }
+  return url.origin;
+}
+
+// 設定の内容を検証する（source はエラーメッセージに出す設定の出どころ）
+function checkUrlConfig(config: unknown, source: string): UrlConfig {
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+    throw new NotePostError('INVALID_INPUT', `Invalid "urls" in ${source} (expected an object)`);
+  }
+  const { noteOrigin, editorOrigin, paths } = config as Record<string, unknown>;
+  const result: UrlConfig = {};
+  if (noteOrigin !== undefined) result.noteOrigin = toOrigin(noteOrigin, 'noteOrigin', source);
+  if (editorOrigin !== undefined) result.editorOrigin = toOrigin(editorOrigin, 'editorOrigin', source);
+  if (paths !== undefined) {
+    if (typeof paths !== 'object' || paths === null || Array.isArray(paths)) {
+      throw new NotePostError('INVALID_INPUT', `Invalid "paths" in ${source} (expected an object)`);
+    }
+    result.paths = {};
+    for (const [name, value] of Object.entries(paths)) {
+      if (!Object.hasOwn(DEFAULT_PATHS, name)) {
+        throw new NotePostError('INVALID_INPUT', `Unknown path "${name}" in ${source} (expected ${Object.keys(DEFAULT_PATHS).join(', ')})`);
+      }
+      const key = name as keyof NotePaths;
+      if (typeof value !== 'string' || !value.startsWith('/')) {
+        throw new NotePostError('INVALID_INPUT', `Invalid path "${name}" in ${source}: ${JSON.stringify(value)} (expected a path starting with "/")`);
+      }
+      if (KEY_PATHS.includes(key) && !value.includes('{key}')) {
+        throw new NotePostError('INVALID_INPUT', `Path "${name}" in ${source} must contain {key}`);
+      }
+      result.paths[key] = value;
+    }
+  }
+  return result;
+}
+
+// 設定ファイルの "urls" を読み込む（ファイルや "urls" がなければ空の設定）
+export function loadUrlConfig(configPath = DEFAULT_CONFIG_PATH): UrlConfig {
+  if (!fs.existsSync(configPath)) return {};
+  let data: Record<string, unknown>;
+  try {
+    data = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (e) {
+    throw new NotePostError('INVALID_INPUT', `Config file is not valid JSON: ${configPath}`);
+  }
+  return data?.urls === undefined ? {} : checkUrlConfig(data.urls, configPath);
+}
+
+function envUrlConfig(): UrlConfig {
+  const env: Record<string, unknown> = {};
+  if (process.env.NOTE_POST_MCP_NOTE_ORIGIN) env.noteOrigin = process.env.NOTE_POST_MCP_NOTE_ORIGIN;
+  if (process.env.NOTE_POST_MCP_EDITOR_ORIGIN) env.editorOrigin = process.env.NOTE_POST_MCP_EDITOR_ORIGIN;
+  return checkUrlConfig(env, 'environment variables');
+}
+
+// 設定を重ねてURLを決める（overrides はツールのパラメーターなど、最も優先する設定）
+export function resolveUrls(overrides: UrlConfig = {}, configPath = DEFAULT_CONFIG_PATH): NoteUrls {
+  const layers = [loadUrlConfig(configPath), envUrlConfig(), checkUrlConfig(overrides, 'parameters')];
+  const origins = { ...DEFAULT_ORIGINS };
+  const paths = { ...DEFAULT_PATHS };
+  for (const layer of layers) {
+    if (layer.noteOrigin) origins.noteOrigin = layer.noteOrigin;
+    if (layer.editorOrigin) origins.editorOrigin = layer.editorOrigin;
+    Object.assign(paths, layer.paths);
+  }
+
+  const urls = { ...origins } as NoteUrls;
+  for (const key of Object.keys(DEFAULT_PATHS) as (keyof NotePaths)[]) {
+    urls[key] = (EDITOR_PATHS.includes(key) ? origins.editorOrigin : origins.noteOrigin) + paths[key];
+  }
+  return urls;
+}
+
+let defaultUrls: NoteUrls | undefined;
+
+// パラメーターで指定しない場合のURL（設定ファイルと環境変数は最初に使う時に読む）
+export function noteUrls(): NoteUrls {
+  defaultUrls ??= resolveUrls();
+  return defaultUrls;
+}
+
+// 既存記事の編集ページ
+export function editNoteUrl(noteKey: string, urls = noteUrls()): string {
+  return urls.editNote.replace('{key}', noteKey);
+}
+
+// 記事のAPI
+export function noteApiUrl(noteKey: string, urls = noteUrls()): string {
+  return urls.noteApi.replace('{key}', noteKey);
+}
+
+// 公開された記事のページ（<note.comのオリジン>/<ユーザー名>/n/<記事キー>）か
+export function isArticleUrl(url: string, urls = noteUrls()): boolean {
+  return url.startsWith(`${urls.noteOrigin}/`) && /^\/[^/]+\/n\/n[0-9a-z]+/i.test(url.slice(urls.noteOrigin.length));
+}
+
+// ログインページのURLか（認証状態が切れるとエディタからここに転送される）
+export function isLoginUrl(url: string, urls = noteUrls()): boolean {
+  return url.startsWith(urls.login);
+}
@@ -0,0 +1,189 @@
+// 公開の確認
+//
+// 「投稿する」を押した後、URLの変化や完了メッセージではなく、公開された記事そのものを確認する。
+// 記事API（note.com/api/v3/notes/<記事キー>）で公開状態・タイトル・価格を照合し、
+// APIで確認できない場合は記事ページを開いて公開状態とタイトルだけを確認する。
+
+import { Page } from 'playwright';
+import { log } from './log.js';
+import { anyOf } from './selectors.js';
+import { noteKeyFromUrl } from './ledger.js';
+import { NoteUrls, noteUrls, noteApiUrl, isArticleUrl } from './urls.js';
+
+// 確認に失敗した理由
+export type VerifyReason =
+  | 'note_key_unknown'          // 記事キーが分からず、記事を特定できない
+  | 'not_public'                // 記事ページ・APIから記事が見えない
+  | 'still_draft'               // 下書きのまま（レート制限の典型的な症状）
+  | 'title_mismatch'            // 公開された記事のタイトルが違う
+  | 'paid_state_mismatch'       // 有料・無料が指定と違う
+  | 'price_mismatch'            // 価格が指定と違う
+  | 'verification_unavailable'; // APIも記事ページも確認できなかった
+
+// 確認した項目
+export interface VerifyCheck {
+  name: 'public' | 'title' | 'paid' | 'price';
+  ok: boolean;
+  expected?: unknown;
+  actual?: unknown;
+  skipped?: boolean;  // 記事ページでは確認できない項目
+}
+
+export interface PublishVerification {
+  verified: boolean;
+  reason?: VerifyReason;
+  detail?: string;
+  source?: 'api' | 'page';
+  noteKey?: string;
+  url?: string;        // 公開された記事のURL（分かった場合）
+  status?: string;     // APIの公開状態（published / draft など）
+  checks: VerifyCheck[];
+}
+
+// 公開後にあるべき状態
+export interface VerifyExpectation {
+  noteKey?: string;
+  url: string;         // 投稿後のページのURL
+  title: string;
+  isPaid: boolean;
+  price?: number;
+  scheduled: boolean;  // 予約投稿（公開日時まで公開されない）
+}
+
+// 公開直後はAPIに反映されていないことがあるため、下書きのままの場合は何度か確認し直す
+const API_ATTEMPTS = 5;
+const API_RETRY_DELAY = 2000;
+
+// 記事APIの応答のうち確認に使う項目
+interface NoteApiData {
+  status?: string;
+  name?: string;
+  price?: number;
+  note_url?: string;
+  publish_at?: string | null;
+}
+
+// 投稿した記事が指定どおりに公開されたか確認する
+export async function verifyPublished(page: Page, expected: VerifyExpectation, urls: NoteUrls = noteUrls()): Promise<PublishVerification> {
+  const noteKey = expected.noteKey ?? noteKeyFromUrl(expected.url);
+  if (!noteKey) {
+    return { verified: false, reason: 'note_key_unknown', detail: `Could not find a note key in ${expected.url}`, checks: [] };
+  }
+
+  const data = await fetchNote(page, noteApiUrl(noteKey, urls), noteKey);
+  const result = data
+    ? checkApiData(data, expected)
+    : await checkArticlePage(page, expected, urls);
+  result.noteKey = noteKey;
+  log(result.verified ? 'Publish verified' : 'Publish verification failed', {
+    noteKey,
+    source: result.source,
+    reason: result.reason,
+    detail: result.detail,
+  });
+  return result;
+}
+
+// 記事APIから記事を取得する（取得できなければundefined）
+async function fetchNote(page: Page, apiUrl: string, noteKey: string): Promise<NoteApiData | undefined> {
+  let data: NoteApiData | undefined;
+  for (let attempt = 1; attempt <= API_ATTEMPTS; attempt++) {
+    try {
+      // ページのコンテキストのCookieで取得するため、自分の下書きも見える
+      const response = await page.request.get(apiUrl);
+      if (!response.ok()) {
+        log('Note API returned an error', { noteKey, status: response.status() });
+        return undefined;
+      }
+      data = (await response.json())?.data;
+    } catch (e) {
+      log('Could not fetch note from API', { noteKey, error: String(e) });
+      return undefined;
+    }
+    if (!data || data.status !== 'draft') break;
+    if (attempt < API_ATTEMPTS) await page.waitForTimeout(API_RETRY_DELAY);
+  }
+  return data;
+}
+
+// 記事APIの内容を照合する
+function checkApiData(data: NoteApiData, expected: VerifyExpectation): PublishVerification {
+  const checks: VerifyCheck[] = [];
+  const base = { source: 'api' as const, url: data.note_url, status: data.status, checks };
+
+  // 予約投稿は公開日時まで公開されないため、下書きのままでないことだけを確認する
+  const isPublic = expected.scheduled
+    ? data.status !== 'draft' || !!data.publish_at
+    : data.status === 'published';
+  checks.push({ name: 'public', ok: isPublic, expected: expected.scheduled ? 'scheduled' : 'published', actual: data.status });
+
+  const title = data.name ?? '';
+  const titleOk = normalizeTitle(title) === normalizeTitle(expected.title);
+  checks.push({ name: 'title', ok: titleOk, expected: expected.title, actual: title });
+
+  const price = data.price ?? 0;
+  const paidOk = (price > 0) === expected.isPaid;
+  checks.push({ name: 'paid', ok: paidOk, expected: expected.isPaid, actual: price > 0 });
+
+  const priceOk = !expected.isPaid || price === expected.price;
+  checks.push({ name: 'price', ok: priceOk, expected: expected.isPaid ? expected.price : undefined, actual: price || undefined });
+
+  if (!isPublic) {
+    const reason = data.status === 'draft' ? 'still_draft' : 'not_public';
+    return { ...base, verified: false, reason, detail: `The note is not public (status: ${data.status ?? 'unknown'})` };
+  }
+  if (!titleOk) {
+    return { ...base, verified: false, reason: 'title_mismatch', detail: `Expected title "${expected.title}" but the note has "${title}"` };
+  }
+  if (!paidOk) {
+    return { ...base, verified: false, reason: 'paid_state_mismatch', detail: expected.isPaid ? 'Expected a paid note but the note is free' : `Expected a free note but the note costs ${price} yen` };
+  }
+  if (!priceOk) {
+    return { ...base, verified: false, reason: 'price_mismatch', detail: `Expected ${expected.price} yen but the note costs ${price} yen` };
+  }
+  return { ...base, verified: true };
+}
+
+// 記事ページを開いて公開状態とタイトルを確認する（価格は購入者向けの表示のため確認しない）
+async function checkArticlePage(page: Page, expected: VerifyExpectation, urls: NoteUrls): Promise<PublishVerification> {
+  const skipped: VerifyCheck[] = [
+    { name: 'paid', ok: true, expected: expected.isPaid, skipped: true },
+    { name: 'price', ok: true, expected: expected.price, skipped: true },
+  ];
+  // 記事ページのURL（note.com/<ユーザー名>/n/<記事キー>）は投稿後の遷移先からしか分からない
+  const url = expected.url;
+  if (expected.scheduled || !isArticleUrl(url, urls)) {
+    return {
+      verified: false,
+      reason: 'verification_unavailable',
+      detail: 'Could not check the note via the API and the article page URL is unknown',
+      checks: [],
+    };
+  }
+
+  const articlePage = await page.context().newPage();
+  try {
+    const response = await articlePage.goto(url, { waitUntil: 'domcontentloaded' }).catch(() => null);
+    const status = response?.status() ?? 0;
+    const isPublic = status > 0 && status < 400;
+    const checks: VerifyCheck[] = [{ name: 'public', ok: isPublic, expected: 'published', actual: status || undefined }];
+    if (!isPublic) {
+      return { verified: false, reason: 'not_public', detail: `The article page returned HTTP ${status || 'no response'}`, source: 'page', url, checks };
+    }
+
+    const title = (await anyOf(articlePage, 'articleTitle').first().innerText().catch(() => '')).trim();
+    const titleOk = normalizeTitle(title) === normalizeTitle(expected.title);
+    checks.push({ name: 'title', ok: titleOk, expected: expected.title, actual: title }, ...skipped);
+    if (!titleOk) {
+      return { verified: false, reason: 'title_mismatch', detail: `Expected title "${expected.title}" but the article page shows "${title}"`, source: 'page', url, checks };
+    }
+    return { verified: true, source: 'page', url, checks };
+  } finally {
+    await articlePage.close().catch(() => {});
+  }
+}
+
+// 空白の違いは無視して比べる
+function normalizeTitle(title: string): string {
+  return title.normalize('NFKC').replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,45 @@
+// E2Eテストの共通処理（モックのnote.comの認証状態・フィクスチャー）
+//
+// オリジンは playwright.config.ts で NOTE_POST_MCP_NOTE_ORIGIN / NOTE_POST_MCP_EDITOR_ORIGIN に設定してある。
+
+import { test, expect, APIRequestContext } from '@playwright/test';
+import * as fs from 'fs';
+import { fileURLToPath } from 'url';
+import { MOCK_SESSION_COOKIE } from './mock-note.mjs';
+
+export const BASE_URL = process.env.NOTE_POST_MCP_NOTE_ORIGIN!;
+export const FIXTURES = fileURLToPath(new URL('./fixtures/', import.meta.url));
+export const TIMEOUT = 30000;
+
+// 1x1のPNG（サムネイル画像）
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+
+// テストの出力ディレクトリにサムネイル画像を書く
+export function writeThumbnail(): string {
+  const thumbnailPath = test.info().outputPath('thumbnail.png');
+  fs.writeFileSync(thumbnailPath, PNG);
+  return thumbnailPath;
+}
+
+// モックにログインした状態（loggedIn: false でCookieなし）の認証状態ファイルを作る
+export function writeState(loggedIn = true): string {
+  const statePath = test.info().outputPath('note-state.json');
+  const cookies = loggedIn
+    ? [{ ...MOCK_SESSION_COOKIE, domain: new URL(BASE_URL).hostname, path: '/', expires: -1, httpOnly: true, secure: false, sameSite: 'Lax' }]
+    : [];
+  fs.writeFileSync(statePath, JSON.stringify({ cookies, origins: [] }), { mode: 0o600 });
+  return statePath;
+}
+
+// 投稿処理に渡す認証状態ファイル・スクリーンショットの保存先・タイムアウト
+export function settings(loggedIn = true) {
+  return { statePath: writeState(loggedIn), screenshotDir: test.info().outputPath('screenshots'), timeout: TIMEOUT };
+}
+
+// モックに投稿された内容
+export async function mockNote(request: APIRequestContext, noteKey: string | undefined) {
+  expect(noteKey).toBeTruthy();
+  const response = await request.get(`/__mock/notes/${noteKey}`);
+  expect(response.ok()).toBe(true);
+  return response.json();
+}
@@ -0,0 +1,485 @@
+// note.comのモックサーバー（E2Eテスト用）
+//
+// エディタ（editor.note.com/new）と公開設定画面を、selectors.ts の候補で見つかる最小限のHTMLで再現する。
+// note.com側（ログイン・ダッシュボード・current_user・記事API・記事ページ）も同じオリジンで返すため、
+// NOTE_POST_MCP_NOTE_ORIGIN と NOTE_POST_MCP_EDITOR_ORIGIN の両方をこのサーバーに向ければ、
+// 実際の投稿処理（postToNote）をそのまま動かせる。
+//
+// 単体でも起動できる: node test/e2e/mock-note.mjs --port 4010
+// 投稿された内容は GET /__mock/notes/<記事キー> で確認できる。
+
+import * as http from 'http';
+import { randomBytes } from 'crypto';
+import { fileURLToPath } from 'url';
+
+// ログインに使うアカウントとセッションCookie
+export const MOCK_EMAIL = 'mock@example.com';
+export const MOCK_PASSWORD = 'mock-password';
+export const MOCK_SESSION_COOKIE = { name: 'mock_session', value: 'mock-session-token' };
+export const MOCK_USER = { urlname: 'mock_user', nickname: 'モックユーザー' };
+
+// 公開設定画面に表示するマガジンとメンバーシップのプラン
+export const MOCK_MAGAZINES = ['お知らせ', 'テストマガジン', 'アーカイブ'];
+export const MOCK_MEMBERSHIP_PLANS = [
+  'メンバー全員に公開',
+  'ライトプラン｜AI活用 読み放題プラン',
+  'スタンダードプラン｜AI活用＋限定特典',
+];
+
+const STYLE = `
+[hidden] { display: none !important; }
+body { font-family: sans-serif; margin: 0; }
+header, footer { display: flex; gap: 8px; justify-content: flex-end; padding: 8px 16px; border-bottom: 1px solid #ddd; }
+main { max-width: 720px; margin: 0 auto; padding: 16px; }
+textarea { width: 100%; font-size: 24px; border: none; resize: none; }
+.body { min-height: 200px; outline: 1px dashed #ccc; padding: 8px; }
+[role="dialog"] { position: fixed; inset: 20% 25%; background: #fff; border: 1px solid #999; padding: 16px; }
+.cropper { width: 320px; height: 160px; background: #eee; }
+.cropper img { max-width: 100%; max-height: 100%; }
+.paid-line { border-top: 2px solid #e66; margin: 8px 0; }
+`;
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// スクリプトに埋め込むJSON（</script> で閉じないようにする）
+function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+function html(title, body) {
+  return `<!DOCTYPE html>
+<html lang="ja">
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title><style>${STYLE}</style></head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function loginPage(error) {
+  return html('ログイン｜note（モック）', `
+<main>
+  <h1>ログイン</h1>
+  ${error ? '<div role="alert">メールアドレスまたはパスワードが正しくありません</div>' : ''}
+  <form method="post" action="/login">
+    <input id="email" name="login" type="email" autocomplete="username" placeholder="mail@example.com or note ID">
+    <input id="password" name="password" type="password" autocomplete="current-password">
+    <button type="submit">ログイン</button>
+  </form>
+</main>`);
+}
+
+function editorPage(note) {
+  return html('記事の編集｜note（モック）', `
+<header>
+  <button type="button" id="draft">下書き保存</button>
+  <button type="button" id="proceed">公開に進む</button>
+</header>
+<main>
+  <button type="button" id="eyecatch" aria-label="${note.eyecatch ? '画像を変更' : '画像を追加'}">＋</button>
+  <div id="eyecatch-menu" hidden>
+    <button type="button" id="upload"><span>画像をアップロード</span></button>
+    <input type="file" id="file" accept="image/*" hidden>
+  </div>
+  <textarea placeholder="記事タイトル" rows="1">${escapeHtml(note.title)}</textarea>
+  <div class="body" contenteditable="true" role="textbox" aria-multiline="true">${note.body}</div>
+</main>
+<div role="dialog" id="cropper-dialog" hidden>
+  <div class="cropper" data-testid="cropper"><img id="cropper-image" alt=""></div>
+  <button type="button" id="cropper-cancel">キャンセル</button>
+  <button type="button" id="cropper-save" disabled>保存</button>
+</div>
+<div role="status" id="toast"></div>
+<script>
+const note = ${scriptJson({ key: note.key, eyecatch: note.eyecatch })};
+const $ = id => document.getElementById(id);
+const title = document.querySelector('textarea');
+const body = document.querySelector('[role="textbox"]');
+let eyecatch = note.eyecatch;
+let selected = null;
+
+async function save() {
+  const response = await fetch('/api/v1/text_notes/' + note.key, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ title: title.value, body: body.innerHTML, eyecatch }),
+  });
+  if (!response.ok) throw new Error('save failed: ' + response.status);
+}
+
+$('eyecatch').addEventListener('click', () => { $('eyecatch-menu').hidden = !$('eyecatch-menu').hidden; });
+$('upload').addEventListener('click', () => $('file').click());
+$('file').addEventListener('change', () => {
+  selected = $('file').files[0];
+  if (!selected) return;
+  $('eyecatch-menu').hidden = true;
+  $('cropper-save').disabled = true;
+  $('cropper-dialog').hidden = false;
+  // 画像を読み込むまで「保存」は押せない
+  $('cropper-image').onload = () => { $('cropper-save').disabled = false; };
+  $('cropper-image').src = URL.createObjectURL(selected);
+});
+$('cropper-cancel').addEventListener('click', () => { $('cropper-dialog').hidden = true; });
+$('cropper-save').addEventListener('click', () => {
+  eyecatch = selected.name;
+  $('cropper-dialog').hidden = true;
+  $('eyecatch').setAttribute('aria-label', '画像を変更');
+});
+$('draft').addEventListener('click', async () => {
+  await save();
+  $('toast').textContent = '保存しました';
+});
+$('proceed').addEventListener('click', async () => {
+  await save();
+  location.href = '/notes/' + note.key + '/publish/';
+});
+</script>`);
+}
+
+function publishPage(note) {
+  const magazines = MOCK_MAGAZINES.map(name => `
+    <li><div class="row"><div class="name">${escapeHtml(name)}</div><div class="actions"><div>
+      <button type="button" data-magazine="${escapeHtml(name)}"><span>追加</span></button>
+    </div></div></div></li>`).join('');
+  const plans = MOCK_MEMBERSHIP_PLANS.map(name => `
+    <li><div class="plan"><div class="name">${escapeHtml(name)}</div>
+      <button type="button" data-plan="${escapeHtml(name)}"><span>追加</span></button>
+    </div></li>`).join('');
+
+  // 本文の段落は有料エリア設定を開くまで描画しない（画面上の <p> は本文の段落だけにする）
+  return html('公開設定｜note（モック）', `
+<header>
+  <button type="button" id="back">戻る</button>
+</header>
+<main>
+  <section>
+    <h2>ハッシュタグ</h2>
+    <input type="text" id="tag-input" placeholder="ハッシュタグを追加する">
+    <ul id="tags"></ul>
+  </section>
+  <section>
+    <h2>記事タイプ</h2>
+    <label><input type="radio" name="price-type" value="free" checked> 無料</label>
+    <label><input type="radio" name="price-type" value="paid"> 有料</label>
+    <span id="price-box" hidden><input type="text" id="price" placeholder="300" value="300"> 円</span>
+  </section>
+  <section>
+    <h2>記事の追加</h2>
+    <button type="button" id="magazine-tab">マガジン</button>
+    <ul id="magazines" hidden>${magazines}</ul>
+    <label><input type="checkbox" id="membership"> メンバーシップ</label>
+    <ul id="plans" hidden>${plans}</ul>
+  </section>
+  <section>
+    <h2>SNSでの紹介</h2>
+    <label><input type="radio" name="sns" value="none" checked> 設定しない</label>
+    <label><input type="radio" name="sns" value="promotion"> SNSプロモーション機能</label>
+  </section>
+  <section id="paid-area-view" hidden>
+    <h2>有料エリアの設定</h2>
+    <div id="paid-body"></div>
+  </section>
+</main>
+<footer>
+  <button type="button" id="paid-area" hidden>有料エリア設定</button>
+  <button type="button" id="publish">${note.status === 'published' ? '更新する' : '投稿する'}</button>
+</footer>
+<div role="dialog" id="confirm" hidden>
+  <div>記事を公開しますか？</div>
+  <button type="button" id="confirm-ok">OK</button>
+  <button type="button" id="confirm-cancel">キャンセル</button>
+</div>
+<script>
+const note = ${scriptJson({ key: note.key, body: note.body })};
+const $ = id => document.getElementById(id);
+const tags = [];
+const magazines = [];
+const memberships = [];
+let paidLine = null;
+
+function isPaid() {
+  return document.querySelector('input[name="price-type"]:checked').value === 'paid';
+}
+
+// 有料記事は、有料エリアを設定するまで「投稿する」を出さない
+function update() {
+  const paid = isPaid();
+  const areaOpen = !$('paid-area-view').hidden;
+  $('price-box').hidden = !paid;
+  $('paid-area').hidden = !paid || areaOpen;
+  $('publish').hidden = paid && !areaOpen;
+}
+
+$('tag-input').addEventListener('keydown', event => {
+  if (event.key !== 'Enter' || event.isComposing) return;
+  const tag = $('tag-input').value.trim().replace(/^#/, '');
+  if (tag && !tags.includes(tag)) {
+    tags.push(tag);
+    const item = document.createElement('li');
+    item.textContent = '#' + tag;
+    $('tags').append(item);
+  }
+  $('tag-input').value = '';
+});
+for (const radio of document.querySelectorAll('input[name="price-type"]')) {
+  radio.addEventListener('change', update);
+}
+$('magazine-tab').addEventListener('click', () => { $('magazines').hidden = false; });
+for (const button of document.querySelectorAll('[data-magazine]')) {
+  button.addEventListener('click', () => {
+    magazines.push(button.dataset.magazine);
+    button.firstElementChild.textContent = '追加済み';
+  });
+}
+$('membership').addEventListener('change', () => { $('plans').hidden = !$('membership').checked; });
+for (const button of document.querySelectorAll('[data-plan]')) {
+  button.addEventListener('click', () => {
+    memberships.push(button.dataset.plan);
+    button.firstElementChild.textContent = '追加済み';
+  });
+}
+
+// 段落ごとに「ラインをこの場所に変更」を置き、最初の段落の後に有料ラインを引く
+function setPaidLine(paragraphs, index) {
+  const slot = paragraphs[index].nextElementSibling;
+  slot.after($('paid-line'));
+  paidLine = { index: index + 1, after: paragraphs[index].textContent.trim() };
+}
+$('paid-area').addEventListener('click', () => {
+  $('paid-body').innerHTML = note.body;
+  const paragraphs = [...$('paid-body').querySelectorAll('p')];
+  paragraphs.forEach((paragraph, index) => {
+    const slot = document.createElement('div');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = 'ラインをこの場所に変更';
+    button.addEventListener('click', () => setPaidLine(paragraphs, index));
+    slot.append(button);
+    paragraph.after(slot);
+  });
+  const line = document.createElement('div');
+  line.id = 'paid-line';
+  line.className = 'paid-line';
+  const confirm = document.createElement('button');
+  confirm.type = 'button';
+  confirm.textContent = 'このラインより先を有料にする';
+  confirm.addEventListener('click', () => {
+    const index = paragraphs.findIndex(p => p.nextElementSibling?.nextElementSibling === line);
+    paidLine = { index: index + 1, after: index >= 0 ? paragraphs[index].textContent.trim() : '' };
+  });
+  line.append(confirm);
+  $('paid-body').append(line);
+  if (paragraphs.length > 0) setPaidLine(paragraphs, 0);
+  paidLine = null;
+  $('paid-area-view').hidden = false;
+  update();
+});
+
+$('publish').addEventListener('click', () => { $('confirm').hidden = false; });
+$('confirm-cancel').addEventListener('click', () => { $('confirm').hidden = true; });
+$('confirm-ok').addEventListener('click', async () => {
+  const paid = isPaid();
+  const response = await fetch('/api/v1/text_notes/' + note.key + '/publish', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      price: paid ? parseInt($('price').value, 10) || 0 : 0,
+      hashtags: tags,
+      magazines,
+      memberships,
+      snsPromotion: document.querySelector('input[name="sns"]:checked').value === 'promotion',
+      paidLine: paid ? paidLine : null,
+    }),
+  });
+  const result = await response.json();
+  location.href = result.note_url;
+});
+$('back').addEventListener('click', () => { location.href = '/notes/' + note.key + '/edit/'; });
+update();
+</script>`);
+}
+
+function articlePage(note) {
+  return html(`${note.title}｜${MOCK_USER.nickname}｜note（モック）`, `
+<main>
+  <h1>${escapeHtml(note.title)}</h1>
+  <div class="body">${note.body}</div>
+</main>`);
+}
+
+// 記事APIの応答（note.com/api/v3/notes/<記事キー> のうち、確認に使う項目と投稿された設定）
+function noteData(note, origin) {
+  return {
+    key: note.key,
+    status: note.status,
+    name: note.title,
+    body: note.body,
+    price: note.price,
+    note_url: `${origin}/${MOCK_USER.urlname}/n/${note.key}`,
+    publish_at: null,
+    eyecatch: note.eyecatch,
+    hashtags: note.hashtags,
+    magazines: note.magazines,
+    memberships: note.memberships,
+    sns_promotion: note.snsPromotion,
+    paid_line: note.paidLine,
+  };
+}
+
+function newNote() {
+  return {
+    key: `n${randomBytes(6).toString('hex')}`,
+    status: 'draft',
+    title: '',
+    body: '',
+    eyecatch: null,
+    price: 0,
+    hashtags: [],
+    magazines: [],
+    memberships: [],
+    snsPromotion: false,
+    paidLine: null,
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+function hasSession(req) {
+  const cookies = Object.fromEntries((req.headers.cookie ?? '').split(/;\s*/).filter(Boolean).map(c => {
+    const i = c.indexOf('=');
+    return [c.slice(0, i), c.slice(i + 1)];
+  }));
+  return cookies[MOCK_SESSION_COOKIE.name] === MOCK_SESSION_COOKIE.value;
+}
+
+// モックサーバーを起動する（port: 0 で空いているポート）
+export function startMockNote({ port = 4010, host = '127.0.0.1' } = {}) {
+  const notes = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url ?? '/', `http://${req.headers.host}`);
+    const origin = url.origin;
+    const send = (status, body, type = 'text/html; charset=utf-8') => {
+      res.writeHead(status, { 'Content-Type': type });
+      res.end(body);
+    };
+    const json = (status, value) => send(status, JSON.stringify(value), 'application/json; charset=utf-8');
+    const redirect = (location, headers = {}) => {
+      res.writeHead(302, { Location: location, ...headers });
+      res.end();
+    };
+    const toLogin = () => redirect(`/login?redirect_path=${encodeURIComponent(url.pathname)}`);
+
+    try {
+      const { pathname } = url;
+      const method = req.method ?? 'GET';
+      let m;
+
+      // テスト用
+      if (pathname === '/__mock/health') return send(200, 'ok', 'text/plain');
+      if ((m = pathname.match(/^\/__mock\/notes\/(n[0-9a-z]+)$/))) {
+        const note = notes.get(m[1]);
+        return note ? json(200, noteData(note, origin)) : json(404, { error: 'not found' });
+      }
+
+      // note.com側
+      if (pathname === '/login' && method === 'GET') return send(200, loginPage(url.searchParams.has('error')));
+      if (pathname === '/login' && method === 'POST') {
+        const form = new URLSearchParams(await readBody(req));
+        if (form.get('login') !== MOCK_EMAIL || form.get('password') !== MOCK_PASSWORD) {
+          return redirect('/login?error=1');
+        }
+        return redirect('/dashboard', { 'Set-Cookie': `${MOCK_SESSION_COOKIE.name}=${MOCK_SESSION_COOKIE.value}; Path=/; HttpOnly` });
+      }
+      if (pathname === '/dashboard') {
+        return hasSession(req) ? send(200, html('ダッシュボード｜note（モック）', '<main><h1>ダッシュボード</h1></main>')) : toLogin();
+      }
+      if (pathname === '/api/v2/current_user') {
+        return hasSession(req) ? json(200, { data: MOCK_USER }) : json(401, { error: 'unauthorized' });
+      }
+      if ((m = pathname.match(/^\/api\/v3\/notes\/(n[0-9a-z]+)$/))) {
+        const note = notes.get(m[1]);
+        return note ? json(200, { data: noteData(note, origin) }) : json(404, { error: 'not found' });
+      }
+      if ((m = pathname.match(/^\/([^/]+)\/n\/(n[0-9a-z]+)$/))) {
+        const note = notes.get(m[2]);
+        return note && note.status === 'published' && m[1] === MOCK_USER.urlname
+          ? send(200, articlePage(note))
+          : send(404, html('ページが見つかりません', '<main><h1>ページが見つかりません</h1></main>'));
+      }
+
+      // エディタ側（ログインしていなければログインページに転送する）
+      if (!hasSession(req)) {
+        return pathname.startsWith('/api/') ? json(401, { error: 'unauthorized' }) : toLogin();
+      }
+      if (pathname === '/new') {
+        const note = newNote();
+        notes.set(note.key, note);
+        return redirect(`/notes/${note.key}/edit/`);
+      }
+      if ((m = pathname.match(/^\/notes\/(n[0-9a-z]+)\/(edit|publish)\/?$/))) {
+        const note = notes.get(m[1]);
+        if (!note) return send(404, html('ページが見つかりません', '<main><h1>ページが見つかりません</h1></main>'));
+        return send(200, m[2] === 'edit' ? editorPage(note) : publishPage(note));
+      }
+      if ((m = pathname.match(/^\/api\/v1\/text_notes\/(n[0-9a-z]+)(\/publish)?$/))) {
+        const note = notes.get(m[1]);
+        if (!note) return json(404, { error: 'not found' });
+        const data = JSON.parse(await readBody(req) || '{}');
+        if (!m[2] && method === 'PUT') {
+          Object.assign(note, { title: data.title ?? '', body: data.body ?? '', eyecatch: data.eyecatch ?? null });
+          return json(200, { data: noteData(note, origin) });
+        }
+        if (m[2] && method === 'POST') {
+          Object.assign(note, {
+            status: 'published',
+            price: data.price ?? 0,
+            hashtags: data.hashtags ?? [],
+            magazines: data.magazines ?? [],
+            memberships: data.memberships ?? [],
+            snsPromotion: !!data.snsPromotion,
+            paidLine: data.paidLine ?? null,
+          });
+          return json(200, noteData(note, origin));
+        }
+      }
+      return send(404, html('ページが見つかりません', '<main><h1>ページが見つかりません</h1></main>'));
+    } catch (e) {
+      json(500, { error: String(e) });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      resolve({
+        url: `http://${host}:${address.port}`,
+        notes,
+        close: () => new Promise(done => server.close(() => done())),
+      });
+    });
+  });
+}
+
+// 直接実行した場合はサーバーを起動する
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const arg = name => {
+    const i = process.argv.indexOf(name);
+    return i >= 0 ? process.argv[i + 1] : undefined;
+  };
+  const mock = await startMockNote({
+    port: parseInt(arg('--port') ?? process.env.NOTE_POST_MCP_E2E_PORT ?? '4010', 10),
+    host: arg('--host') ?? '127.0.0.1',
+  });
+  console.log(`Mock note.com is listening on ${mock.url}`);
+}
@@ -0,0 +1,55 @@
+// NotePoster（Node.jsから使うクラス）のE2Eテスト
+//
+// publish.spec.ts と同じモックのnote.comに対して投稿し、手順ごとのイベントを確かめる。
+
+import { test, expect } from '@playwright/test';
+import * as path from 'path';
+import { NotePoster } from '../../src/lib.js';
+import { FIXTURES, settings, writeThumbnail } from './helpers.js';
+
+// モックにログインした状態の認証状態ファイルを使うNotePoster
+function newPoster(): NotePoster {
+  return new NotePoster({ ...settings(), existing: 'new' });
+}
+
+test('有料記事の公開で、サムネイル・本文・タグ・有料ライン・公開のイベントを順に通知する', async () => {
+  const thumbnailPath = writeThumbnail();
+
+  const poster = newPoster();
+  const events: string[] = [];
+  poster
+    .on('thumbnailUploaded', () => { events.push('thumbnailUploaded'); })
+    .on('bodyInserted', () => { events.push('bodyInserted'); })
+    .on('tagsSet', event => { events.push(`tagsSet:${event.status?.verified}`); })
+    .on('paidLineSet', () => { events.push('paidLineSet'); })
+    .on('published', result => { events.push(`published:${result.noteKey}`); })
+    // リスナーのエラーで投稿は止まらない
+    .on('step', () => { throw new Error('listener error'); });
+
+  try {
+    const result = await poster.publish(path.join(FIXTURES, 'paid.md'), { thumbnailPath });
+    expect(result.success, result.message).toBe(true);
+    expect(events).toEqual(['thumbnailUploaded', 'bodyInserted', 'tagsSet:true', 'paidLineSet', `published:${result.noteKey}`]);
+  } finally {
+    await poster.close();
+  }
+});
+
+test('下書き保存では公開のイベントを通知せず、同じブラウザで続けて更新できる', async () => {
+  const poster = newPoster();
+  const published: string[] = [];
+  poster.on('published', result => { published.push(result.url); });
+
+  try {
+    const draft = await poster.saveDraft(path.join(FIXTURES, 'free.md'));
+    expect(draft.success, draft.message).toBe(true);
+    expect(published).toEqual([]);
+
+    const updated = await poster.update(draft.url, path.join(FIXTURES, 'free.md'));
+    expect(updated.success, updated.message).toBe(true);
+    expect(updated.noteKey).toBe(draft.noteKey);
+    expect(published).toEqual([updated.url]);
+  } finally {
+    await poster.close();
+  }
+});
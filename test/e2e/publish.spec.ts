@@ -0,0 +1,95 @@
+// 投稿処理のE2Eテスト
+//
+// モックのnote.com（mock-note.mjs）に対して、実際の投稿処理（postToNote）を動かす。
+// モックの認証状態・フィクスチャーは helpers.ts にまとめてある。
+
+import { test, expect } from '@playwright/test';
+import * as fs from 'fs';
+import * as path from 'path';
+import { postToNote } from '../../src/publish.js';
+import { NotePostError } from '../../src/errors.js';
+import { FIXTURES, settings, mockNote, writeThumbnail } from './helpers.js';
+
+test('無料記事をタグ・マガジン・SNSプロモーション付きで公開する', async ({ request }) => {
+  const result = await postToNote({ markdownPath: path.join(FIXTURES, 'free.md'), isPublic: true, ...settings() });
+
+  expect(result.success, result.message).toBe(true);
+  expect(result.verification?.verified).toBe(true);
+  expect(result.postedToTwitter).toBe(true);
+  expect(result.magazine).toBe('テストマガジン');
+  expect(result.steps?.filter(s => s.requested && !s.verified)).toEqual([]);
+
+  const note = await mockNote(request, result.noteKey);
+  expect(note).toMatchObject({
+    status: 'published',
+    name: 'E2Eテスト 無料記事',
+    price: 0,
+    hashtags: ['e2e', 'テスト'],
+    magazines: ['テストマガジン'],
+    sns_promotion: true,
+    paid_line: null,
+  });
+  expect(note.body).toContain('<strong>太字</strong>');
+  expect(result.url).toBe(note.note_url);
+});
+
+test('有料記事をサムネイル・メンバーシップ付きで公開し、<!-- paid --> の位置に有料ラインを引く', async ({ request }) => {
+  const thumbnailPath = writeThumbnail();
+
+  const result = await postToNote({ markdownPath: path.join(FIXTURES, 'paid.md'), thumbnailPath, isPublic: true, ...settings() });
+
+  expect(result.success, result.message).toBe(true);
+  expect(result).toMatchObject({ isPaid: true, price: 500 });
+  expect(result.steps?.filter(s => s.requested && !s.verified)).toEqual([]);
+  expect(result.steps?.find(s => s.step === 'paid_area')).toMatchObject({ requested: true, applied: true, verified: true });
+
+  const note = await mockNote(request, result.noteKey);
+  expect(note).toMatchObject({
+    status: 'published',
+    name: 'E2Eテスト 有料記事',
+    price: 500,
+    eyecatch: 'thumbnail.png',
+    memberships: ['ライトプラン｜AI活用 読み放題プラン'],
+    paid_line: { index: 2 },
+  });
+  expect(note.paid_line.after).toContain('無料部分の最後の段落です');
+});
+
+test('下書きとして保存する（公開設定画面には進まない）', async ({ request }) => {
+  const result = await postToNote({ markdownPath: path.join(FIXTURES, 'free.md'), isPublic: false, ...settings() });
+
+  expect(result.success, result.message).toBe(true);
+  expect(result.url).toContain(`/notes/${result.noteKey}/edit`);
+
+  const note = await mockNote(request, result.noteKey);
+  expect(note).toMatchObject({ status: 'draft', name: 'E2Eテスト 無料記事', hashtags: [] });
+});
+
+test('公開した記事を記事キーを指定して更新する', async ({ request }) => {
+  const options = settings();
+  const published = await postToNote({ markdownPath: path.join(FIXTURES, 'free.md'), isPublic: true, ...options });
+  expect(published.success, published.message).toBe(true);
+
+  const markdownPath = test.info().outputPath('updated.md');
+  fs.writeFileSync(markdownPath, fs.readFileSync(path.join(FIXTURES, 'free.md'), 'utf-8')
+    .replace('title: E2Eテスト 無料記事', 'title: E2Eテスト 更新後')
+    .replace('モックのエディタに投稿する', '更新した'));
+  const updated = await postToNote({ markdownPath, noteKey: published.noteKey, isPublic: true, ...options });
+
+  expect(updated.success, updated.message).toBe(true);
+  expect(updated.noteKey).toBe(published.noteKey);
+  expect(updated.message).toContain('更新しました');
+
+  const note = await mockNote(request, published.noteKey);
+  expect(note.name).toBe('E2Eテスト 更新後');
+  expect(note.body).toContain('更新したE2Eテストの記事です。');
+  expect(note.body).not.toContain('モックのエディタに投稿する');
+});
+
+test('ログインが切れていれば、エディタを開く前に AUTH_EXPIRED で止める', async () => {
+  const error = await postToNote({ markdownPath: path.join(FIXTURES, 'free.md'), isPublic: true, ...settings(false) })
+    .then(() => undefined, (e: unknown) => e);
+
+  expect(error).toBeInstanceOf(NotePostError);
+  expect(error).toMatchObject({ code: 'AUTH_EXPIRED' });
+});
@@ -0,0 +1,29 @@
+// セレクターの自己診断（保存したHTML）のE2Eテスト
+//
+// fixtures/selftest の login / editor / publish はモックのnote.com（mock-note.mjs）の画面を保存したもの。
+// notes.html はモックにない記事一覧を手で書いたもので、「もっと見る」が2番目の候補でだけ見つかる。
+
+import { test, expect } from '@playwright/test';
+import * as path from 'path';
+import { selftestFixtures } from '../../src/selftest.js';
+import { FIXTURES } from './helpers.js';
+
+test('保存したHTMLで、要素ごとに ok / fallback / broken / not_shown / skipped を判定する', async () => {
+  const report = await selftestFixtures(path.join(FIXTURES, 'selftest'));
+  const check = (name: string) => report.checks.find(c => c.name === name);
+
+  expect(report.mode).toBe('fixtures');
+  expect(report.sources.map(s => s.page).sort()).toEqual(['editor', 'login', 'notes', 'publish']);
+
+  expect(check('loginEmail')).toMatchObject({ status: 'ok', matchedIndex: 0 });
+  expect(check('titleInput')?.status).toBe('ok');
+  expect(check('tagInput')?.status).toBe('ok');
+  expect(check('notesListMore')).toMatchObject({ status: 'fallback', matched: '[class*="more"]', matchedIndex: 1 });
+  // 任意の要素（CAPTCHA）は見つからなくても問題としない
+  expect(check('loginCaptcha')?.status).toBe('not_shown');
+  // モックの公開設定画面には予約投稿の設定がない
+  expect(check('scheduleButton')?.status).toBe('broken');
+  // 公開された記事のページは保存していない
+  expect(check('articleTitle')?.status).toBe('skipped');
+  expect(report.ok).toBe(false);
+});
@@ -0,0 +1,141 @@
+// 記事Markdownの解釈（有料ライン・画像・タグ・メンバーシップ）のテスト
+
+import { test, expect } from '@playwright/test';
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  parseMarkdown,
+  extractImages,
+  locatePaidLine,
+  splitParagraphs,
+  normalizeTags,
+  resolveMembershipPlan,
+  MAX_TAGS,
+} from '../../src/core.js';
+
+const PAID_ARTICLE = [
+  '---',
+  'title: 有料記事',
+  'price: 500',
+  '---',
+  '',
+  '導入の段落です。',
+  '',
+  '無料部分の**最後の**段落です。',
+  '2行目も同じ段落です。',
+  '',
+  '<!-- paid -->',
+  '',
+  '有料部分の本文です。',
+  '',
+].join('\n');
+
+test('<!-- paid --> の位置を段落番号・直前の段落のテキスト・本文中の位置として記録する', () => {
+  const parsed = parseMarkdown(PAID_ARTICLE);
+
+  expect(parsed).toMatchObject({ title: '有料記事', price: 500, paidLineIndex: 2 });
+  // 書式記号を除き、段落内の改行はスペースにした先頭30文字
+  expect(parsed.paidLineSearchText).toBe('無料部分の最後の段落です。 2行目も同じ段落です。');
+  // マーカー行は本文に含めない
+  expect(parsed.body).not.toContain('<!--');
+  expect(parsed.body.slice(parsed.paidLineOffset).trim()).toBe('有料部分の本文です。');
+  expect(parsed.body.slice(0, parsed.paidLineOffset).trim()).toMatch(/2行目も同じ段落です。$/);
+});
+
+test('<!-- 有料 --> や大文字・空白の違いもマーカーとして扱い、行の途中のものは扱わない', () => {
+  for (const marker of ['<!-- 有料 -->', '<!--PAID-->', '   <!--   paid   -->  ']) {
+    expect(parseMarkdown(`一段落目\n\n${marker}\n\n二段落目\n`).paidLineIndex).toBe(1);
+  }
+  const inline = parseMarkdown('一段落目 <!-- paid -->\n\n二段落目\n');
+  expect(inline.paidLineIndex).toBeUndefined();
+  expect(inline.body).toContain('<!-- paid -->');
+});
+
+test('マーカーが複数あれば最後のものを使う', () => {
+  const parsed = parseMarkdown('一\n\n<!-- paid -->\n\n二\n\n三段落目の本文です\n\n<!-- paid -->\n\n四\n');
+  expect(parsed.paidLineIndex).toBe(3);
+  expect(parsed.paidLineSearchText).toBe('三段落目の本文です');
+  expect(parsed.body).toBe('一\n\n\n二\n\n三段落目の本文です\n\n\n四');
+});
+
+test('本文の先頭のマーカーは段落番号0（有料ラインは既定の位置）になる', () => {
+  const parsed = parseMarkdown('<!-- paid -->\n\n全文が有料です。\n');
+  expect(parsed.paidLineIndex).toBe(0);
+  expect(parsed.paidLineOffset).toBe(0);
+  expect(locatePaidLine(parsed.body, parsed.paidLineIndex, parsed.paidLineSearchText)).toEqual({ method: 'default', mismatch: false });
+});
+
+test('タイトルはFront Matter、なければ最初の「# 」見出し、どちらもなければUntitled', () => {
+  const fromHeading = parseMarkdown('# 見出しのタイトル\n\n本文\n\n# 2つ目の見出し\n');
+  expect(fromHeading.title).toBe('見出しのタイトル');
+  // タイトルにした見出しは本文・段落番号に含めない
+  expect(fromHeading.body).toBe('本文\n\n# 2つ目の見出し');
+
+  expect(parseMarkdown('---\ntitle: FMのタイトル\n---\n# 見出し\n').body).toBe('# 見出し');
+  expect(parseMarkdown('本文だけ\n').title).toBe('Untitled');
+});
+
+test('見出しのタイトルの後のマーカーも、本文の段落だけを数える', () => {
+  const parsed = parseMarkdown('# タイトル\n\n無料の段落です。\n\n<!-- paid -->\n\n有料の段落です。\n');
+  expect(parsed.paidLineIndex).toBe(1);
+  expect(parsed.paidLineSearchText).toBe('無料の段落です。');
+});
+
+test('locatePaidLine は6文字以上の検索テキストを含む最初の段落を使い、マーカーより前なら mismatch にする', () => {
+  const body = 'はじめに: 同じ文章です\n\n本題に入ります\n\nはじめに: 同じ文章です\n\n有料部分';
+  const paragraphs = splitParagraphs(body);
+  expect(paragraphs).toHaveLength(4);
+
+  expect(locatePaidLine(body, 3, 'はじめに: 同じ文章です')).toMatchObject({
+    method: 'search_text',
+    paragraphIndex: 0,
+    markerParagraphIndex: 2,
+    mismatch: true,
+  });
+  expect(locatePaidLine(body, 2, '本題に入ります')).toMatchObject({ method: 'search_text', paragraphIndex: 1, mismatch: false });
+});
+
+test('locatePaidLine は検索テキストが短い・見つからない場合に段落番号を使う', () => {
+  const body = '一段落目\n\n二段落目\n\n三段落目';
+  expect(locatePaidLine(body, 2, '二段落目')).toMatchObject({ method: 'paragraph_index', paragraphIndex: 1, paragraphText: '二段落目', mismatch: false });
+  expect(locatePaidLine(body, 1, 'どこにもない長い文章')).toMatchObject({ method: 'paragraph_index', paragraphIndex: 0 });
+});
+
+test('extractImages はローカルの画像だけを返し、URLと存在しないファイルは除く', () => {
+  const dir = test.info().outputPath('article');
+  fs.mkdirSync(path.join(dir, 'images'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'images', 'figure.png'), '');
+
+  const markdown = '![図](images/figure.png)\n\n![](https://example.com/a.png)\n\n![なし](images/missing.png)\n';
+  expect(extractImages(markdown, dir)).toEqual([{
+    alt: '図',
+    localPath: 'images/figure.png',
+    absolutePath: path.join(dir, 'images', 'figure.png'),
+    placeholder: '![図](images/figure.png)',
+  }]);
+});
+
+test('normalizeTags は先頭の#を除き、空・重複（大文字小文字を区別しない）・上限超過を理由付きで除く', () => {
+  const many = Array.from({ length: MAX_TAGS + 1 }, (_, i) => `tag${i}`);
+  const { tags, dropped } = normalizeTags(['#AI', '＃副業', ' ', 'ai', ...many]);
+
+  expect(tags).toHaveLength(MAX_TAGS);
+  expect(tags.slice(0, 2)).toEqual(['AI', '副業']);
+  expect(dropped).toEqual([
+    { tag: ' ', reason: 'empty' },
+    { tag: 'ai', reason: 'duplicate' },
+    { tag: 'tag8', reason: 'over_limit' },
+    { tag: 'tag9', reason: 'over_limit' },
+    { tag: 'tag10', reason: 'over_limit' },
+  ]);
+});
+
+test('resolveMembershipPlan は組み込みのプラン・プロファイルのプラン・未知のプラン名を解決する', () => {
+  expect(resolveMembershipPlan('light')).toEqual({ plan: 'light', pattern: 'ライトプラン', known: true });
+  expect(resolveMembershipPlan('true')).toEqual({ plan: 'all', pattern: 'メンバー全員に公開', known: true });
+  expect(resolveMembershipPlan('light', { light: '月額300円プラン' }).pattern).toBe('月額300円プラン');
+  expect(resolveMembershipPlan('gold', { gold: 'ゴールド' })).toEqual({ plan: 'gold', pattern: 'ゴールド', known: true });
+  expect(resolveMembershipPlan('特別プラン')).toEqual({ plan: '特別プラン', pattern: '特別プラン', known: false });
+  // Objectのプロパティ名はプランとして扱わない
+  expect(resolveMembershipPlan('toString').known).toBe(false);
+});
@@ -0,0 +1,28 @@
+// 投稿キュー・投稿台帳の更新ロックのテスト
+
+import { test, expect } from '@playwright/test';
+import * as fs from 'fs';
+import { spawnSync } from 'child_process';
+import { withFileLock } from '../../src/file-lock.js';
+
+test('更新が終わればロックを消し、更新でエラーになった場合も消す', () => {
+  const filePath = test.info().outputPath('queue.json');
+  const lockPath = `${filePath}.update.lock`;
+
+  expect(withFileLock(filePath, () => fs.readFileSync(lockPath, 'utf-8'))).toBe(String(process.pid));
+  expect(fs.existsSync(lockPath)).toBe(false);
+
+  expect(() => withFileLock(filePath, () => { throw new Error('update failed'); })).toThrow('update failed');
+  expect(fs.existsSync(lockPath)).toBe(false);
+});
+
+test('更新の途中で止まったプロセスのロックは待たずに消す', () => {
+  const filePath = test.info().outputPath('ledger.json');
+  const lockPath = `${filePath}.update.lock`;
+  // 終了したプロセスのIDでロックを残す
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+  fs.writeFileSync(lockPath, String(pid));
+
+  expect(withFileLock(filePath, () => 'updated')).toBe('updated');
+  expect(fs.existsSync(lockPath)).toBe(false);
+});
@@ -0,0 +1,98 @@
+// Front Matterの解釈のテスト
+
+import { test, expect } from '@playwright/test';
+import { splitFrontMatter, parseFrontMatter, FrontMatterError } from '../../src/core.js';
+
+// Front Matterの検証エラー（行・列・キー）
+function frontMatterError(content: string): FrontMatterError {
+  try {
+    splitFrontMatter(content);
+  } catch (e) {
+    expect(e).toBeInstanceOf(FrontMatterError);
+    return e as FrontMatterError;
+  }
+  throw new Error('FrontMatterError was not thrown');
+}
+
+test('Front Matterがなければ本文をそのまま返す', () => {
+  const content = '# タイトル\n\n本文です。\n';
+  expect(splitFrontMatter(content)).toEqual({ frontMatter: { tags: [], extra: {} }, body: content, bodyStartLine: 1 });
+});
+
+test('先頭のBOMと「...」での終了を受け付ける', () => {
+  const { frontMatter, body, bodyStartLine } = splitFrontMatter('\uFEFF---\ntitle: BOM付き\n...\n本文\n');
+  expect(frontMatter.title).toBe('BOM付き');
+  expect(body).toBe('本文\n');
+  expect(bodyStartLine).toBe(4);
+});
+
+test('本文中の「---」（水平線）はFront Matterの終わりとして扱わない', () => {
+  const { frontMatter, body } = splitFrontMatter('---\ntitle: 水平線\n---\n前半\n\n---\n\n後半\n');
+  expect(frontMatter.title).toBe('水平線');
+  expect(body).toBe('前半\n\n---\n\n後半\n');
+});
+
+test('クォート内のコロン・ブロックスカラー・コメントを扱う', () => {
+  const frontMatter = parseFrontMatter([
+    'title: "AI時代の働き方: 3つの視点"  # コメント',
+    'magazine: >-',
+    '  副業',
+    '  ×AI',
+  ].join('\n'));
+  expect(frontMatter.title).toBe('AI時代の働き方: 3つの視点');
+  expect(frontMatter.magazine).toBe('副業 ×AI');
+
+  // 複数行のタイトルは1行にまとめる
+  expect(parseFrontMatter('title: |\n  1行目\n  2行目\n').title).toBe('1行目 2行目');
+});
+
+test('価格は整数（数字だけの文字列も可）で、範囲外はキーと位置付きのエラーにする', () => {
+  expect(parseFrontMatter('price: 500').price).toBe(500);
+  expect(parseFrontMatter('price: "1000"').price).toBe(1000);
+
+  const error = frontMatterError('---\ntitle: 有料\nprice: 50\n---\n本文\n');
+  expect(error).toMatchObject({ key: 'price', line: 3, column: 8 });
+  expect(error.message).toContain('must be between 100 and 50000');
+
+  expect(() => parseFrontMatter('price: 500.5')).toThrow('price: must be an integer');
+  expect(() => parseFrontMatter('price: 五百円')).toThrow('price: must be an integer');
+});
+
+test('タグはリストとカンマ区切りの両方を受け付ける', () => {
+  expect(parseFrontMatter('tags: AI, 副業 , ,note').tags).toEqual(['AI', '副業', 'note']);
+  expect(parseFrontMatter('tags:\n  - AI\n  - 2026\n  -\n  - " 副業 "').tags).toEqual(['AI', '2026', '副業']);
+  expect(parseFrontMatter('tags: [AI, "#副業"]').tags).toEqual(['AI', '#副業']);
+  expect(() => parseFrontMatter('tags:\n  nested: true')).toThrow('tags: must be a list of strings');
+});
+
+test('membership: true はメンバー全員、false は指定なし、プラン名は小文字にする', () => {
+  expect(parseFrontMatter('membership: true').membership).toBe('all');
+  expect(parseFrontMatter('membership: false').membership).toBeUndefined();
+  expect(parseFrontMatter('membership: Light ').membership).toBe('light');
+  expect(() => parseFrontMatter('membership: 3')).toThrow('membership: must be a plan name or true');
+});
+
+test('Twitter投稿は twitter / x / post_to_twitter のうち先に書いたものを使う', () => {
+  expect(parseFrontMatter('twitter: yes').postToTwitter).toBe(true);
+  expect(parseFrontMatter('x: off\ntwitter: true').postToTwitter).toBe(false);
+  expect(parseFrontMatter('post_to_twitter: 1').postToTwitter).toBe(true);
+  expect(() => parseFrontMatter('twitter: maybe')).toThrow('twitter: must be a boolean');
+});
+
+test('予約投稿の日時は形式を検証し、文字列のまま保持する', () => {
+  expect(parseFrontMatter('publish_at: "2026-11-01 09:00"').publishAt).toBe('2026-11-01 09:00');
+  expect(parseFrontMatter('publish_at: 2026-11-01T09:00:00+09:00').publishAt).toBe('2026-11-01T09:00:00+09:00');
+  expect(() => parseFrontMatter('publish_at: 来週の月曜')).toThrow(FrontMatterError);
+});
+
+test('未知のキーは extra に残し、値が空のキーは無視する', () => {
+  const frontMatter = parseFrontMatter('title:\nseries: 入門\nmeta:\n  level: 2');
+  expect(frontMatter.title).toBeUndefined();
+  expect(frontMatter.extra).toEqual({ series: '入門', meta: { level: 2 } });
+});
+
+test('YAMLの誤り・閉じていないFront Matter・マッピング以外は行番号付きのエラーにする', () => {
+  expect(frontMatterError('---\ntitle: 正常\ntags: [AI, 副業\n---\n本文\n').line).toBeGreaterThanOrEqual(3);
+  expect(frontMatterError('---\ntitle: 閉じていない\n本文\n')).toMatchObject({ line: 1, column: 1 });
+  expect(frontMatterError('---\n- リスト\n---\n').message).toContain('must be a mapping');
+});
@@ -0,0 +1,79 @@
+// 投稿設定の解決・実行計画・結果メッセージのテスト
+
+import { test, expect } from '@playwright/test';
+import * as fs from 'fs';
+import { resolvePost, buildPublishPlan, buildPublishMessage, NotePostError } from '../../src/core.js';
+
+// 出力ディレクトリにMarkdownファイルを書く
+function writeArticle(content: string): string {
+  const markdownPath = test.info().outputPath('article.md');
+  fs.writeFileSync(markdownPath, content);
+  return markdownPath;
+}
+
+test('価格はパラメーター、Front Matter、デフォルト価格の順に使い、100円以上で有料にする', () => {
+  const withPrice = writeArticle('---\nprice: 500\n---\n本文\n');
+  expect(resolvePost({ markdownPath: withPrice, isPublic: true })).toMatchObject({ price: 500, isPaid: true });
+  expect(resolvePost({ markdownPath: withPrice, isPublic: true, price: 1000, defaultPrice: 300 })).toMatchObject({ price: 1000, isPaid: true });
+
+  const withoutPrice = writeArticle('本文\n');
+  expect(resolvePost({ markdownPath: withoutPrice, isPublic: true, defaultPrice: 300 })).toMatchObject({ price: 300, isPaid: true });
+  expect(resolvePost({ markdownPath: withoutPrice, isPublic: true, defaultPrice: 0 })).toMatchObject({ price: 0, isPaid: false });
+});
+
+test('マガジン・メンバーシップはパラメーター、Front Matter、プロファイルのデフォルトの順に使う', () => {
+  const markdownPath = writeArticle('---\nmagazine: FMのマガジン\n---\n本文\n');
+  const resolved = resolvePost({ markdownPath, isPublic: true, defaultMagazine: 'デフォルト', defaultMembership: 'light' });
+  expect(resolved).toMatchObject({ magazine: 'FMのマガジン', membership: 'light', postToTwitter: false });
+  expect(resolvePost({ markdownPath, isPublic: true, magazine: '指定' }).magazine).toBe('指定');
+});
+
+test('Markdownファイルがない場合・予約日時が不正な場合は INVALID_INPUT にする', () => {
+  expect(() => resolvePost({ markdownPath: test.info().outputPath('none.md'), isPublic: true }))
+    .toThrow(expect.objectContaining({ code: 'INVALID_INPUT' }));
+
+  const markdownPath = writeArticle('本文\n');
+  expect(() => resolvePost({ markdownPath, isPublic: true, publishAt: '2026-13-01 09:00' })).toThrow(NotePostError);
+  expect(() => resolvePost({ markdownPath, isPublic: true, publishAt: '2026-13-01 09:00' }))
+    .toThrow(expect.objectContaining({ code: 'INVALID_INPUT' }));
+});
+
+test('実行計画は有料ラインの見込みと、価格のないマーカーの警告を返す', () => {
+  const markdownPath = writeArticle('---\nprice: 300\n---\n無料部分の段落です。\n\n<!-- paid -->\n\n有料部分\n');
+  const plan = buildPublishPlan({ markdownPath, isPublic: true });
+  expect(plan.paid).toEqual({
+    price: 300,
+    paidLine: {
+      method: 'search_text',
+      paragraphIndex: 0,
+      paragraphText: '無料部分の段落です。',
+      markerParagraphIndex: 0,
+      mismatch: false,
+      searchText: '無料部分の段落です。',
+    },
+  });
+
+  const free = buildPublishPlan({ markdownPath: writeArticle('無料\n\n<!-- paid -->\n\n続き\n'), isPublic: true });
+  expect(free.paid).toBeUndefined();
+  expect(free.warnings).toContain('<!-- paid --> marker found but no price is set; the article will be free');
+});
+
+test('下書きの実行計画では公開設定（タグ・有料・マガジン）を反映しない', () => {
+  const markdownPath = writeArticle('---\ntags: AI\nprice: 500\nmagazine: マガジン\n---\n本文\n');
+  const plan = buildPublishPlan({ markdownPath, isPublic: false });
+  expect(plan).toMatchObject({ action: 'draft', tags: [], paid: undefined, magazine: undefined });
+  expect(plan.warnings[0]).toMatch(/^Draft save does not open the publish settings page/);
+});
+
+test('結果メッセージ: 公開・更新・有料', () => {
+  expect(buildPublishMessage({ isPaid: false })).toBe('記事を公開しました');
+  expect(buildPublishMessage({ isPaid: true, price: 500, update: true })).toBe('有料記事（500円）を更新しました');
+});
+
+test('結果メッセージ: 予約投稿は日時とタイムゾーンを、反映できたマガジン・SNS連携は末尾に付ける', () => {
+  const publishAt = new Date('2026-11-01T00:00:00Z');
+  expect(buildPublishMessage({ isPaid: true, price: 300, publishAt, timeZone: 'Asia/Tokyo' }))
+    .toBe('有料記事（300円）を2026-11-01 09:00（Asia/Tokyo）に公開するよう予約しました');
+  expect(buildPublishMessage({ isPaid: false, update: true, publishAt, timeZone: 'UTC', magazine: '副業×AI', postToTwitter: true }))
+    .toBe('記事を2026-11-01 00:00（UTC）に公開するよう予約しました（マガジン「副業×AI」に追加）（Twitter連携あり）');
+});
@@ -0,0 +1,48 @@
+// セレクターの自己診断の分類（ok / fallback / broken / not_shown / skipped）のテスト
+
+import { test, expect } from '@playwright/test';
+import { buildReport, PageResult } from '../../src/selftest.js';
+import { SELECTORS, SelectorName } from '../../src/selectors.js';
+
+// 画面の要素をすべて見つからなかったことにして、指定した要素だけ候補の番号を入れる
+function pageResult(page: PageResult['page'], source: string, found: Partial<Record<SelectorName, number>> = {}): PageResult {
+  const matches = new Map<SelectorName, number>();
+  for (const name of Object.keys(SELECTORS) as SelectorName[]) {
+    if (SELECTORS[name].page === page) matches.set(name, found[name] ?? -1);
+  }
+  return { page, source, matches };
+}
+
+test('先頭の候補は ok、先頭以外は fallback、見つからない必須の要素は broken、任意の要素は not_shown', () => {
+  const report = buildReport('fixtures', [
+    pageResult('login', 'login.html', { loginEmail: 0, loginPassword: 1 }),
+  ]);
+  const status = (name: SelectorName) => report.checks.find(check => check.name === name);
+
+  expect(status('loginEmail')).toMatchObject({ status: 'ok', matched: SELECTORS.loginEmail.candidates[0], matchedIndex: 0, source: 'login.html' });
+  expect(status('loginPassword')).toMatchObject({ status: 'fallback', matched: SELECTORS.loginPassword.candidates[1], matchedIndex: 1 });
+  expect(status('loginSubmit')?.status).toBe('broken');
+  expect(status('loginCaptcha')?.status).toBe('not_shown');
+  expect(report.ok).toBe(false);
+});
+
+test('調べていない画面の要素は skipped にし、broken がなければ ok にする', () => {
+  const report = buildReport('live', [
+    pageResult('login', 'https://note.com/login', { loginEmail: 0, loginPassword: 0, loginSubmit: 0 }),
+  ]);
+
+  expect(report.checks.find(check => check.name === 'titleInput')?.status).toBe('skipped');
+  expect(report.checks.find(check => check.name === 'articleTitle')?.status).toBe('skipped');
+  expect(report.ok).toBe(true);
+  expect(report.summary.broken).toBe(0);
+  expect(report.summary.skipped).toBe(report.checks.filter(check => check.status === 'skipped').length);
+  expect(report.sources).toEqual([{ page: 'login', source: 'https://note.com/login' }]);
+});
+
+test('複数のフィクスチャで調べた場合は、最も前の候補で見つかったものを採る', () => {
+  const report = buildReport('fixtures', [
+    pageResult('login', 'login-old.html', { loginEmail: 2 }),
+    pageResult('login', 'login.html', { loginEmail: 0 }),
+  ]);
+  expect(report.checks.find(check => check.name === 'loginEmail')).toMatchObject({ status: 'ok', source: 'login.html' });
+});